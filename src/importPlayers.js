@@ -0,0 +1,516 @@
+// importPlayers.js
+// Offline import that regenerates a PlayerIndex_<season>.mjs module from local contract and stats exports.
+//
+// Usage:
+//   npm run import-players -- --season 2025-26 --contracts contracts.csv --stats stats.json [--out file] [--skip-invalid]
+//
+// Both exports can be CSV (with a header row) or JSON (an array of objects), keyed by `p_id`.
+// The contracts export supplies the player and contract fields, the stats export the `st_*` fields.
+// Every row is checked against PLAYER_FIELDS; if any row is missing or malformed, nothing is written
+// unless --skip-invalid is given, in which case those rows are left out.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const PLAYER_INDEX_DIR = path.join(__dirname, 'players'); // Where the server discovers player datasets
+const PLAYER_POOL_MODULE_PATH = path.join(__dirname, 'public', 'playerPool.mjs');
+const SEASON_PATTERN = /^\d{4}-\d{2}$/; // Same form as the PlayerIndex_<season>.mjs file names, e.g. 2025-26
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+const POSITIONS = { C: 'F', L: 'F', R: 'F', D: 'D', G: 'G' }; // pos -> position
+
+// team_url -> logo file in public/images/logos
+const TEAM_LOGOS = {
+    'anaheim-ducks': 'ANA.webp',
+    'arizona-coyotes': 'ARI.webp',
+    'boston-bruins': 'BOS.webp',
+    'buffalo-sabres': 'BUF.webp',
+    'calgary-flames': 'CGY.webp',
+    'carolina-hurricanes': 'CAR.webp',
+    'chicago-blackhawks': 'CHI.webp',
+    'colorado-avalanche': 'COL.webp',
+    'columbus-blue-jackets': 'CBJ.webp',
+    'dallas-stars': 'DAL.webp',
+    'detroit-red-wings': 'DET.webp',
+    'edmonton-oilers': 'EDM.webp',
+    'florida-panthers': 'FLA.webp',
+    'los-angeles-kings': 'LAK.webp',
+    'minnesota-wild': 'MIN.webp',
+    'montreal-canadiens': 'MTL.webp',
+    'nashville-predators': 'NSH.webp',
+    'new-jersey-devils': 'NJD.webp',
+    'new-york-islanders': 'NYI.webp',
+    'new-york-rangers': 'NYR.webp',
+    'ottawa-senators': 'OTT.webp',
+    'philadelphia-flyers': 'PHI.webp',
+    'pittsburgh-penguins': 'PIT.webp',
+    'san-jose-sharks': 'SJS.webp',
+    'seattle-kraken': 'SEA.webp',
+    'st-louis-blues': 'STL.webp',
+    'tampa-bay-lightning': 'TBL.webp',
+    'toronto-maple-leafs': 'TOR.webp',
+    'utah-hc': 'UTA.webp',
+    'vancouver-canucks': 'VAN.webp',
+    'vegas-golden-knights': 'VGK.webp',
+    'washington-capitals': 'WSH.webp',
+    'winnipeg-jets': 'WPG.webp'
+};
+
+// ==========================================================================
+// Field Schema
+// ==========================================================================
+// Field -> { type, description }, in the order they're written to the index.
+// type is 'string', 'integer' or 'number'; `required` fields can't be empty and `nullable` ones may be.
+// Strings that aren't nullable become '' when empty (e.g. `shot` for goalies).
+const PLAYER_FIELDS = {
+    p_id: { type: 'string', required: true, description: 'Player ID' },
+    p_url: { type: 'string', required: true, description: 'Player URL slug' },
+    name: { type: 'string', required: true, description: "Player's full name" },
+    ht: { type: 'integer', required: true, description: 'Height in inches' },
+    wt: { type: 'integer', required: true, description: 'Weight in pounds' },
+    age: { type: 'integer', required: true, description: "Player's age" },
+    pos: { type: 'string', required: true, description: 'Primary position (e.g., C, L, R, D, G)' },
+    position: { type: 'string', required: true, description: 'General position category (e.g., F for Forward, D for Defense, G for Goalie)' },
+    shot: { type: 'string', description: 'Shoots/Catches (l for Left, r for Right) - Empty for Goalies' },
+    ufa_y: { type: 'string', description: 'Year the player will become an Unrestricted Free Agent (UFA) if not signed' },
+    dft_y: { type: 'string', description: 'Draft year' },
+    dft_p: { type: 'string', description: 'Draft pick number (overall)' },
+    team_id: { type: 'string', nullable: true, description: 'Team ID' },
+    team_url: { type: 'string', nullable: true, description: 'Team URL slug' },
+    city: { type: 'string', nullable: true, description: 'City associated with the team' },
+    cid: { type: 'string', required: true, description: 'Contract ID' },
+    ctype: { type: 'string', description: "Contract type (e.g., 'cur' for current)" },
+    ctermin: { type: 'integer', required: true, description: 'Contract termination status' },
+    lvl: { type: 'string', description: "Level (e.g., 'STD' for Standard contract)" },
+    len: { type: 'integer', required: true, description: 'Contract length in years' },
+    arb: { type: 'integer', required: true, description: 'Arbitration eligibility' },
+    start: { type: 'string', description: 'Contract start season (e.g., "2024-2025")' },
+    start_id: { type: 'string', description: 'Season ID when the contract started' },
+    sign_age: { type: 'integer', required: true, description: 'Age when the player signed the contract' },
+    sts_sign: { type: 'string', description: 'Status when signed (e.g., UFA, RFA)' },
+    arb_sign: { type: 'integer', required: true, description: 'Arbitration status when signed' },
+    exp: { type: 'string', description: 'Contract expiry season (e.g., "2027-2028")' },
+    sts_exp: { type: 'string', description: 'Status upon expiry (e.g., UFA, RFA)' },
+    group6: { type: 'integer', required: true, description: 'Group 6 UFA eligibility' },
+    next: { type: 'string', description: 'Indicates if this is the next contract' },
+    focus: { type: 'string', required: true, description: 'The season this data entry focuses on (e.g., "2024-2025")' },
+    yr: { type: 'integer', required: true, description: 'Current year number of the contract (e.g., 1st year is 1)' },
+    yr_left: { type: 'integer', required: true, description: 'Years remaining on the contract' },
+    aav: { type: 'integer', required: true, description: 'Average Annual Value of the contract' },
+    cap_hit: { type: 'integer', required: true, description: 'Cap hit of the contract for the focus year' },
+    salary: { type: 'integer', required: true, description: "Player's salary for the focus year (may differ from cap hit/AAV)" },
+    base: { type: 'integer', required: true, description: 'Base salary for the focus year' },
+    bonus_s: { type: 'integer', nullable: true, description: 'Signing bonus for the focus year' },
+    bonus_p: { type: 'integer', nullable: true, description: 'Performance bonus for the focus year' },
+    sal_t: { type: 'integer', required: true, description: 'Total salary including bonuses for the focus year' },
+    sal_m: { type: 'integer', required: true, description: 'Minor league salary for the focus year (if applicable)' },
+    clauses: { type: 'string', description: 'Contract clauses (e.g., NMC for No-Move Clause, M-NTC for Modified No-Trade Clause)' },
+    way: { type: 'string', description: 'Contract type (e.g., "1-way", "2-way")' },
+    // Stats (skater stats are empty for goalies and goalie stats for skaters)
+    st_gp: { type: 'integer', required: true, description: 'Games Played' },
+    st_g: { type: 'integer', nullable: true, description: 'Goals' },
+    st_a: { type: 'integer', nullable: true, description: 'Assists' },
+    st_p: { type: 'integer', nullable: true, description: 'Points' },
+    st_ppg: { type: 'number', nullable: true, description: 'Points Per Game' },
+    st_gpg: { type: 'number', nullable: true, description: 'Goals Per Game' },
+    st_toipg: { type: 'number', nullable: true, description: 'Time On Ice Per Game (in minutes, possibly decimal)' },
+    st_toi: { type: 'number', required: true, description: 'Total Time On Ice (in minutes)' },
+    st_pm: { type: 'integer', nullable: true, description: 'Plus/Minus rating' },
+    st_pim: { type: 'integer', nullable: true, description: 'Penalty Infraction Minutes' },
+    st_gf: { type: 'number', nullable: true, description: 'Goals For percentage (while on ice)' },
+    st_dff: { type: 'number', nullable: true, description: 'Dangerous Fenwick For percentage (while on ice - advanced stat)' },
+    st_reldff: { type: 'number', nullable: true, description: 'Relative Dangerous Fenwick For percentage (advanced stat)' },
+    st_cf: { type: 'number', nullable: true, description: 'Corsi For percentage (shot attempt differential while on ice - advanced stat)' },
+    st_relcf: { type: 'number', nullable: true, description: 'Relative Corsi For percentage (advanced stat)' },
+    st_g60: { type: 'number', nullable: true, description: 'Goals per 60 minutes (advanced stat)' },
+    st_p60: { type: 'number', nullable: true, description: 'Points per 60 minutes (advanced stat)' },
+    st_svp: { type: 'number', nullable: true, description: 'Save Percentage' },
+    st_gaa: { type: 'number', nullable: true, description: 'Goals Against Average' },
+    st_sa: { type: 'integer', nullable: true, description: 'Shots Against' },
+    st_ga: { type: 'integer', nullable: true, description: 'Goals Against' },
+    st_so: { type: 'integer', nullable: true, description: 'Shutouts' },
+    st_w: { type: 'integer', nullable: true, description: 'Wins' },
+    st_l: { type: 'integer', nullable: true, description: 'Losses' }
+};
+const STAT_FIELDS = Object.keys(PLAYER_FIELDS).filter(field => field.startsWith('st_'));
+const CONTRACT_FIELDS = Object.keys(PLAYER_FIELDS).filter(field => !field.startsWith('st_'));
+const GOALIE_STAT_FIELDS = new Set(['st_svp', 'st_gaa', 'st_sa', 'st_ga', 'st_so', 'st_w', 'st_l']);
+
+// ==========================================================================
+// Reading Exports
+// ==========================================================================
+
+/**
+ * Reads a CSV or JSON export, chosen by file extension.
+ * @param {string} filePath - Path to a .csv or .json file.
+ * @returns {Promise<object[]>} The export's rows.
+ */
+async function readExport(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv') {
+        // The CSV parser is shared with custom player pool uploads, which are ESM
+        const { parseCsv } = await import(pathToFileURL(PLAYER_POOL_MODULE_PATH).href);
+        return parseCsv(text);
+    }
+    if (extension === '.json') {
+        const rows = JSON.parse(text);
+        if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+            throw new Error('Expected a JSON array of player objects.');
+        }
+        return rows;
+    }
+    throw new Error(`Unsupported file type '${extension || filePath}' (expected .csv or .json).`);
+}
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+/**
+ * Converts one raw value (a CSV cell or JSON value) to its schema type.
+ * @param {*} rawValue - The value from the export. Empty strings and missing values count as empty.
+ * @param {object} fieldSpec - The field's PLAYER_FIELDS entry.
+ * @returns {{value: *}|{error: string}} The converted value, or why it can't be converted.
+ */
+function coerceValue(rawValue, fieldSpec) {
+    const text = rawValue == null ? '' : String(rawValue).trim();
+    if (text === '') {
+        if (fieldSpec.required) return { error: 'is missing' };
+        return { value: fieldSpec.nullable || fieldSpec.type !== 'string' ? null : '' };
+    }
+    if (fieldSpec.type === 'string') {
+        return { value: text };
+    }
+    if (typeof rawValue === 'boolean' || !NUMBER_PATTERN.test(text)) {
+        return { error: `must be a number (got '${text}')` };
+    }
+    const value = Number(text);
+    if (fieldSpec.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `must be a whole number (got '${text}')` };
+    }
+    return { value };
+}
+
+/**
+ * Validates and converts the given fields of one export row.
+ * @param {object} row - The raw row.
+ * @param {string[]} fields - The PLAYER_FIELDS keys this export supplies.
+ * @returns {{player: object, errors: string[]}} The converted fields and any problems found.
+ */
+function validateRow(row, fields) {
+    const player = {};
+    const errors = [];
+    fields.forEach(field => {
+        const result = coerceValue(row[field], PLAYER_FIELDS[field]);
+        if (result.error) {
+            errors.push(`${field} ${result.error}`);
+        } else {
+            player[field] = result.value;
+        }
+    });
+    return { player, errors };
+}
+
+/**
+ * Checks rules that span fields once a player's contract and stats are merged.
+ * @param {object} player - The merged, converted player.
+ * @returns {string[]} Problems found (empty if the player is valid).
+ */
+function validatePlayer(player) {
+    const errors = [];
+    if (!POSITIONS[player.pos]) {
+        errors.push(`pos must be one of ${Object.keys(POSITIONS).join(', ')} (got '${player.pos}')`);
+    } else if (player.position !== POSITIONS[player.pos]) {
+        errors.push(`position must be '${POSITIONS[player.pos]}' for pos '${player.pos}' (got '${player.position}')`);
+    }
+    if ((player.team_id === null) !== (player.team_url === null)) {
+        errors.push('team_id and team_url must both be set or both be empty');
+    }
+    if (player.cap_hit < 0 || player.aav < 0) {
+        errors.push('cap_hit and aav cannot be negative');
+    }
+    return errors;
+}
+
+/**
+ * Validates both exports and merges them by `p_id`.
+ * Each export is checked only for its own fields; a contract row without a stats row is an error,
+ * while a stats row without a contract row is only reported (the player has no contract to draft).
+ * @param {object[]} contractRows - Rows of the contracts export.
+ * @param {object[]} statsRows - Rows of the stats export.
+ * @returns {{players: object[], errors: string[], warnings: string[]}} Valid players in contract order, plus the report.
+ */
+function mergeExports(contractRows, statsRows) {
+    const errors = [];
+    const warnings = [];
+
+    // Rows are numbered from 1 (a CSV's header row doesn't count)
+    const describeRow = (source, index) => `${source} row ${index + 1}`;
+
+    const statsById = new Map();
+    statsRows.forEach((row, index) => {
+        const label = describeRow('stats', index);
+        const { player: stats, errors: rowErrors } = validateRow(row, ['p_id', ...STAT_FIELDS]);
+        if (rowErrors.length > 0) {
+            errors.push(`${label}${row.p_id ? ` (p_id ${row.p_id})` : ''}: ${rowErrors.join('; ')}`);
+        } else if (statsById.has(stats.p_id)) {
+            errors.push(`${label}: duplicate p_id ${stats.p_id}`);
+        } else {
+            statsById.set(stats.p_id, stats);
+        }
+    });
+
+    const players = [];
+    const seenIds = new Set();
+    const contractIds = new Set(contractRows.map(row => String(row.p_id ?? '').trim()));
+    contractRows.forEach((row, index) => {
+        const label = describeRow('contracts', index);
+        const { player, errors: rowErrors } = validateRow(row, CONTRACT_FIELDS);
+        const name = player.name || (player.p_id && `p_id ${player.p_id}`);
+        const prefix = `${label}${name ? ` (${name})` : ''}`;
+        if (rowErrors.length > 0) {
+            errors.push(`${prefix}: ${rowErrors.join('; ')}`);
+            return;
+        }
+        if (seenIds.has(player.p_id)) {
+            errors.push(`${prefix}: duplicate p_id ${player.p_id}`);
+            return;
+        }
+        seenIds.add(player.p_id);
+
+        const stats = statsById.get(player.p_id);
+        if (!stats) {
+            errors.push(`${prefix}: no stats row for p_id ${player.p_id}`);
+            return;
+        }
+        const merged = { ...player, ...stats };
+        const playerErrors = validatePlayer(merged);
+        if (playerErrors.length > 0) {
+            errors.push(`${prefix}: ${playerErrors.join('; ')}`);
+            return;
+        }
+        players.push(merged);
+    });
+
+    statsById.forEach((stats, playerId) => {
+        if (!contractIds.has(playerId)) {
+            warnings.push(`stats for p_id ${playerId} have no contract row and were ignored`);
+        }
+    });
+
+    const knownColumns = new Set(Object.keys(PLAYER_FIELDS));
+    [['contracts', contractRows], ['stats', statsRows]].forEach(([source, rows]) => {
+        const unknownColumns = new Set(rows.flatMap(row => Object.keys(row)).filter(column => !knownColumns.has(column) && column !== 'id'));
+        if (unknownColumns.size > 0) {
+            warnings.push(`${source} columns not in the player schema were ignored: ${[...unknownColumns].join(', ')}`);
+        }
+    });
+
+    return { players, errors, warnings };
+}
+
+/**
+ * Gives every player an `id`. Players already in the existing index for the season keep theirs,
+ * because saved rooms refer to picks by id; new players get ids after the highest one in use.
+ * @param {object[]} players - The merged players, in contract order.
+ * @param {object[]} existingPlayers - The index being replaced (empty if there is none).
+ * @returns {object[]} The existing players missing from the new export, whose ids saved rooms may still use.
+ */
+function assignPlayerIds(players, existingPlayers) {
+    const existingIds = new Map(existingPlayers.map(player => [String(player.p_id), player.id]));
+    let nextId = existingPlayers.reduce((maxId, player) => Math.max(maxId, player.id || 0), 0) + 1;
+    players.forEach(player => {
+        player.id = existingIds.get(player.p_id) ?? nextId++;
+    });
+    const importedIds = new Set(players.map(player => String(player.p_id)));
+    return existingPlayers.filter(player => !importedIds.has(String(player.p_id)));
+}
+
+// ==========================================================================
+// Writing the Index Module
+// ==========================================================================
+
+/**
+ * Renders the player index module: the documented player list plus the same helpers the
+ * hand-maintained index exported (`playersIndex`, `searchPlayers`, `getTeamLogoPath`).
+ * @param {object[]} players - The players to write, each with every PLAYER_FIELDS key and an id.
+ * @param {string} season - The season the stats cover (e.g. '2025-26').
+ * @returns {string} The module source.
+ */
+function renderPlayerIndexModule(players, season) {
+    const describeField = field => `${`${field}:`.padEnd(10)}${PLAYER_FIELDS[field].description}`;
+    const fieldDocs = [
+        ...CONTRACT_FIELDS.map(describeField),
+        '',
+        `--- Stats ${season} ---`,
+        ...STAT_FIELDS.filter(field => !GOALIE_STAT_FIELDS.has(field)).map(describeField),
+        '--- Goalie Specific Stats ---',
+        ...STAT_FIELDS.filter(field => GOALIE_STAT_FIELDS.has(field)).map(describeField),
+        '--- General ---',
+        `${'id:'.padEnd(10)}Unique sequential ID within this generated list (added during generation)`
+    ].join('\n');
+
+    const playerEntries = players.map(player => {
+        const lines = [...Object.keys(PLAYER_FIELDS), 'id'].map(field => `    ${field}: ${JSON.stringify(player[field])}`);
+        return `  {\n${lines.join(',\n')}\n  }`;
+    }).join(',\n');
+
+    return `// Automatically generated by importPlayers.js
+// Last updated: ${new Date().toISOString()}
+
+
+/*
+Player Object Key Explanations:
+
+${fieldDocs}
+*/
+
+
+export const playersIndex = [
+${playerEntries}
+];
+
+
+playersIndex.sort((a, b) => {
+  const nameA = a.name || '';
+  const nameB = b.name || '';
+  return nameA.localeCompare(nameB);
+});
+
+/** Helper function to remove accents and convert to lowercase. */
+function normalizeNameForSearch(str) {
+  if (typeof str !== 'string') return '';
+  return str.normalize("NFD").replace(/[\\u0300-\\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Filters a list of players based on a search term.
+ * Matches if the search term starts with any part of the player's name (case- and accent-insensitive).
+ * @param {string} searchTerm - The term to search for.
+ * @param {Array<Object>} playersList - The list of player objects to filter. Each object needs a 'name' property.
+ * @returns {Array<Object>} - The filtered list of players.
+ */
+export function searchPlayers(searchTerm, playersList) {
+  if (!searchTerm || searchTerm.trim().length === 0) {
+    return [...playersList];
+  }
+
+  const normalizedSearchTerm = normalizeNameForSearch(searchTerm.trim());
+
+  return playersList.filter(player => {
+    if (!player || typeof player.name !== 'string') {
+      return false;
+    }
+    const nameParts = normalizeNameForSearch(player.name).split(' ').filter(part => part.length > 0);
+    return nameParts.some(part => part.startsWith(normalizedSearchTerm));
+  });
+}
+
+// --- Team Logo Mapping ---
+const teamLogoMap = ${JSON.stringify(TEAM_LOGOS, null, 2).replace(/"/g, "'")};
+
+/**
+ * Gets the path for a team's logo based on their team_url.
+ * @param {string | null} teamUrl - The team URL slug (e.g., 'toronto-maple-leafs') or null.
+ * @returns {string} - The path to the logo image.
+ */
+export function getTeamLogoPath(teamUrl) {
+  const defaultLogo = '/images/logos/NHL.svg';
+
+  if (!teamUrl || !teamLogoMap[teamUrl]) {
+    return defaultLogo;
+  }
+
+  return \`/images/logos/\${teamLogoMap[teamUrl]}\`;
+}
+`;
+}
+
+// ==========================================================================
+// Command Line
+// ==========================================================================
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{season: string, contracts: string, stats: string, out: string, skipInvalid: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { skipInvalid: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--skip-invalid') {
+            options.skipInvalid = true;
+        } else if (['--season', '--contracts', '--stats', '--out'].includes(arg) && argv[i + 1] !== undefined) {
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            throw new Error(`Unexpected argument '${arg}'.`);
+        }
+    }
+    if (!options.season || !options.contracts || !options.stats) {
+        throw new Error('Usage: node src/importPlayers.js --season <YYYY-YY> --contracts <file.csv|json> --stats <file.csv|json> [--out <file.mjs>] [--skip-invalid]');
+    }
+    if (!SEASON_PATTERN.test(options.season)) {
+        throw new Error(`Season '${options.season}' must look like 2025-26.`);
+    }
+    options.out = options.out || path.join(PLAYER_INDEX_DIR, `PlayerIndex_${options.season}.mjs`);
+    return options;
+}
+
+/**
+ * Loads the players of an existing index module, if there is one at the output path.
+ * @param {string} filePath - The output path.
+ * @returns {Promise<object[]>} Its playersIndex, or an empty array.
+ */
+async function loadExistingPlayers(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const { playersIndex } = await import(`${pathToFileURL(filePath).href}?t=${Date.now()}`);
+    return Array.isArray(playersIndex) ? playersIndex : [];
+}
+
+/**
+ * Runs the import: validates the exports, reports problems and writes the index module.
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const { players, errors, warnings } = mergeExports(await readExport(options.contracts), await readExport(options.stats));
+
+    warnings.forEach(warning => console.warn(`[Import] Warning: ${warning}`));
+    errors.forEach(error => console.error(`[Import] Invalid: ${error}`));
+
+    if (errors.length > 0 && !options.skipInvalid) {
+        console.error(`[Import] ${errors.length} invalid row(s); nothing was written. Fix them or rerun with --skip-invalid to leave them out.`);
+        process.exitCode = 1;
+        return;
+    }
+    if (players.length === 0) {
+        console.error('[Import] No valid players to write.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const droppedPlayers = assignPlayerIds(players, await loadExistingPlayers(options.out));
+    if (droppedPlayers.length > 0) {
+        // Saved rooms that drafted or protected these players won't load once their ids are gone
+        const droppedList = droppedPlayers.map(player => `${player.id} (${player.name})`).join(', ');
+        console.warn(`[Import] Warning: ${droppedPlayers.length} player(s) in the current ${options.season} index aren't in the new exports ` +
+            `and will be removed, so saved rooms that use them will fail to restore: ${droppedList}`);
+    }
+
+    // Write to a temp file first so a running server never sees half a module
+    const tempPath = `${options.out}.tmp`;
+    fs.writeFileSync(tempPath, renderPlayerIndexModule(players, options.season));
+    fs.renameSync(tempPath, options.out);
+    console.log(`[Import] Wrote ${players.length} players for ${options.season} to ${options.out}${errors.length > 0 ? ` (skipped ${errors.length} invalid row(s))` : ''}. Restart the server to load it.`);
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(`[Import] ${err.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { PLAYER_FIELDS, mergeExports, assignPlayerIds, renderPlayerIndexModule };
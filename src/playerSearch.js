@@ -0,0 +1,128 @@
+// playerSearch.js
+// Name search over a set of players (a season's dataset or a room's custom pool), for the player search API.
+// Matching is by word: every word searched for must start one part of the player's name (case- and
+// accent-insensitive), or nearly start it (a typo or two) when nothing matches exactly.
+
+// Record fields sent to clients: what search results, tooltips and the protection editor show
+const PLAYER_RECORD_FIELDS = [
+    'id', 'name', 'pos', 'position', 'age', 'cap_hit', 'team_id', 'team_url', 'city', 'clauses',
+    'st_gp', 'st_g', 'st_a', 'st_p', 'st_w', 'st_l', 'st_svp', 'st_gaa', 'st_so'
+];
+
+// Search words shorter than this only match exactly; longer ones allow one typo, and two from FUZZY_TWO_TYPOS_LENGTH
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_TWO_TYPOS_LENGTH = 7;
+
+/**
+ * Lowercases text and strips accents, so "Räty" is found by "raty".
+ * @param {*} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+function normalizeSearchText(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Splits text into search words on spaces, dropping punctuation inside words ("A.J." -> "aj").
+ * @param {*} text - The text to split.
+ * @returns {string[]} The normalized words.
+ */
+function toSearchWords(text) {
+    return normalizeSearchText(text).split(/\s+/).map(word => word.replace(/[.'\u2019-]/g, '')).filter(Boolean);
+}
+
+// The parts of a name a search word can start: its words, and the pieces of hyphenated or dotted words
+// ("Jean-Gabriel" can be found by "jeangabriel", "jean" or "gabriel")
+function getNameParts(name) {
+    const pieces = normalizeSearchText(name).split(/[\s.'\u2019-]+/).filter(Boolean);
+    return [...new Set([...toSearchWords(name), ...pieces])];
+}
+
+// Levenshtein distance between two strings, giving up (returning maxDistance + 1) once it can't stay within maxDistance
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        if (Math.min(...row) > maxDistance) return maxDistance + 1;
+        previousRow = row;
+    }
+    return previousRow[b.length];
+}
+
+// Scores one search word against one name part: 0 for the whole part, 1 for a prefix,
+// 1 + typos for a near prefix, or null if it doesn't match
+function scoreNamePart(word, part) {
+    if (part === word) return 0;
+    if (part.startsWith(word)) return 1;
+    if (word.length < FUZZY_MIN_LENGTH) return null;
+    const maxTypos = word.length >= FUZZY_TWO_TYPOS_LENGTH ? 2 : 1;
+    // Compare against the part's prefixes around the word's length, so a missing or extra letter counts as one typo
+    let bestTypos = maxTypos + 1;
+    for (let length = word.length - maxTypos; length <= word.length + maxTypos; length++) {
+        if (length < 1 || length > part.length) continue;
+        bestTypos = Math.min(bestTypos, getEditDistance(word, part.slice(0, length), maxTypos));
+    }
+    return bestTypos <= maxTypos ? 1 + bestTypos : null;
+}
+
+/**
+ * Prepares players for searching (their normalized name parts, computed once).
+ * @param {Iterable<object>} players - The players, each with a `name`.
+ * @returns {Array<{player: object, nameParts: string[], sortName: string}>} The search index, in the players' order.
+ */
+function createPlayerSearchIndex(players) {
+    return Array.from(players, player => ({
+        player: player,
+        nameParts: getNameParts(player.name),
+        sortName: normalizeSearchText(player.name)
+    }));
+}
+
+/**
+ * Searches players by name. With a query, the best matches come first (whole name parts, then prefixes,
+ * then near matches), then by name; without one, every player passing the predicate is returned in index order.
+ * @param {Array<object>} searchIndex - From createPlayerSearchIndex.
+ * @param {string} [query=''] - What was typed.
+ * @param {object} [options={}]
+ * @param {function(object): boolean} [options.predicate] - Further narrows the players (position, availability...).
+ * @param {number} [options.offset=0] - How many matches to skip, for paging.
+ * @param {number} [options.limit=Infinity] - Most matches to return (0 for just the count).
+ * @returns {{total: number, players: object[]}} How many players match in all, and the requested page of them.
+ */
+function searchPlayerIndex(searchIndex, query = '', { predicate = () => true, offset = 0, limit = Infinity } = {}) {
+    const words = toSearchWords(query);
+    const matches = [];
+    searchIndex.forEach(entry => {
+        let score = 0;
+        for (const word of words) {
+            const wordScores = entry.nameParts.map(part => scoreNamePart(word, part)).filter(partScore => partScore !== null);
+            if (wordScores.length === 0) return;
+            score += Math.min(...wordScores);
+        }
+        if (predicate(entry.player)) {
+            matches.push({ entry, score });
+        }
+    });
+    if (words.length > 0) {
+        matches.sort((a, b) => a.score - b.score || a.entry.sortName.localeCompare(b.entry.sortName));
+    }
+    return {
+        total: matches.length,
+        players: matches.slice(offset, offset + limit).map(({ entry }) => entry.player)
+    };
+}
+
+/**
+ * Returns the part of a player sent to clients.
+ * @param {object} player - A player from a dataset or custom pool.
+ * @returns {object} The player's PLAYER_RECORD_FIELDS (missing fields left out).
+ */
+function toPlayerRecord(player) {
+    return Object.fromEntries(PLAYER_RECORD_FIELDS.filter(field => player[field] !== undefined).map(field => [field, player[field]]));
+}
+
+module.exports = { PLAYER_RECORD_FIELDS, normalizeSearchText, createPlayerSearchIndex, searchPlayerIndex, toPlayerRecord };
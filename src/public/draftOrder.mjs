@@ -0,0 +1,110 @@
+// draftOrder.mjs
+// Draft order model, shared by the client (start screen preview) and the server (authoritative pick sequence).
+
+/** Supported draft order types and their display labels. */
+export const DRAFT_ORDER_TYPES = {
+  linear: 'Linear',
+  snake: 'Snake (Serpentine)',
+  third_round_reversal: 'Third-Round Reversal',
+  linear_then_snake: 'Round 1 Linear, then Snake',
+  custom: 'Custom Order per Round'
+};
+
+/** Most teams a draft can have. */
+export const MAX_TEAMS = 32;
+
+/**
+ * Returns the order in which teams pick during one round.
+ * @param {number} roundIndex - Zero-based round index.
+ * @param {number} numTables - Number of teams in the draft.
+ * @param {object} draftOrder - The draft order settings ({ type, customOrder }).
+ * @returns {number[]} Team indexes in picking order.
+ */
+function getRoundOrder(roundIndex, numTables, draftOrder) {
+  const forward = Array.from({ length: numTables }, (_, i) => i);
+  const backward = [...forward].reverse();
+
+  switch (draftOrder.type) {
+    case 'snake':
+      return roundIndex % 2 === 0 ? forward : backward;
+    case 'third_round_reversal':
+      // Rounds 2 and 3 both run backward, then the order snakes again from round 4
+      if (roundIndex === 0) return forward;
+      if (roundIndex === 1) return backward;
+      return roundIndex % 2 === 0 ? backward : forward;
+    case 'linear_then_snake':
+      // Round 2 repeats round 1's order, then the order snakes
+      if (roundIndex === 0) return forward;
+      return roundIndex % 2 === 1 ? forward : backward;
+    case 'custom':
+      return [...draftOrder.customOrder[roundIndex]];
+    default: // 'linear'
+      return forward;
+  }
+}
+
+/**
+ * Validates draft order settings.
+ * @param {number} numTables - Number of teams in the draft.
+ * @param {number} numRounds - Number of rounds (total slots per team).
+ * @param {object} draftOrder - The draft order settings ({ type, customOrder }).
+ * @returns {string|null} An error message, or null if the order is valid.
+ */
+export function validateDraftOrder(numTables, numRounds, draftOrder) {
+  if (!draftOrder || typeof draftOrder !== 'object' || !Object.hasOwn(DRAFT_ORDER_TYPES, draftOrder.type)) { // Not inherited keys like 'constructor'
+    return "Invalid draft order type.";
+  }
+  if (draftOrder.type !== 'custom') {
+    return null;
+  }
+
+  const { customOrder } = draftOrder;
+  if (!Array.isArray(customOrder) || customOrder.length !== numRounds) {
+    return `Custom draft order must list exactly ${numRounds} rounds.`;
+  }
+  for (let roundIndex = 0; roundIndex < customOrder.length; roundIndex++) {
+    const round = customOrder[roundIndex];
+    // Every team must pick exactly once per round
+    const isPermutation = Array.isArray(round) && round.length === numTables &&
+      new Set(round).size === numTables &&
+      round.every(teamId => Number.isInteger(teamId) && teamId >= 0 && teamId < numTables);
+    if (!isPermutation) {
+      return `Round ${roundIndex + 1} of the custom order must list each of the ${numTables} teams exactly once.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the full pick sequence for a draft.
+ * @param {number} numTables - Number of teams in the draft.
+ * @param {number} numRounds - Number of rounds (total slots per team).
+ * @param {object} draftOrder - Validated draft order settings ({ type, customOrder }).
+ * @returns {Array<{overall: number, round: number, pickInRound: number, teamId: number}>} One entry per pick, in order.
+ */
+export function buildPickOrder(numTables, numRounds, draftOrder) {
+  const pickOrder = [];
+  for (let roundIndex = 0; roundIndex < numRounds; roundIndex++) {
+    getRoundOrder(roundIndex, numTables, draftOrder).forEach((teamId, index) => {
+      pickOrder.push({
+        overall: pickOrder.length + 1,
+        round: roundIndex + 1,
+        pickInRound: index + 1,
+        teamId: teamId
+      });
+    });
+  }
+  return pickOrder;
+}
+
+/**
+ * Returns the slots of a pick sequence that haven't been used yet, in order.
+ * A slot is used once a pick (or a keeper that gave it up) records its overall number.
+ * @param {Array<{overall: number}>} pickOrder - The room's pick sequence.
+ * @param {Array<{overall: number}>} picks - The picks made so far, keepers included.
+ * @returns {Array<object>} The open slots; the first one is on the clock.
+ */
+export function getOpenSlots(pickOrder, picks) {
+  const usedOveralls = new Set((picks || []).map(pick => pick.overall));
+  return (pickOrder || []).filter(slot => !usedOveralls.has(slot.overall));
+}
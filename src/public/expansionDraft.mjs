@@ -0,0 +1,136 @@
+// expansionDraft.mjs
+// Expansion draft rules, shared by the client (protection list editor, search filtering) and the server (validation).
+
+/**
+ * Protection schemes an existing NHL team can choose from (2017 Vegas / 2021 Seattle rules).
+ * `limits` caps protected players per group; `skaters` covers forwards and defensemen together.
+ */
+export const PROTECTION_SCHEMES = {
+  '7-3-1': { label: '7 Forwards, 3 Defensemen, 1 Goalie', limits: { F: 7, D: 3, G: 1 } },
+  '8-1': { label: '8 Skaters, 1 Goalie', limits: { skaters: 8, G: 1 } }
+};
+
+/** Players each NHL team must leave exposed at each position (or all it has left, if fewer). */
+export const EXPOSURE_MINIMUMS = { F: 2, D: 1, G: 1 };
+
+/**
+ * Groups a player pool into the existing NHL teams (by `team_id`), sorted by city.
+ * Players without a team (e.g. unsigned or retired) belong to no team and can't be drafted.
+ * @param {object[]} players - The player index.
+ * @returns {Array<{teamId: string, teamUrl: string, city: string, playerIds: number[]}>} One entry per NHL team.
+ */
+export function getNhlTeams(players) {
+  const teamsById = new Map();
+  players.forEach(player => {
+    if (player.team_id == null) return;
+    const teamId = String(player.team_id);
+    if (!teamsById.has(teamId)) {
+      teamsById.set(teamId, { teamId, teamUrl: player.team_url || '', city: player.city || '', playerIds: [] });
+    }
+    teamsById.get(teamId).playerIds.push(player.id);
+  });
+  return Array.from(teamsById.values())
+    .sort((a, b) => a.city.localeCompare(b.city) || a.teamUrl.localeCompare(b.teamUrl));
+}
+
+/**
+ * Checks whether a player has a no-movement clause, which protects them automatically.
+ * @param {object} player - A player from the index ({ clauses }).
+ * @returns {boolean} True if `clauses` lists NMC.
+ */
+export function hasNoMoveClause(player) {
+  return String(player?.clauses || '').split(',').map(clause => clause.trim()).includes('NMC');
+}
+
+/**
+ * Returns the roster template for an expansion team: one slot per NHL team,
+ * with at least 14 forwards, 9 defensemen and 3 goalies as in the Vegas/Seattle rules.
+ * @param {number} numNhlTeams - Number of existing NHL teams to draft from.
+ * @returns {object} Slot type -> number of slots.
+ */
+export function getExpansionRosterTemplate(numNhlTeams) {
+  if (numNhlTeams < 26) {
+    return { BN: numNhlTeams };
+  }
+  return { F: 14, D: 9, G: 3, BN: numNhlTeams - 26 };
+}
+
+// Counts players per coarse position (F, D, G)
+function countByPosition(players) {
+  const counts = { F: 0, D: 0, G: 0 };
+  players.forEach(player => {
+    if (counts[player.position] !== undefined) counts[player.position]++;
+  });
+  return counts;
+}
+
+/**
+ * Validates one NHL team's protection list.
+ * NMC players must be on the list and count against the limits. If a team's NMC players alone
+ * exceed a limit, that limit is raised to fit them, so the team just can't protect anyone else there.
+ * @param {string} schemeKey - A key of PROTECTION_SCHEMES.
+ * @param {number[]} protectedIds - The player ids to protect.
+ * @param {object[]} teamPlayers - Every player on the NHL team.
+ * @returns {string|null} An error message, or null if the list is valid.
+ */
+export function validateProtectionList(schemeKey, protectedIds, teamPlayers) {
+  if (!Object.hasOwn(PROTECTION_SCHEMES, schemeKey)) { // Not inherited keys like 'constructor'
+    return `Unknown protection scheme '${schemeKey}'.`;
+  }
+  const scheme = PROTECTION_SCHEMES[schemeKey];
+  if (!Array.isArray(protectedIds) || new Set(protectedIds).size !== protectedIds.length) {
+    return "A protection list must list each player once.";
+  }
+
+  const playersById = new Map(teamPlayers.map(player => [player.id, player]));
+  const missingId = protectedIds.find(playerId => !playersById.has(playerId));
+  if (missingId !== undefined) {
+    return `Player ID ${missingId} isn't on this team.`;
+  }
+  const unprotectedNmc = teamPlayers.find(player => hasNoMoveClause(player) && !protectedIds.includes(player.id));
+  if (unprotectedNmc) {
+    return `${unprotectedNmc.name} has a no-movement clause and must be protected.`;
+  }
+
+  const protectedCounts = countByPosition(protectedIds.map(playerId => playersById.get(playerId)));
+  const nmcCounts = countByPosition(teamPlayers.filter(hasNoMoveClause));
+  const { limits } = scheme;
+  for (const pos of ['F', 'D', 'G']) {
+    if (limits[pos] !== undefined && protectedCounts[pos] > Math.max(limits[pos], nmcCounts[pos])) {
+      return `Only ${limits[pos]} ${pos === 'F' ? 'forwards' : pos === 'D' ? 'defensemen' : 'goalies'} can be protected.`;
+    }
+  }
+  if (limits.skaters !== undefined && protectedCounts.F + protectedCounts.D > Math.max(limits.skaters, nmcCounts.F + nmcCounts.D)) {
+    return `Only ${limits.skaters} skaters can be protected.`;
+  }
+
+  // Each position must still leave enough players exposed, as far as the team's non-NMC players allow
+  const teamCounts = countByPosition(teamPlayers);
+  for (const [pos, minimum] of Object.entries(EXPOSURE_MINIMUMS)) {
+    const required = Math.min(minimum, teamCounts[pos] - nmcCounts[pos]);
+    if (teamCounts[pos] - protectedCounts[pos] < required) {
+      return `At least ${required} ${pos === 'F' ? 'forward' : pos === 'D' ? 'defenseman' : 'goalie'}${required === 1 ? '' : 's'} must be left exposed.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the default protection list for a team that didn't submit one:
+ * its NMC players, then the highest cap hits that still fit the scheme.
+ * @param {string} schemeKey - A key of PROTECTION_SCHEMES.
+ * @param {object[]} teamPlayers - Every player on the NHL team.
+ * @returns {number[]} The protected player ids.
+ */
+export function buildDefaultProtectionList(schemeKey, teamPlayers) {
+  const protectedIds = teamPlayers.filter(hasNoMoveClause).map(player => player.id);
+  [...teamPlayers]
+    .filter(player => !protectedIds.includes(player.id))
+    .sort((a, b) => (parseInt(b.cap_hit, 10) || 0) - (parseInt(a.cap_hit, 10) || 0))
+    .forEach(player => {
+      if (validateProtectionList(schemeKey, [...protectedIds, player.id], teamPlayers) === null) {
+        protectedIds.push(player.id);
+      }
+    });
+  return protectedIds;
+}
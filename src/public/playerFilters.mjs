@@ -0,0 +1,128 @@
+// playerFilters.mjs
+// Player pool filters chosen at room creation (e.g. "25 and under", "no Original Six players"),
+// shared by the client (filter builder, search filtering) and the server (validation, pick checks).
+
+/** Most filters a room can have. All of them must match for a player to be draftable. */
+export const MAX_PLAYER_FILTERS = 10;
+
+/**
+ * Index fields players can be filtered on. `type` decides the operators:
+ * numbers are compared, text fields match a list of values, and `list` fields (comma-separated, like clauses) contain a value.
+ */
+export const PLAYER_FILTER_FIELDS = {
+  age: { label: 'Age', type: 'number' },
+  team_url: { label: 'NHL Team', type: 'text' },
+  exp: { label: 'Contract Expiry Season', type: 'text' },
+  sts_exp: { label: 'Status at Expiry', type: 'text' },
+  st_gp: { label: 'Games Played', type: 'number' },
+  lvl: { label: 'Contract Level', type: 'text' },
+  clauses: { label: 'Contract Clauses', type: 'list' },
+  cap_hit: { label: 'Cap Hit', type: 'number' }
+};
+
+/** Operators by field type. Number and `list` filters take one value, text filters a list of values. */
+export const PLAYER_FILTER_OPERATORS = {
+  number: { gte: 'at least', lte: 'at most' },
+  text: { in: 'is one of', not_in: 'is none of' },
+  list: { includes: 'includes', excludes: 'does not include' }
+};
+
+const ORIGINAL_SIX_TEAMS = ['boston-bruins', 'chicago-blackhawks', 'detroit-red-wings', 'montreal-canadiens', 'new-york-rangers', 'toronto-maple-leafs'];
+
+/**
+ * Ready-made filters offered on the start screen.
+ * @param {string} season - The season being drafted (e.g. '2024-25'); contracts expiring after it are "expiring".
+ * @returns {object} Preset key -> { label, filter }.
+ */
+export function getPlayerFilterPresets(season) {
+  const [startYear] = String(season || '').split('-');
+  const presets = {
+    under25: { label: '25 and under', filter: { field: 'age', op: 'lte', value: 25 } },
+    noOriginalSix: { label: 'No Original Six players', filter: { field: 'team_url', op: 'not_in', value: ORIGINAL_SIX_TEAMS } },
+    minGamesPlayed: { label: 'At least 20 games played', filter: { field: 'st_gp', op: 'gte', value: 20 } }
+  };
+  if (/^\d{4}$/.test(startYear)) {
+    const expirySeason = `${startYear}-${Number(startYear) + 1}`; // The index writes seasons in full, e.g. "2024-2025"
+    presets.expiring = { label: 'Expiring contracts only', filter: { field: 'exp', op: 'in', value: [expirySeason] } };
+  }
+  return presets;
+}
+
+/**
+ * Validates a room's filters.
+ * @param {Array<{field: string, op: string, value: *}>} filters - The filters to check.
+ * @returns {string|null} An error message, or null if the filters are valid.
+ */
+export function validatePlayerFilters(filters) {
+  if (!Array.isArray(filters)) {
+    return "Invalid player filters provided.";
+  }
+  if (filters.length > MAX_PLAYER_FILTERS) {
+    return `A draft can have at most ${MAX_PLAYER_FILTERS} player filters.`;
+  }
+  for (const filter of filters) {
+    // Own keys only: inherited ones like 'constructor' aren't fields or operators
+    if (!Object.hasOwn(PLAYER_FILTER_FIELDS, filter?.field)) {
+      return `Players can't be filtered on '${filter?.field}'.`;
+    }
+    const fieldSpec = PLAYER_FILTER_FIELDS[filter.field];
+    if (!Object.hasOwn(PLAYER_FILTER_OPERATORS[fieldSpec.type], filter.op)) {
+      return `Invalid operator '${filter.op}' for the ${fieldSpec.label} filter.`;
+    }
+    const { value } = filter;
+    const isValidValue = fieldSpec.type === 'number'
+      ? typeof value === 'number' && Number.isFinite(value)
+      : fieldSpec.type === 'text'
+        ? Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim() !== '')
+        : typeof value === 'string' && value.trim() !== '';
+    if (!isValidValue) {
+      return `Invalid value for the ${fieldSpec.label} filter.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a player passes every filter. A player missing a filtered field (e.g. no games played
+ * recorded) doesn't pass, except for "is none of" / "does not include" filters.
+ * @param {object} player - A player from the index.
+ * @param {Array<{field: string, op: string, value: *}>} [filters=[]] - The room's (validated) filters.
+ * @returns {boolean} True if the player can be drafted.
+ */
+export function matchesPlayerFilters(player, filters = []) {
+  return filters.every(({ field, op, value }) => {
+    const playerValue = player?.[field];
+    switch (op) {
+      case 'gte':
+      case 'lte': {
+        const number = typeof playerValue === 'number' ? playerValue : parseFloat(playerValue);
+        if (Number.isNaN(number)) return false;
+        return op === 'gte' ? number >= value : number <= value;
+      }
+      case 'in':
+      case 'not_in': {
+        const isListed = playerValue != null && value.some(item => item.trim().toLowerCase() === String(playerValue).toLowerCase());
+        return op === 'in' ? isListed : !isListed;
+      }
+      case 'includes':
+      case 'excludes': {
+        const items = String(playerValue || '').split(',').map(item => item.trim().toLowerCase());
+        const isIncluded = items.includes(value.trim().toLowerCase());
+        return op === 'includes' ? isIncluded : !isIncluded;
+      }
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Describes a filter for people (e.g. "Age at most 25").
+ * @param {{field: string, op: string, value: *}} filter - A valid filter.
+ * @returns {string} The description.
+ */
+export function describePlayerFilter({ field, op, value }) {
+  const fieldSpec = PLAYER_FILTER_FIELDS[field];
+  const shownValue = Array.isArray(value) ? value.join(', ') : field === 'cap_hit' ? `$${value.toLocaleString('en-US')}` : value;
+  return `${fieldSpec?.label || field} ${PLAYER_FILTER_OPERATORS[fieldSpec?.type]?.[op] || op} ${shownValue}`;
+}
@@ -0,0 +1,199 @@
+// playerPool.mjs
+// Custom player pools (prospects, AHL players, a beer league roster...) uploaded for a single room,
+// shared by the client (preview on the start screen) and the server (validation).
+
+/** Largest pool a room can use, in players. */
+export const MAX_POOL_PLAYERS = 2000;
+
+/** Largest pool file accepted, in characters (kept under Socket.IO's default 1 MB message limit). */
+export const MAX_POOL_FILE_LENGTH = 500 * 1000;
+
+const MAX_NAME_LENGTH = 60;
+const MAX_TEAM_LENGTH = 60;
+const MAX_REPORTED_ERRORS = 5;
+
+/**
+ * Pool columns and the header names accepted for each (case-insensitive), in order of preference.
+ * The index's own field names work too, so an index export can be uploaded as is.
+ */
+export const POOL_COLUMNS = {
+  name: ['name', 'player', 'player name'],
+  position: ['pos', 'position'],
+  salary: ['salary', 'cap_hit', 'cap hit'],
+  team: ['team', 'team name', 'city']
+};
+
+// Position as written in a pool -> { pos, position } as in the player index
+const POOL_POSITIONS = {
+  C: { pos: 'C', position: 'F' },
+  L: { pos: 'L', position: 'F' },
+  LW: { pos: 'L', position: 'F' },
+  R: { pos: 'R', position: 'F' },
+  RW: { pos: 'R', position: 'F' },
+  W: { pos: 'L/R', position: 'F' },
+  F: { pos: 'F', position: 'F' },
+  D: { pos: 'D', position: 'D' },
+  G: { pos: 'G', position: 'G' }
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings).
+ * @param {string} text - The CSV file contents. The first row is the header.
+ * @returns {object[]} One object per data row, keyed by header. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field.');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...dataRows] = rows;
+  const columns = header.map(column => column.replace(/^\uFEFF/, '').trim());
+  return dataRows
+    .filter(cells => cells.some(cell => cell.trim() !== ''))
+    .map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+}
+
+// Reads a pool column from a row, under the first of its accepted header names the row has
+function readColumn(row, column) {
+  const headers = Object.keys(row);
+  const key = POOL_COLUMNS[column]
+    .map(alias => headers.find(header => header.trim().toLowerCase() === alias))
+    .find(header => header !== undefined);
+  const value = key === undefined ? undefined : row[key];
+  return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Parses and validates an uploaded player pool.
+ * Each row needs a name and a position (C, L/LW, R/RW, W, F, D or G, or several joined by '/');
+ * salary (e.g. 850000 or $850,000) and team are optional. Players get ids 1..n in file order.
+ * @param {string} text - The file contents.
+ * @param {string} format - 'csv' or 'json' (an array of objects).
+ * @returns {{players: object[], errors: string[]}} Players shaped like the player index
+ *   ({ id, p_id, name, pos, position, cap_hit, aav, team_id, team_url, city }), or what's wrong with the file.
+ *   Only a few row errors are listed; the pool is unusable if there are any.
+ */
+export function parsePlayerPool(text, format) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { players: [], errors: ['The player pool file is empty.'] };
+  }
+  if (text.length > MAX_POOL_FILE_LENGTH) {
+    return { players: [], errors: [`The player pool file is too large (max ${Math.round(MAX_POOL_FILE_LENGTH / 1000)} KB).`] };
+  }
+
+  let rows;
+  try {
+    if (format === 'csv') {
+      rows = parseCsv(text);
+    } else if (format === 'json') {
+      rows = JSON.parse(text);
+      if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+        return { players: [], errors: ['A JSON player pool must be an array of player objects.'] };
+      }
+    } else {
+      return { players: [], errors: ['The player pool must be a .csv or .json file.'] };
+    }
+  } catch (err) {
+    return { players: [], errors: [`The player pool file can't be read: ${err.message}`] };
+  }
+  if (rows.length === 0) {
+    return { players: [], errors: ['The player pool has no players.'] };
+  }
+  if (rows.length > MAX_POOL_PLAYERS) {
+    return { players: [], errors: [`The player pool has ${rows.length} players (max ${MAX_POOL_PLAYERS}).`] };
+  }
+
+  const players = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const label = `Row ${index + 1}`;
+    const name = readColumn(row, 'name');
+    const positionText = readColumn(row, 'position').toUpperCase();
+    const salaryText = readColumn(row, 'salary').replace(/[$,\s]/g, '');
+    const team = readColumn(row, 'team');
+
+    const positions = positionText.split(/[\/,\s]+/).filter(Boolean).map(position => POOL_POSITIONS[position]);
+    const salary = salaryText === '' ? 0 : Number(salaryText);
+    let error = null;
+    if (!name) {
+      error = 'name is missing';
+    } else if (name.length > MAX_NAME_LENGTH) {
+      error = `name is longer than ${MAX_NAME_LENGTH} characters`;
+    } else if (positions.length === 0 || positions.includes(undefined)) {
+      error = `position '${positionText}' isn't one of C, L, R, W, F, D or G`;
+    } else if (new Set(positions.map(({ position }) => position)).size > 1) {
+      error = `position '${positionText}' mixes skater and goalie positions`;
+    } else if (!Number.isInteger(salary) || salary < 0) {
+      error = `salary '${readColumn(row, 'salary')}' isn't a whole number of dollars`;
+    } else if (team.length > MAX_TEAM_LENGTH) {
+      error = `team is longer than ${MAX_TEAM_LENGTH} characters`;
+    }
+    if (error) {
+      errors.push(`${label}${name ? ` (${name})` : ''}: ${error}.`);
+      return;
+    }
+
+    const id = index + 1;
+    players.push({
+      id: id,
+      p_id: `pool-${id}`,
+      name: name,
+      pos: [...new Set(positions.flatMap(({ pos }) => pos.split('/')))].join('/'),
+      position: positions[0].position,
+      cap_hit: salary,
+      aav: salary,
+      team_id: null, // Pool teams aren't NHL teams, so they take no part in expansion drafts
+      team_url: null,
+      city: team || null
+    });
+  });
+
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    errors.splice(MAX_REPORTED_ERRORS, errors.length, `...and ${errors.length - MAX_REPORTED_ERRORS} more rows with errors.`);
+  }
+  return { players: errors.length > 0 ? [] : players, errors };
+}
+
+/**
+ * Returns the pool format for a file name.
+ * @param {string} fileName - The uploaded file's name.
+ * @returns {string|null} 'csv', 'json', or null if the extension isn't supported.
+ */
+export function getPoolFormat(fileName) {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return ['csv', 'json'].includes(extension) ? extension : null;
+}
@@ -0,0 +1,127 @@
+// rosterSlots.mjs
+// Roster slot model, shared by the client (table layout, search filtering) and the server (pick validation).
+
+/**
+ * Roster slot types, in display order, with the player positions (`pos`: C, L, R, D, G) eligible for each.
+ * A roster template (settings.playersPerPos) maps any of these keys to a slot count.
+ */
+export const ROSTER_SLOT_TYPES = {
+  C: { label: 'Centers', eligible: ['C'] },
+  LW: { label: 'Left Wings', eligible: ['L'] },
+  RW: { label: 'Right Wings', eligible: ['R'] },
+  F: { label: 'Forwards', eligible: ['C', 'L', 'R'] },
+  D: { label: 'Defense', eligible: ['D'] },
+  UTIL: { label: 'Utility', eligible: ['C', 'L', 'R', 'D'] },
+  G: { label: 'Goalies', eligible: ['G'] },
+  BN: { label: 'Bench', eligible: ['C', 'L', 'R', 'D', 'G'] }
+};
+
+/** Preset roster templates offered on the start screen. */
+export const ROSTER_TEMPLATES = {
+  classic: { label: 'Classic (Forwards / Defense / Goalies)', slots: { F: 12, D: 6, G: 2 } },
+  fantasy: { label: 'Fantasy (C / LW / RW / D / G, Utility and Bench)', slots: { C: 2, LW: 2, RW: 2, D: 4, UTIL: 1, G: 2, BN: 4 } }
+};
+
+/** Most slots a roster template can have in all (an expansion roster needs one per NHL team). */
+export const MAX_ROSTER_SIZE = 50;
+
+// Fallback when a player has no precise position
+const COARSE_POSITIONS = { F: ['C', 'L', 'R'], D: ['D'], G: ['G'] };
+
+/**
+ * Returns the precise positions a player can play.
+ * `pos` may list several positions (e.g. "C/L"); players without one fall back to their F/D/G `position`.
+ * @param {object} player - A player or pick ({ pos, position }).
+ * @returns {string[]} Positions out of C, L, R, D and G.
+ */
+export function getPlayerPositions(player) {
+  const positions = String(player?.pos || '').toUpperCase().split(/[\/,\s]+/)
+    .filter(pos => ['C', 'L', 'R', 'D', 'G'].includes(pos));
+  return positions.length > 0 ? positions : (COARSE_POSITIONS[player?.position] || []);
+}
+
+/**
+ * Checks whether a player can fill a slot type.
+ * @param {object} player - A player or pick ({ pos, position }).
+ * @param {string} slotType - A key of ROSTER_SLOT_TYPES.
+ * @returns {boolean} True if any of the player's positions is eligible for the slot.
+ */
+export function isEligibleForSlot(player, slotType) {
+  const eligible = ROSTER_SLOT_TYPES[slotType]?.eligible || [];
+  return getPlayerPositions(player).some(pos => eligible.includes(pos));
+}
+
+/**
+ * Validates a roster template.
+ * @param {object} playersPerPos - Slot type -> number of slots.
+ * @returns {string|null} An error message, or null if the template is valid.
+ */
+export function validateRosterTemplate(playersPerPos) {
+  if (!playersPerPos || typeof playersPerPos !== 'object') {
+    return "Invalid player position settings provided.";
+  }
+  for (const [slotType, count] of Object.entries(playersPerPos)) {
+    if (!Object.hasOwn(ROSTER_SLOT_TYPES, slotType)) { // Not inherited keys like 'constructor'
+      return `Unknown roster slot type '${slotType}'.`;
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      return `Invalid player count for position ${slotType}.`;
+    }
+  }
+  const rosterSize = Object.values(playersPerPos).reduce((sum, count) => sum + count, 0);
+  if (rosterSize === 0) {
+    return "Total players per team cannot be zero.";
+  }
+  if (rosterSize > MAX_ROSTER_SIZE) {
+    return `Total players per team cannot be more than ${MAX_ROSTER_SIZE}.`;
+  }
+  return null;
+}
+
+/**
+ * Assigns a team's players to the slots of a roster template.
+ * Players can move between the slots they're eligible for (a center can sit in C, F, UTIL or BN),
+ * so this finds a full matching rather than filling slots greedily.
+ * @param {object} playersPerPos - The roster template (slot type -> number of slots).
+ * @param {object[]} players - The team's players or picks ({ pos, position }).
+ * @returns {string[]|null} The slot type for each player (same order), or null if they can't all fit.
+ */
+export function assignRosterSlots(playersPerPos, players) {
+  // One entry per slot, in display order, so players prefer their most specific slot
+  const slots = [];
+  Object.keys(ROSTER_SLOT_TYPES).forEach(slotType => {
+    for (let i = 0; i < (playersPerPos[slotType] || 0); i++) slots.push(slotType);
+  });
+  if (players.length > slots.length) {
+    return null;
+  }
+
+  const slotOwner = new Array(slots.length).fill(-1);
+  const eligibleSlots = players.map(player => slots
+    .map((slotType, slotIndex) => (isEligibleForSlot(player, slotType) ? slotIndex : -1))
+    .filter(slotIndex => slotIndex >= 0));
+
+  // Augmenting path search: take a free slot, or move its current player to another of theirs
+  const tryAssign = (playerIndex, visited) => {
+    for (const slotIndex of eligibleSlots[playerIndex]) {
+      if (visited.has(slotIndex)) continue;
+      visited.add(slotIndex);
+      if (slotOwner[slotIndex] === -1 || tryAssign(slotOwner[slotIndex], visited)) {
+        slotOwner[slotIndex] = playerIndex;
+        return true;
+      }
+    }
+    return false;
+  };
+  for (let playerIndex = 0; playerIndex < players.length; playerIndex++) {
+    if (!tryAssign(playerIndex, new Set())) {
+      return null;
+    }
+  }
+
+  const assignment = new Array(players.length);
+  slotOwner.forEach((playerIndex, slotIndex) => {
+    if (playerIndex >= 0) assignment[playerIndex] = slots[slotIndex];
+  });
+  return assignment;
+}
@@ -1,5 +1,9 @@
 // script.js
-import { playersIndex as playersIndexData, searchPlayers, getTeamLogoPath } from "./PlayerIndex_2024-25.mjs";
+import { DRAFT_ORDER_TYPES, MAX_TEAMS, validateDraftOrder, buildPickOrder, getOpenSlots } from "./draftOrder.mjs";
+import { ROSTER_SLOT_TYPES, ROSTER_TEMPLATES, MAX_ROSTER_SIZE, getPlayerPositions, validateRosterTemplate, assignRosterSlots } from "./rosterSlots.mjs";
+import { PROTECTION_SCHEMES, hasNoMoveClause, getExpansionRosterTemplate } from "./expansionDraft.mjs";
+import { parsePlayerPool, getPoolFormat } from "./playerPool.mjs";
+import { PLAYER_FILTER_FIELDS, PLAYER_FILTER_OPERATORS, getPlayerFilterPresets, validatePlayerFilters, matchesPlayerFilters, describePlayerFilter } from "./playerFilters.mjs";
 
 document.addEventListener("DOMContentLoaded", () => {
 
@@ -9,8 +13,18 @@ document.addEventListener("DOMContentLoaded", () => {
     let tempDraftSettings = {};
     let currentServerState = null; // Holds the full state received from the server for the current room
     let currentRoomCode = null;    // The code of the room the client is currently in
+    let myParticipantId = null;    // This client's identity in the current room (stable across refreshes and reconnects)
     let attemptingRejoin = false;  // Flag to manage the rejoin process on page load/refresh
-    const playersIndex = playersIndexData; // Local copy of all player data
+    let pickClockInterval = null;  // Interval updating the pick clock countdown in the header
+    let chatMessages = [];         // The current room's chat, oldest first (history on join, then live messages)
+    let unreadChatCount = 0;       // Messages received while the chat panel is collapsed
+    let uploadedPlayerPool = null; // The pool file chosen on the start screen: { fileName, text, players }
+    let playerFilterRowCount = 0;  // Filter rows added on the start screen so far (gives each its own suggestion list)
+    let playerSearchTimer = null;  // Debounce timeout for the player search being typed
+    let latestPlayerSearch = 0;    // Id of the latest player search; responses to earlier ones are dropped
+    let latestFilterCount = 0;     // Id of the latest start screen filter count, likewise
+    const playerDatasetInfo = new Map(); // Season -> { playerCount, nhlTeamCount, filterValues }, from /api/player-datasets
+    const playerRecords = new Map(); // Player id -> record, for the players of the current room fetched so far (tooltips, picks)
 
     // ==========================================================================
     // Socket.IO Connection
@@ -32,31 +46,112 @@ document.addEventListener("DOMContentLoaded", () => {
     const closeSettingsButton = document.getElementById("close-settings-button");
     const exitDraftButton = document.getElementById("exit-draft-button");
     const undoButton = document.getElementById("undo-button");
+    const pauseButton = document.getElementById("pause-button");
     const confirmTableNamesButton = document.getElementById("confirm-table-names-button");
     const cancelTableNamesButton = document.getElementById("cancel-table-names-button");
     const copyRoomCodeButton = document.getElementById('copy-room-code-button');
     const confirmExitButton = document.getElementById('confirm-exit-button');
     const cancelExitButton = document.getElementById('cancel-exit-button');
+    const endDraftButton = document.getElementById('end-draft-button');
+    const tradesButton = document.getElementById('trades-button');
+    const closeTradesButton = document.getElementById('close-trades-button');
+    const proposePickTradeButton = document.getElementById('propose-pick-trade-button');
+    const proposePlayerTradeButton = document.getElementById('propose-player-trade-button');
+    const lockKeepersButton = document.getElementById('lock-keepers-button');
+    const saveProtectionButton = document.getElementById('save-protection-button');
+    const lockProtectionButton = document.getElementById('lock-protection-button');
+    const placeBidButton = document.getElementById('place-bid-button');
+    const createInviteButton = document.getElementById('create-invite-button');
     // --- Inputs & Displays ---
+    const seasonSelect = document.getElementById("season");
+    const playerPoolFileInput = document.getElementById("playerPoolFile");
+    const playerPoolStatus = document.getElementById("player-pool-status");
+    const playerPoolSummary = document.getElementById("player-pool-summary");
+    const clearPlayerPoolButton = document.getElementById("clear-player-pool-button");
+    const playerFilterList = document.getElementById("player-filter-list");
+    const playerFilterPresetSelect = document.getElementById("playerFilterPreset");
+    const addPlayerFilterButton = document.getElementById("add-player-filter-button");
+    const playerFilterSummary = document.getElementById("player-filter-summary");
     const tableCountInput = document.getElementById("tableCount");
-    const numForwardsInput = document.getElementById("numForwards");
-    const numDefendersInput = document.getElementById("numDefenders");
-    const numGoaltendersInput = document.getElementById("numGoaltenders");
-    const serpentineOrderCheckbox = document.getElementById("serpentineOrder");
+    const rosterTemplateSelect = document.getElementById("rosterTemplate");
+    const rosterSlotInputs = Array.from(document.querySelectorAll('#roster-slot-inputs input[data-slot-type]'));
+    const draftOrderTypeSelect = document.getElementById("draftOrderType");
+    const customOrderGroup = document.getElementById("custom-order-group");
+    const customOrderInput = document.getElementById("customOrderInput");
+    const draftOrderPreview = document.getElementById("draft-order-preview");
     const maxSalaryCapInput = document.getElementById("maxSalaryCap");
+    const capModeSelect = document.getElementById("capMode");
+    const pickTimeLimitInput = document.getElementById("pickTimeLimit");
+    const autoPickBySelect = document.getElementById("autoPickBy");
+    const maxKeepersInput = document.getElementById("maxKeepers");
+    const draftModeSelect = document.getElementById("draftMode");
+    const auctionSettingsGroup = document.getElementById("auction-settings-group");
+    const minBidInput = document.getElementById("minBid");
+    const bidIncrementInput = document.getElementById("bidIncrement");
+    const bidTimeLimitInput = document.getElementById("bidTimeLimit");
+    const expansionSettingsGroup = document.getElementById("expansion-settings-group");
+    const protectionSchemeSelect = document.getElementById("protectionScheme");
+    const capFloorInput = document.getElementById("capFloor");
+    const keeperRoundSelect = document.getElementById("keeperRound");
+    const accessModeSelect = document.getElementById("accessMode");
+    const roomPasswordGroup = document.getElementById("room-password-group");
+    const roomPasswordInput = document.getElementById("roomPassword");
     const roomCodeInput = document.getElementById("roomCodeInput");
+    const joinPasswordInput = document.getElementById("joinPasswordInput");
+    const inviteTypeSelect = document.getElementById("inviteType");
+    const inviteLinkOutput = document.getElementById("invite-link-output");
     const turnCounterElement = document.getElementById("turn-counter");
+    const pausedBannerElement = document.getElementById("paused-banner");
+    const spectatorBannerElement = document.getElementById("spectator-banner");
+    const playerFiltersBannerElement = document.getElementById("player-filters-banner");
+    const joinAsSpectatorCheckbox = document.getElementById("joinAsSpectator");
+    const displayNameInput = document.getElementById("displayNameInput");
+    const presenceRosterElement = document.getElementById("presence-roster");
+    const keeperBannerElement = document.getElementById("keeper-banner");
+    const keeperBannerText = document.getElementById("keeper-banner-text");
+    const auctionPanel = document.getElementById("auction-panel");
+    const auctionLotText = document.getElementById("auction-lot-text");
+    const auctionBidControls = document.getElementById("auction-bid-controls");
+    const auctionBidTeamSelect = document.getElementById("auctionBidTeam");
+    const auctionBidAmountInput = document.getElementById("auctionBidAmount");
+    const auctionMaxBidText = document.getElementById("auction-max-bid");
+    const expansionPanel = document.getElementById("expansion-panel");
+    const expansionPanelText = document.getElementById("expansion-panel-text");
+    const protectionControls = document.getElementById("protection-controls");
+    const protectionTeamSelect = document.getElementById("protectionTeam");
+    const protectionPlayersSelect = document.getElementById("protectionPlayers");
     const settingsRoomCodeContainer = document.getElementById('settings-room-code-container');
     const settingsRoomCodeText = document.getElementById('settings-room-code-text');
     const tooltipElement = document.getElementById('player-tooltip');
+    const commissionerControls = document.getElementById('commissioner-controls');
+    const participantsListElement = document.getElementById('participants-list');
+    const chatPanel = document.getElementById('chat-panel');
+    const chatToggleButton = document.getElementById('chat-toggle-button');
+    const chatUnreadCountElement = document.getElementById('chat-unread-count');
+    const chatMessagesElement = document.getElementById('chat-messages');
+    const chatInput = document.getElementById('chatInput');
+    const sendChatButton = document.getElementById('send-chat-button');
+    const tradeFromTeamSelect = document.getElementById('tradeFromTeam');
+    const tradeToTeamSelect = document.getElementById('tradeToTeam');
+    const tradeOfferedPicksSelect = document.getElementById('tradeOfferedPicks');
+    const tradeRequestedPicksSelect = document.getElementById('tradeRequestedPicks');
+    const tradeOfferedPlayersSelect = document.getElementById('tradeOfferedPlayers');
+    const tradeRequestedPlayersSelect = document.getElementById('tradeRequestedPlayers');
+    const pendingTradesList = document.getElementById('pending-trades-list');
     // --- Overlays ---
     const settingsOverlay = document.getElementById("settings-overlay");
     const tableNamesOverlay = document.getElementById("table-names-overlay");
     const tableNamesInputContainer = document.getElementById("table-names-input-container");
     const exitConfirmOverlay = document.getElementById('exit-confirm-overlay');
+    const tradesOverlay = document.getElementById('trades-overlay');
     // --- Padlock Icon URLs (PNGs) ---
     const PNG_PADLOCK_UNLOCKED = `https://img.icons8.com/?size=100&id=2EpwWHoO8HUY&format=png&color=FFFFFF`;
     const PNG_PADLOCK_LOCKED = `https://img.icons8.com/?size=100&id=NIcB9abivYMw&format=png&color=FFFFFF`;
+    // --- Player Search ---
+    const DEFAULT_TEAM_LOGO = '/images/logos/NHL.svg';
+    const PLAYER_SEARCH_PAGE_SIZE = 10;
+    const PLAYER_SEARCH_DELAY = 150; // ms to wait for more typing before searching
+    const MAX_TEAM_PLAYERS = 200; // The server's page size limit, enough for any NHL team
 
     // ==========================================================================
     // Initial Setup & Rejoin Logic
@@ -73,12 +168,42 @@ document.addEventListener("DOMContentLoaded", () => {
         if (loadingIndicatorElement) loadingIndicatorElement.style.display = 'none';
     }
 
-    /** Attempts to rejoin a draft room if a code is found in session storage. */
+    /** Returns the participant token this browser holds for a room, if any. */
+    function getStoredParticipantToken(roomCode) {
+        const tokens = JSON.parse(localStorage.getItem('participantTokens') || '{}');
+        return tokens[roomCode] || null;
+    }
+
+    /** Stores (or with a null token, forgets) this browser's participant token for a room. */
+    function storeParticipantToken(roomCode, participantToken) {
+        const tokens = JSON.parse(localStorage.getItem('participantTokens') || '{}');
+        if (participantToken) {
+            tokens[roomCode] = participantToken;
+        } else {
+            delete tokens[roomCode];
+        }
+        localStorage.setItem('participantTokens', JSON.stringify(tokens));
+    }
+
+    /**
+     * Attempts to rejoin a draft room if a code is found in session storage (after a refresh or a dropped connection).
+     * An invite link (?room=CODE&invite=TOKEN) takes priority, and is removed from the address bar once used.
+     */
     function attemptRejoinOnLoad() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const inviteRoomCode = urlParams.get('room')?.trim().toUpperCase();
+        const inviteToken = urlParams.get('invite');
+        if (inviteRoomCode && inviteToken) {
+            history.replaceState(null, '', window.location.pathname); // The token may be single-use; don't resend it on refresh
+            attemptingRejoin = true;
+            socket.emit('join_draft', { roomCode: inviteRoomCode, participantToken: getStoredParticipantToken(inviteRoomCode), inviteToken, displayName: readDisplayName() });
+            return;
+        }
+
         const storedCode = sessionStorage.getItem('currentRoomCode'); // Re-check in case it was cleared
-        if (storedCode && !currentRoomCode) { // Prevent re-emitting if already joined
+        if (storedCode) { // Each connection is a new socket, so it always has to join
             attemptingRejoin = true;
-            socket.emit('join_draft', { roomCode: storedCode });
+            socket.emit('join_draft', { roomCode: storedCode, participantToken: getStoredParticipantToken(storedCode) });
         } else if (!storedCode && !currentRoomCode) {
             showStartScreen();
         } else {
@@ -93,10 +218,75 @@ document.addEventListener("DOMContentLoaded", () => {
         return; // Stop script execution
     }
 
+    // --- Remember the display name between visits ---
+    if (displayNameInput) {
+        displayNameInput.value = localStorage.getItem('displayName') || '';
+    }
+
+    // --- Populate the season picker from the datasets the server has (latest season by default) ---
+    fetch('/api/player-datasets')
+        .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+        .then(({ defaultSeason, datasets }) => {
+            datasets.forEach(({ season, playerCount, nhlTeamCount, filterValues }) => {
+                playerDatasetInfo.set(season, { playerCount, nhlTeamCount, filterValues });
+            });
+            if (seasonSelect) {
+                datasets.forEach(({ season, playerCount }) => {
+                    const option = document.createElement('option');
+                    option.value = season;
+                    option.textContent = `${season} (${playerCount} players)`;
+                    option.selected = season === defaultSeason;
+                    seasonSelect.appendChild(option);
+                });
+            }
+            populatePlayerFilterPresets();
+            updateDraftModeSettings();
+            updatePlayerFilterSummary();
+        })
+        .catch(err => console.error("Failed to load the list of player seasons:", err));
+
+    // --- Populate draft order choices (snake by default) ---
+    if (draftOrderTypeSelect) {
+        Object.entries(DRAFT_ORDER_TYPES).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            option.selected = type === 'snake';
+            draftOrderTypeSelect.appendChild(option);
+        });
+    }
+
+    // --- Populate roster template presets (classic by default) ---
+    if (rosterTemplateSelect) {
+        [...Object.entries(ROSTER_TEMPLATES), ['custom', { label: 'Custom' }]].forEach(([key, { label }]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            option.selected = key === 'classic';
+            rosterTemplateSelect.appendChild(option);
+        });
+    }
+
+    // --- Populate expansion draft protection schemes (7-3-1 by default) ---
+    if (protectionSchemeSelect) {
+        Object.entries(PROTECTION_SCHEMES).forEach(([key, { label }]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            option.selected = key === '7-3-1';
+            protectionSchemeSelect.appendChild(option);
+        });
+    }
+
     // ==========================================================================
     // Helper Functions
     // ==========================================================================
 
+    /** Escapes text for use inside HTML (player names from custom pools are user-supplied). */
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
     /** Formats a number as USD currency without cents. */
     function formatCurrency(value) {
         const number = parseInt(value, 10); // Always specify radix
@@ -118,25 +308,95 @@ document.addEventListener("DOMContentLoaded", () => {
         return Object.values(playersPerPos).reduce((sum, count) => sum + (count || 0), 0);
     }
 
+    /** Returns a team's display name. */
+    function getTeamName(state, teamId) {
+        return state?.settings?.tableNames?.[teamId] || `Team ${teamId + 1}`;
+    }
+
+    /** Formats a pick slot from the ledger, e.g. "R3 #13" or "R3 #13 (from Team 2)" if acquired by trade. */
+    function formatPickSlot(slot, state) {
+        const label = `R${slot.round} #${slot.overall}`;
+        return slot.ownerTeamId !== slot.teamId ? `${label} (from ${getTeamName(state, slot.teamId)})` : label;
+    }
+
+    /** Returns the slots of the pick sequence that haven't been used yet (by a pick or a keeper). */
+    function getFuturePickSlots(state) {
+        return getOpenSlots(state?.pickOrder, state?.picks);
+    }
+
+    /** Returns the current slot ({ overall, round, pickInRound, teamId, ownerTeamId }) from the server's pick sequence. */
+    function getCurrentPickSlot(state) {
+        return getFuturePickSlots(state)[0] || null;
+    }
+
+    /**
+     * Returns the most a team can bid in an auction while keeping enough budget
+     * to fill its other open roster slots at the minimum bid (mirrors the server's rule).
+     */
+    function getMaxBid(state, teamId) {
+        const { maxSalary, minBid } = state.settings;
+        const teamPicks = (state.picks || []).filter(p => p.teamId === teamId);
+        const openSlots = getTotalSlotsPerTable(state) - teamPicks.length;
+        if (openSlots <= 0) return 0;
+        const spent = teamPicks.reduce((sum, p) => sum + (parseInt(p.salary, 10) || 0), 0);
+        return Math.max(0, maxSalary - spent - minBid * (openSlots - 1));
+    }
+
+    /** Checks whether this client can set keepers for a team (its seat holder or the commissioner). */
+    function canEditKeepers(state, teamId) {
+        return !!state?.isKeeperPhase && (holdsSeat(state, teamId) || isCommissioner(state));
+    }
+
     /** Calculates the current draft round number. */
     function getCurrentRound(state) {
-        const numTables = state?.settings?.numTables;
-        if (!numTables || numTables <= 0) return 1;
-        const totalSlotsPerTable = getTotalSlotsPerTable(state);
-        if (totalSlotsPerTable === 0) return 1;
-        const picksMade = state.picks?.length || 0;
-        return Math.floor(picksMade / numTables) + 1;
+        return getCurrentPickSlot(state)?.round ?? 1;
+    }
+
+    /** Parses the custom order textarea: one round per line, 1-based team numbers separated by commas. */
+    function parseCustomOrder(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => line.split(/[\s,]+/).filter(part => part.length > 0).map(part => parseInt(part, 10) - 1));
     }
 
-    /** Filters local playersIndex for available players by position, excluding selected ones. */
-    function getAvailablePlayers(position) {
-        if (!Array.isArray(playersIndex)) {
-            console.error("playersIndex is not loaded or not an array.");
-            return [];
+    /** Reads the draft order settings from the start screen inputs. */
+    function readDraftOrderFromInputs() {
+        const type = draftOrderTypeSelect?.value || 'snake';
+        if (type === 'custom') {
+            return { type, customOrder: parseCustomOrder(customOrderInput?.value || '') };
         }
-        return playersIndex.filter(player =>
-            player.position === position
-        );
+        return { type };
+    }
+
+    /**
+     * Places a team's picks into the slots of the room's roster template.
+     * Returns slot type -> picks in that slot type, in pick order.
+     */
+    function getRosterLayout(state, teamId) {
+        const playersPerPos = state.settings.playersPerPos || {};
+        const teamPicks = (state.picks || []).filter(p => p.teamId === teamId);
+        const assignment = assignRosterSlots(playersPerPos, teamPicks);
+        if (!assignment) {
+            console.warn(`[Roster Layout] Team ${teamId}'s picks don't fit the roster template.`);
+        }
+
+        const layout = {};
+        Object.keys(playersPerPos).forEach(slotType => { layout[slotType] = []; });
+        teamPicks.forEach((pick, index) => {
+            const slotType = assignment?.[index];
+            if (slotType) layout[slotType].push(pick);
+        });
+        return layout;
+    }
+
+    /** Reads the roster template (slot type -> count) from the start screen inputs. */
+    function readRosterTemplateFromInputs() {
+        const playersPerPos = {};
+        rosterSlotInputs.forEach(input => {
+            playersPerPos[input.dataset.slotType] = parseInt(input.value, 10);
+        });
+        return playersPerPos;
     }
 
     /** Maps server picks array to a nested object structure: { teamId: { slotIndex: pickData } }. */
@@ -176,6 +436,98 @@ document.addEventListener("DOMContentLoaded", () => {
         return mappedPicks;
     }
 
+    /** Formats a duration in milliseconds as m:ss. */
+    function formatClock(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Converts the server's pickDeadline to local time using the serverTime sent with the state,
+     * so the countdown is correct even if this machine's clock is off.
+     */
+    function syncPickDeadline(draftState) {
+        draftState.localPickDeadline = (draftState.pickDeadline && draftState.serverTime)
+            ? Date.now() + (draftState.pickDeadline - draftState.serverTime)
+            : null;
+    }
+
+    /**
+     * Searches the current room's players on the server (see /api/rooms/:roomCode/players), remembering
+     * the records received so tooltips and picks can use them.
+     * @param {object} params - Query parameters: q, position, team, available, offset, limit.
+     * @returns {Promise<{total: number, offset: number, players: object[]}>} The requested page of matches.
+     */
+    function searchRoomPlayers(params) {
+        const roomCode = currentRoomCode;
+        return fetch(`/api/rooms/${encodeURIComponent(roomCode)}/players?${new URLSearchParams(params)}`, {
+            headers: { 'X-Participant-Token': getStoredParticipantToken(roomCode) || '' }
+        })
+            .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+            .then(results => {
+                if (roomCode === currentRoomCode) {
+                    results.players.forEach(player => playerRecords.set(player.id, player));
+                }
+                return results;
+            });
+    }
+
+    /** Returns the logo for an NHL team (by team_url) from the room's logos, or the league logo. */
+    function getTeamLogoPath(teamUrl) {
+        return currentServerState?.teamLogos?.[teamUrl] || DEFAULT_TEAM_LOGO;
+    }
+
+    /** Returns a readable label for a participant (e.g. the one holding a seat). */
+    function getParticipantLabel(participantId, state) {
+        if (participantId === myParticipantId) return 'You';
+        return state?.members?.[participantId]?.displayName || 'Another participant';
+    }
+
+    /** Checks whether this client holds the seat for a team. */
+    function holdsSeat(state, teamId) {
+        return !!state?.seats && !!myParticipantId && state.seats[teamId] === myParticipantId;
+    }
+
+    /** Checks whether this client is the room's commissioner. */
+    function isCommissioner(state) {
+        return !!state && !!myParticipantId && state.commissionerId === myParticipantId;
+    }
+
+    /** Checks whether this client only watches the draft (joined as a spectator). */
+    function isSpectating(state) {
+        return !!myParticipantId && state?.members?.[myParticipantId]?.role === 'spectator';
+    }
+
+    /** Checks whether this client can void or replace a pick (commissioner only; keepers are changed in the keeper phase). */
+    function canCorrectPick(state, pick) {
+        return isCommissioner(state) && !state.isEnded && !state.auction?.lot && !pick.isKeeper;
+    }
+
+    /** Returns the team on the clock (picking or nominating), or null when nobody is (between phases, during a lot, or after the draft). */
+    function getTeamOnClock(state) {
+        const totalSlots = state.settings.numTables * getTotalSlotsPerTable(state);
+        if (state.isEnded || state.isKeeperPhase || state.isProtectionPhase || state.auction?.lot || (state.picks?.length || 0) >= totalSlots) {
+            return null;
+        }
+        return state.nextTableToPick ?? null;
+    }
+
+    /** Returns the display name typed on the start screen (remembered for next time), or undefined to let the server pick one. */
+    function readDisplayName() {
+        const displayName = displayNameInput?.value.trim();
+        if (!displayName) return undefined;
+        localStorage.setItem('displayName', displayName);
+        return displayName;
+    }
+
+    /** Checks whether a team's seat is held by nobody currently in the room (the commissioner can pick for it). */
+    function isTeamAbsent(state, teamId) {
+        const holderId = state?.seats?.[teamId];
+        return !holderId || !(state.participants || []).includes(holderId);
+    }
+
     // ==========================================================================
     // Column Width Uniformity Function
     // ==========================================================================
@@ -249,7 +601,7 @@ document.addEventListener("DOMContentLoaded", () => {
         // Find related elements
         const inputElement = targetElement.closest('.player-name-cell')?.querySelector('.player-search-input');
         const searchResultsContainer = inputElement?.nextElementSibling;
-        const player = playersIndex.find(p => p.id === playerId);
+        const player = playerRecords.get(playerId);
 
         if (!player || !searchResultsContainer) {
             hidePlayerTooltip(); // Hide if data or container is missing
@@ -261,10 +613,14 @@ document.addEventListener("DOMContentLoaded", () => {
         const playerAge = player.age ?? 'N/A';
         const playerPosition = player.position;
 
+        const season = currentServerState?.settings?.season;
         let statsHtml = '';
-        if (playerPosition === 'G') {
+        if (currentServerState?.settings?.customPool) {
+            // Custom pools have no stats, only the team the player was listed with
+            statsHtml = player.city ? `<br>Team: ${escapeHtml(player.city)}` : '';
+        } else if (playerPosition === 'G') {
             statsHtml = `
-                <br><br><strong>Stats (2024-25)</strong><br>
+                <br><br><strong>Stats (${season})</strong><br>
                 GP: ${player.st_gp ?? 0}<br>
                 W-L: ${player.st_w ?? 0}-${player.st_l ?? 0}<br>
                 Sv%: ${typeof player.st_svp === 'number' ? player.st_svp.toFixed(3) : 'N/A'}<br>
@@ -273,7 +629,7 @@ document.addEventListener("DOMContentLoaded", () => {
             `;
         } else { // Skater
             statsHtml = `
-                <br><br><strong>Stats (2024-25)</strong><br>
+                <br><br><strong>Stats (${season})</strong><br>
                 GP: ${player.st_gp ?? 0}<br>
                 G: ${player.st_g ?? 0}<br>
                 A: ${player.st_a ?? 0}<br>
@@ -282,7 +638,8 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         tooltipElement.innerHTML = `
-            <strong>${player.name}</strong><br>
+            <strong>${escapeHtml(player.name)}</strong><br>
+            Pos: ${getPlayerPositions(player).join('/') || playerPosition}<br>
             Age: ${playerAge}<br>
             Cap Hit: ${capHitFormatted}
             ${statsHtml}
@@ -342,44 +699,11 @@ document.addEventListener("DOMContentLoaded", () => {
 
         if (!roomState || !roomState.settings) {
             console.warn("[Render] Invalid state received, showing start screen.");
-            document.documentElement.style.removeProperty('--vertical-label-row-multiplier');
-            document.documentElement.style.removeProperty('--second-vertical-label-row-multiplier');
             showStartScreen(); // Revert to start if state is invalid
             return;
         }
         currentServerState = roomState; // Update the global state reference
 
-        // Update CSS variable for vertical label height multiplier
-        if (currentServerState.settings.playersPerPos) {
-            const { F: numForwards, D: numDefenders, G: numGoaltenders } = currentServerState.settings.playersPerPos;
-
-            // Handle Forwards multiplier
-            if (typeof numForwards === 'number' && numForwards >= 0) {
-                document.documentElement.style.setProperty('--vertical-label-row-multiplier', numForwards);
-            } else {
-                document.documentElement.style.removeProperty('--vertical-label-row-multiplier');
-            }
-
-            // Handle Defenders multiplier
-            if (typeof numDefenders === 'number' && numDefenders >= 0) {
-                document.documentElement.style.setProperty('--second-vertical-label-row-multiplier', numDefenders);
-            } else {
-                document.documentElement.style.removeProperty('--second-vertical-label-row-multiplier');
-            }
-
-            // Handle Goaltenders multiplier
-            if (typeof numGoaltenders === 'number' && numGoaltenders >= 0) {
-                document.documentElement.style.setProperty('--third-vertical-label-row-multiplier', numGoaltenders);
-            } else {
-                document.documentElement.style.removeProperty('--third-vertical-label-row-multiplier');
-            }
-        } else {
-            // If playersPerPos itself isn't available, remove both properties.
-            document.documentElement.style.removeProperty('--vertical-label-row-multiplier');
-            document.documentElement.style.removeProperty('--second-vertical-label-row-multiplier');
-            document.documentElement.style.removeProperty('--third-vertical-label-row-multiplier');
-        }
-
         // --- Clear Rejoin State & Update UI Visibility ---
         document.body.classList.remove('is-rejoining');
         if (loadingIndicatorElement) loadingIndicatorElement.style.display = 'none';
@@ -392,34 +716,40 @@ document.addEventListener("DOMContentLoaded", () => {
         if (maxSalaryCapInput) { // Update initial settings display if needed
              maxSalaryCapInput.value = currentServerState.settings.maxSalary;
         }
+        if (capModeSelect && currentServerState.settings.capMode) {
+             capModeSelect.value = currentServerState.settings.capMode;
+        }
+        // Spectators see the board without any of the controls
+        const spectating = isSpectating(currentServerState);
+        draftArea.classList.toggle('spectating', spectating);
+        spectatorBannerElement?.classList.toggle('hidden', !spectating);
+        const playerFilters = currentServerState.settings.playerFilters || [];
+        if (playerFiltersBannerElement) {
+            playerFiltersBannerElement.textContent = `Player filters: ${playerFilters.map(describePlayerFilter).join(' • ')}`;
+            playerFiltersBannerElement.classList.toggle('hidden', playerFilters.length === 0);
+        }
+        tradesButton?.classList.toggle('hidden', spectating);
         if (undoButton) {
-            undoButton.disabled = !currentServerState.picks || currentServerState.picks.length === 0;
+            undoButton.classList.toggle('hidden', spectating);
+            undoButton.disabled = !isCommissioner(currentServerState) || currentServerState.isEnded ||
+                !currentServerState.picks?.length || !!currentServerState.picks.at(-1).isKeeper; // Keepers can't be undone
         }
+        if (pauseButton) {
+            pauseButton.classList.toggle('hidden', !isCommissioner(currentServerState) || !!currentServerState.isEnded || !!currentServerState.isKeeperPhase || !!currentServerState.isProtectionPhase);
+            pauseButton.textContent = currentServerState.isPaused ? 'Resume' : 'Pause';
+            pauseButton.setAttribute('aria-label', currentServerState.isPaused ? 'Resume Draft' : 'Pause Draft');
+        }
+        pausedBannerElement?.classList.toggle('hidden', !currentServerState.isPaused);
+        renderKeeperBanner(currentServerState);
+        renderAuctionPanel(currentServerState);
+        renderExpansionPanel(currentServerState);
+        renderCommissionerControls(currentServerState);
+        renderPresenceRoster(currentServerState);
+        renderTradesOverlay(currentServerState);
 
         // --- Regenerate Draft Tables & Enable Inputs ---
         generateTablesFromServerState(currentServerState);
         
-        // --- Control visibility of vertical labels AFTER they are created ---
-        if (tablesContainer && currentServerState.settings.playersPerPos) {
-            const { F: numForwards, D: numDefenders, G: numGoaltenders } = currentServerState.settings.playersPerPos;
-
-            tablesContainer.querySelectorAll('.vertical-table-label').forEach(label => {
-                label.style.display = (typeof numForwards === 'number' && numForwards > 0) ? 'flex' : 'none';
-            });
-            tablesContainer.querySelectorAll('.vertical-table-label-second').forEach(label => {
-                label.style.display = (typeof numDefenders === 'number' && numDefenders > 0) ? 'flex' : 'none';
-            });
-            tablesContainer.querySelectorAll('.vertical-table-label-third').forEach(label => {
-                label.style.display = (typeof numGoaltenders === 'number' && numGoaltenders > 0) ? 'flex' : 'none';
-            });
-        } else if (tablesContainer) { // If playersPerPos is missing or no tablesContainer, hide all
-            tablesContainer.querySelectorAll(
-                '.vertical-table-label, .vertical-table-label-second, .vertical-table-label-third'
-            ).forEach(label => {
-                label.style.display = 'none';
-            });
-        }
-
         enableInputsFromServerState(currentServerState); // Enable inputs AFTER tables are generated
     }
 
@@ -431,7 +761,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
         const { numTables, tableNames, playersPerPos, maxSalary } = roomState.settings;
         const validPlayersPerPos = playersPerPos || {};
-        const activePositions = Object.keys(validPlayersPerPos).filter(pos => validPlayersPerPos[pos] > 0);
+        // Slot groups are always shown in the template's display order (C, LW, RW, F, D, UTIL, G, BN)
+        const activePositions = Object.keys(ROSTER_SLOT_TYPES).filter(slotType => validPlayersPerPos[slotType] > 0);
         const picksForState = roomState.picks || [];
 
         if (numTables < 1 || activePositions.length === 0) {
@@ -457,29 +788,28 @@ document.addEventListener("DOMContentLoaded", () => {
             // --- 1. Add Caption for Team Name ---
             const caption = table.createCaption();
             caption.classList.add('table-caption');
-            caption.contentEditable = "true";
+            // Only the commissioner or the team's seat holder can rename it
+            caption.contentEditable = (isCommissioner(roomState) || holdsSeat(roomState, i)) ? "true" : "false";
             caption.spellcheck = false;
             caption.textContent = currentTableName;
             // Add listener for table name editing
             caption.addEventListener('blur', handleTableNameEdit);
             caption.addEventListener('keydown', handleTableNameKeydown);
 
-            const verticalLabel = document.createElement("div");
-            verticalLabel.classList.add("vertical-table-label-base", "vertical-table-label");
-            verticalLabel.textContent = "Forwards";
-            table.appendChild(verticalLabel);
-
-            // Create and add the second vertical label
-            const verticalLabelSecond = document.createElement("div");
-            verticalLabelSecond.classList.add("vertical-table-label-base", "vertical-table-label-second");
-            verticalLabelSecond.textContent = "Defense";
-            table.appendChild(verticalLabelSecond);
-
-            // Create and add the third vertical label
-            const verticalLabelThird = document.createElement("div");
-            verticalLabelThird.classList.add("vertical-table-label-base", "vertical-table-label-third");
-            verticalLabelThird.textContent = "Goalies";
-            table.appendChild(verticalLabelThird);
+            // One vertical label per slot group, stacked below the header row in the same order as the rows
+            let rowsAbove = 0;
+            activePositions.forEach(slotType => {
+                const rowCount = validPlayersPerPos[slotType];
+                const verticalLabel = document.createElement("div");
+                verticalLabel.classList.add("vertical-table-label-base", "vertical-table-label", `vertical-table-label-${slotType}`);
+                verticalLabel.textContent = rowCount >= 2 ? ROSTER_SLOT_TYPES[slotType].label : slotType; // Full name only if it fits
+                verticalLabel.title = ROSTER_SLOT_TYPES[slotType].label;
+                verticalLabel.style.top = `calc(var(--caption-total-height) + var(--row-total-height) * ${rowsAbove + 1})`;
+                verticalLabel.style.height = `calc(var(--row-total-height) * ${rowCount})`;
+                verticalLabel.style.display = 'flex';
+                table.appendChild(verticalLabel);
+                rowsAbove += rowCount;
+            });
 
             // --- 2. Add Colgroup ---
             const colgroup = document.createElement('colgroup');
@@ -513,13 +843,13 @@ document.addEventListener("DOMContentLoaded", () => {
             table.appendChild(tbody); // Add the empty tbody
 
             // --- 5. Populate Tbody Rows ---
-            const picksForThisTable = picksForState.filter(p => p.teamId === i);
-            activePositions.forEach(pos => {
-                const countForPos = validPlayersPerPos[pos] || 0;
-                for (let j = 0; j < countForPos; j++) {
-                    const pickForThisSlot = picksForThisTable.filter(p => p.position === pos)[j];
+            const rosterLayout = getRosterLayout(roomState, i);
+            activePositions.forEach(slotType => {
+                const countForSlotType = validPlayersPerPos[slotType] || 0;
+                for (let j = 0; j < countForSlotType; j++) {
+                    const pickForThisSlot = rosterLayout[slotType][j];
                     // Create a player row for each slot
-                    const row = createPlayerRow(pos, i, j, pickForThisSlot);
+                    const row = createPlayerRow(slotType, i, j, pickForThisSlot);
                     tbody.appendChild(row); // Append row to tbody
                 }
             });
@@ -539,6 +869,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
             // --- 7. Final Assembly ---
             tableWrapper.appendChild(table);
+            tableWrapper.appendChild(createSeatBar(i, roomState));
 
             // Add padlock icon (initially hidden by CSS, shown when table-wrapper.active-table)
             const padlockIcon = document.createElement('img');
@@ -552,12 +883,40 @@ document.addEventListener("DOMContentLoaded", () => {
             tablesContainer.appendChild(tableWrapper);
 
             // Calculate and display total salary for the newly created table
-            recalculateTotalSalary(table, maxSalary, picksForState);
+            recalculateTotalSalary(table, maxSalary, picksForState, roomState.capStatus);
         }
         uniformizeColumnWidths();
     }
 
 
+    /** Creates the seat status bar shown under a team's table (who holds the seat, claim/release button). */
+    function createSeatBar(teamId, roomState) {
+        const seatBar = document.createElement('div');
+        seatBar.classList.add('seat-bar');
+
+        const holderId = roomState.seats?.[teamId];
+        const statusSpan = document.createElement('span');
+        statusSpan.classList.add('seat-status');
+        statusSpan.textContent = holderId ? `Claimed by ${getParticipantLabel(holderId, roomState)}` : 'Unclaimed';
+        seatBar.classList.toggle('seat-claimed', !!holderId);
+        const isMine = !!holderId && holderId === myParticipantId;
+        seatBar.classList.toggle('seat-mine', isMine);
+        seatBar.appendChild(statusSpan);
+
+        // Only show a button when the seat is free, held by this client, or held by someone who isn't here (never to spectators)
+        if (!isSpectating(roomState) && (!holderId || isMine || isTeamAbsent(roomState, teamId))) {
+            const seatButton = document.createElement('button');
+            seatButton.type = 'button';
+            seatButton.classList.add('btn', 'btn-sm', 'seat-button');
+            seatButton.dataset.teamId = teamId;
+            seatButton.dataset.action = isMine ? 'release' : 'claim';
+            seatButton.textContent = isMine ? 'Release Seat' : 'Claim Seat';
+            seatButton.addEventListener('click', handleSeatButtonClick);
+            seatBar.appendChild(seatButton);
+        }
+        return seatBar;
+    }
+
     /** Creates a single player row element (TR) for the draft table. */
     function createPlayerRow(pos, teamId, slotIndex, playerPick = null) {
         const row = document.createElement("tr");
@@ -600,6 +959,71 @@ document.addEventListener("DOMContentLoaded", () => {
             nameCell.appendChild(logoImg);
             nameCell.appendChild(playerNameSpan);
 
+            // Note where the player came from when acquired by trade, or the original team when the pick was made with a traded slot
+            if (playerPick.tradedFromTeamId != null) {
+                const tradedNote = document.createElement('span');
+                tradedNote.classList.add('traded-pick-note');
+                tradedNote.textContent = `from ${getTeamName(currentServerState, playerPick.tradedFromTeamId)}`;
+                tradedNote.title = `Acquired by trade from ${getTeamName(currentServerState, playerPick.tradedFromTeamId)}`;
+                nameCell.appendChild(tradedNote);
+            } else if (playerPick.originalTeamId != null && playerPick.originalTeamId !== playerPick.teamId) {
+                const tradedNote = document.createElement('span');
+                tradedNote.classList.add('traded-pick-note');
+                tradedNote.textContent = `via ${getTeamName(currentServerState, playerPick.originalTeamId)}`;
+                tradedNote.title = `Pick #${playerPick.overall} originally belonged to ${getTeamName(currentServerState, playerPick.originalTeamId)}`;
+                nameCell.appendChild(tradedNote);
+            }
+
+            if (playerPick.isKeeper) {
+                const keeperBadge = document.createElement('span');
+                keeperBadge.classList.add('keeper-badge');
+                keeperBadge.textContent = 'KEEPER';
+                keeperBadge.title = `Kept from last season (uses pick #${playerPick.overall})`;
+                nameCell.appendChild(keeperBadge);
+
+                if (canEditKeepers(currentServerState, playerPick.teamId)) {
+                    const removeButton = document.createElement('button');
+                    removeButton.type = 'button';
+                    removeButton.classList.add('remove-keeper-button');
+                    removeButton.textContent = '×';
+                    removeButton.title = 'Remove keeper';
+                    removeButton.setAttribute('aria-label', `Remove keeper ${playerPick.playerName}`);
+                    removeButton.addEventListener('click', () => handleRemoveKeeperClick(playerPick.playerId));
+                    nameCell.appendChild(removeButton);
+                }
+            }
+
+            if (playerPick.isAuto) {
+                const autoBadge = document.createElement('span');
+                autoBadge.classList.add('auto-pick-badge');
+                autoBadge.textContent = 'AUTO';
+                autoBadge.title = 'Picked automatically when the pick clock expired';
+                nameCell.appendChild(autoBadge);
+            }
+
+            if (canCorrectPick(currentServerState, playerPick)) {
+                // Not in an auction: the price was set by bidding on that player
+                if (!currentServerState.auction) {
+                    const replaceButton = document.createElement('button');
+                    replaceButton.type = 'button';
+                    replaceButton.classList.add('correct-pick-button');
+                    replaceButton.textContent = '⇄';
+                    replaceButton.title = `Replace pick #${playerPick.overall}`;
+                    replaceButton.setAttribute('aria-label', `Replace ${playerPick.playerName}`);
+                    replaceButton.addEventListener('click', () => handleReplacePickClick(nameCell, playerPick, pos, slotIndex));
+                    nameCell.appendChild(replaceButton);
+                }
+
+                const voidButton = document.createElement('button');
+                voidButton.type = 'button';
+                voidButton.classList.add('correct-pick-button', 'void-pick-button');
+                voidButton.textContent = '×';
+                voidButton.title = `Void pick #${playerPick.overall}`;
+                voidButton.setAttribute('aria-label', `Void ${playerPick.playerName}`);
+                voidButton.addEventListener('click', () => handleVoidPickClick(playerPick));
+                nameCell.appendChild(voidButton);
+            }
+
             const hiddenInput = document.createElement("input");
             hiddenInput.type = "hidden";
             hiddenInput.value = playerPick.playerName || '';
@@ -610,27 +1034,7 @@ document.addEventListener("DOMContentLoaded", () => {
             row.classList.add('empty-slot');
             salaryCell.textContent = formatCurrency(0);
 
-            const playerSearchInput = document.createElement("input");
-            playerSearchInput.type = "text";
-            playerSearchInput.classList.add("player-search-input");
-            playerSearchInput.placeholder = "Search player...";
-            playerSearchInput.dataset.teamId = teamId;
-            playerSearchInput.dataset.position = pos;
-            playerSearchInput.dataset.slotIndex = slotIndex;
-            playerSearchInput.disabled = true;
-            playerSearchInput.autocomplete = 'off';
-            playerSearchInput.spellcheck = false;
-            playerSearchInput.dataset.playerId = "";
-
-            const searchResultsContainer = document.createElement("div");
-            searchResultsContainer.classList.add("search-results-container");
-
-            nameCell.appendChild(playerSearchInput);
-            nameCell.appendChild(searchResultsContainer);
-
-            playerSearchInput.addEventListener("input", handlePlayerSearchInput);
-            playerSearchInput.addEventListener('blur', handlePlayerSearchBlur);
-            playerSearchInput.addEventListener('keydown', handlePlayerSearchKeydown);
+            appendPlayerSearch(nameCell, pos, teamId, slotIndex);
         }
 
         // Append Name and Salary cells
@@ -640,27 +1044,90 @@ document.addEventListener("DOMContentLoaded", () => {
         return row;
     }
 
+    /** Adds a (disabled) player search input and its results container to a name cell. */
+    function appendPlayerSearch(nameCell, pos, teamId, slotIndex) {
+        const playerSearchInput = document.createElement("input");
+        playerSearchInput.type = "text";
+        playerSearchInput.classList.add("player-search-input");
+        playerSearchInput.placeholder = "Search player...";
+        playerSearchInput.dataset.teamId = teamId;
+        playerSearchInput.dataset.position = pos;
+        playerSearchInput.dataset.slotIndex = slotIndex;
+        playerSearchInput.disabled = true;
+        playerSearchInput.autocomplete = 'off';
+        playerSearchInput.spellcheck = false;
+        playerSearchInput.dataset.playerId = "";
+
+        const searchResultsContainer = document.createElement("div");
+        searchResultsContainer.classList.add("search-results-container");
+
+        nameCell.appendChild(playerSearchInput);
+        nameCell.appendChild(searchResultsContainer);
+
+        playerSearchInput.addEventListener("input", handlePlayerSearchInput);
+        playerSearchInput.addEventListener('blur', handlePlayerSearchBlur);
+        playerSearchInput.addEventListener('keydown', handlePlayerSearchKeydown);
+        return playerSearchInput;
+    }
+
     /** Updates the turn counter display based on the current state. */
     function updateTurnDisplayFromServerState(roomState) {
+        stopPickClockDisplay();
         if (!turnCounterElement || !roomState?.settings) {
              if(turnCounterElement) turnCounterElement.textContent = ""; // Clear if no state
              return;
         }
 
-        turnCounterElement.classList.remove('waiting', 'full'); // Reset status classes
+        turnCounterElement.classList.remove('waiting', 'full', 'clock-low'); // Reset status classes
 
         const { numTables, tableNames } = roomState.settings;
         const { nextTableToPick } = roomState;
         const totalSlots = numTables * getTotalSlotsPerTable(roomState);
         const picksMade = roomState.picks?.length || 0;
 
-        if (totalSlots > 0 && picksMade >= totalSlots) { // Check totalSlots > 0 before declaring complete
+        if (roomState.isKeeperPhase) {
+            turnCounterElement.textContent = "Keeper Phase";
+            turnCounterElement.classList.add('waiting');
+        } else if (roomState.isProtectionPhase) {
+            turnCounterElement.textContent = "Protection Lists";
+            turnCounterElement.classList.add('waiting');
+        } else if (totalSlots > 0 && picksMade >= totalSlots) { // Check totalSlots > 0 before declaring complete
             turnCounterElement.textContent = "Draft Complete";
             turnCounterElement.classList.add('full');
+        } else if (roomState.isEnded) {
+            turnCounterElement.textContent = "Draft Ended";
+            turnCounterElement.classList.add('full');
         } else if (nextTableToPick >= 0 && nextTableToPick < numTables) {
             const currentRound = getCurrentRound(roomState);
-            const currentTeamName = tableNames[nextTableToPick] || `Team ${nextTableToPick + 1}`;
-            turnCounterElement.textContent = `Round ${currentRound} • Pick: ${currentTeamName}`;
+            const currentSlot = getCurrentPickSlot(roomState);
+            const pickInRound = currentSlot?.pickInRound;
+            let currentTeamName = tableNames[nextTableToPick] || `Team ${nextTableToPick + 1}`;
+            if (currentSlot && currentSlot.teamId !== currentSlot.ownerTeamId) {
+                currentTeamName += ` (from ${getTeamName(roomState, currentSlot.teamId)})`;
+            }
+            let seatNote = '';
+            if (holdsSeat(roomState, nextTableToPick)) {
+                seatNote = ' (Your pick)';
+            } else if (isCommissioner(roomState) && isTeamAbsent(roomState, nextTableToPick)) {
+                seatNote = ' (Absent — you can pick as commissioner)';
+            }
+            const pickLabel = pickInRound ? `Pick ${pickInRound}` : 'Pick';
+            const lot = roomState.auction?.lot;
+            if (lot) {
+                turnCounterElement.textContent = `Auction: ${lot.playerName} • High bid ${formatCurrency(lot.highBid)} (${getTeamName(roomState, lot.highBidderTeamId)})`;
+            } else if (roomState.auction) {
+                turnCounterElement.textContent = `Nomination: ${tableNames[nextTableToPick] || `Team ${nextTableToPick + 1}`}${seatNote}`;
+            } else {
+                turnCounterElement.textContent = `Round ${currentRound} • ${pickLabel}: ${currentTeamName}${seatNote}`;
+            }
+            if (roomState.isPaused) {
+                // Show the frozen clock instead of counting down
+                const frozenClock = roomState.pausedTimeRemaining != null ? ` • ${formatClock(roomState.pausedTimeRemaining)}` : '';
+                turnCounterElement.textContent += `${frozenClock} • Paused`;
+                turnCounterElement.classList.add('waiting');
+            } else {
+                startPickClockDisplay(roomState);
+            }
         } else {
             // Draft not complete, but nextTableToPick is invalid (e.g., -1 before completion)
             console.warn(`[Turn Display] Invalid state: Draft ongoing but nextTableToPick=${nextTableToPick}.`);
@@ -669,8 +1136,34 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
 
-    /** Recalculates and updates the total salary display for a specific table element. */
-     function recalculateTotalSalary(tableElement, maxSalary, allPicks) {
+    /** Starts counting down the pick clock in the turn counter, if the room has a clock running. */
+    function startPickClockDisplay(roomState) {
+        if (!turnCounterElement || !roomState.localPickDeadline) return;
+
+        const baseText = turnCounterElement.textContent;
+        const tick = () => {
+            const remaining = roomState.localPickDeadline - Date.now();
+            turnCounterElement.textContent = `${baseText} • ${formatClock(remaining)}`;
+            turnCounterElement.classList.toggle('clock-low', remaining <= 10000);
+            if (remaining <= 0) {
+                stopPickClockDisplay(); // The server will send the auto-pick
+            }
+        };
+        tick();
+        pickClockInterval = setInterval(tick, 250);
+    }
+
+    /** Stops the pick clock countdown. */
+    function stopPickClockDisplay() {
+        clearInterval(pickClockInterval);
+        pickClockInterval = null;
+    }
+
+    /**
+     * Recalculates and updates the total salary display for a specific table element.
+     * The over-cap flag comes from the server's capStatus when available, so every client agrees.
+     */
+     function recalculateTotalSalary(tableElement, maxSalary, allPicks, capStatus = null) {
         const teamId = parseInt(tableElement.dataset.teamId, 10);
         if (isNaN(teamId) || !allPicks) return;
 
@@ -681,12 +1174,26 @@ document.addEventListener("DOMContentLoaded", () => {
             }
         });
 
+        const teamCapStatus = Array.isArray(capStatus) ? capStatus.find(status => status.teamId === teamId) : null;
+        const exceedsCap = teamCapStatus ? teamCapStatus.isOverCap : (maxSalary > 0 && currentTotalSalary > maxSalary);
+
         const totalSalaryCell = tableElement.querySelector(".total-salary-cell");
         if (totalSalaryCell) {
             totalSalaryCell.textContent = formatCurrency(currentTotalSalary);
-            const exceedsCap = maxSalary > 0 && currentTotalSalary > maxSalary;
             totalSalaryCell.classList.toggle('is-over-cap', exceedsCap);
         }
+
+        // Flag the team (and the amount over) in the total row label
+        const totalLabelCell = tableElement.querySelector(".total-row td:first-child");
+        if (totalLabelCell) {
+            totalLabelCell.querySelector('.over-cap-flag')?.remove();
+            if (exceedsCap && teamCapStatus) {
+                const flag = document.createElement('span');
+                flag.classList.add('over-cap-flag');
+                flag.textContent = `Over cap by ${formatCurrency(teamCapStatus.overCapBy)}`;
+                totalLabelCell.appendChild(flag);
+            }
+        }
      }
 
     /** Enables the correct player input fields based on whose turn it is and available slots. */
@@ -704,63 +1211,478 @@ document.addEventListener("DOMContentLoaded", () => {
         tablesContainer.querySelectorAll(".player-search-input").forEach(input => input.disabled = true);
         tablesContainer.querySelectorAll(".player-slot").forEach(row => row.classList.remove('clickable-slot'));
 
-        const { numTables, playersPerPos } = roomState.settings;
+        if (isSpectating(roomState)) {
+            return; // Spectators only watch
+        }
+        if (roomState.isProtectionPhase) {
+            return; // Nobody picks until the commissioner locks protection lists
+        }
+        if (roomState.isKeeperPhase) {
+            enableKeeperInputs(roomState);
+            return;
+        }
+        if (roomState.auction?.lot) {
+            return; // No nominations while a player is up for auction
+        }
+
+        const { numTables } = roomState.settings;
         const { nextTableToPick } = roomState;
         const totalSlotsPerTable = getTotalSlotsPerTable(roomState);
         const picksMade = roomState.picks.length;
         const totalSlotsOverall = numTables * totalSlotsPerTable;
 
-        // 2. Enable only if draft is ongoing and turn is valid
-        if (totalSlotsOverall > 0 && picksMade < totalSlotsOverall && nextTableToPick >= 0 && nextTableToPick < numTables) {
+        // 2. Enable only if draft is ongoing, turn is valid and this client holds the team's seat
+        //    (or is the commissioner picking for an absent team)
+        const canPickForTeam = holdsSeat(roomState, nextTableToPick) ||
+            (isCommissioner(roomState) && isTeamAbsent(roomState, nextTableToPick));
+        if (totalSlotsOverall > 0 && picksMade < totalSlotsOverall && nextTableToPick >= 0 && nextTableToPick < numTables &&
+            !roomState.isEnded && !roomState.isPaused && canPickForTeam) {
             const activeTeamId = nextTableToPick;
 
-            // Count existing picks for the active team by position
-            const picksForActiveTable = roomState.picks.filter(p => p.teamId === activeTeamId);
-            const currentCounts = { F: 0, D: 0, G: 0 };
-            picksForActiveTable.forEach(p => {
-                if (currentCounts[p.position] !== undefined) {
-                    currentCounts[p.position]++;
-                }
-            });
-
-            const neededCounts = playersPerPos || { F: 0, D: 0, G: 0 };
-            let foundClickable = false;
-
-            // Iterate through positions to find the next needed slot
-            Object.keys(neededCounts).forEach(pos => {
-                const needed = neededCounts[pos] || 0;
-                const current = currentCounts[pos] || 0;
-
-                if (current < needed) {
-                    // Find the next empty slot for this position (index = current count)
-                    const nextSlotIndex = current;
-                    const targetRow = tablesContainer.querySelector(
-                        `tr.player-slot[data-team-id="${activeTeamId}"][data-position="${pos}"][data-slot-index="${nextSlotIndex}"]`
-                    );
-                    const targetInput = targetRow?.querySelector('.player-search-input');
-
-                    if (targetRow && targetInput) {
-                        targetInput.disabled = false;
-                        targetRow.classList.add('clickable-slot'); // Highlight the row
-                        foundClickable = true;
-                        // Auto-focus the first enabled input
-                        if (!document.querySelector('.player-search-input:not(:disabled)')) {
-                           targetInput.focus();
-                        }
-                    } else {
-                        console.warn(`[Enable Inputs] Could not find row/input for Team ${activeTeamId}, Pos ${pos}, Slot ${nextSlotIndex}`);
-                    }
-                }
-            });
+            const foundClickable = enableOpenSlotInputs(roomState, activeTeamId);
 
             if (!foundClickable) {
                  console.warn(`[Enable Inputs] No clickable slots found for active team ${activeTeamId}. Table might be full or state mismatch.`);
             }
-        } else {
         }
         // Note: updateTurnDisplayFromServerState is called within renderUIFromServerState after this function runs.
     }
 
+    /**
+     * Enables the next empty row of every slot type that still has room on a team's table.
+     * @returns {boolean} True if at least one input was enabled.
+     */
+    function enableOpenSlotInputs(roomState, teamId) {
+        const { playersPerPos } = roomState.settings;
+        const rosterLayout = getRosterLayout(roomState, teamId);
+        let foundClickable = false;
+
+        Object.keys(playersPerPos || {}).forEach(slotType => {
+            const current = rosterLayout[slotType].length;
+            if (current >= (playersPerPos[slotType] || 0)) return;
+
+            // The next empty row for this slot type (index = current count)
+            const targetRow = tablesContainer.querySelector(
+                `tr.player-slot[data-team-id="${teamId}"][data-position="${slotType}"][data-slot-index="${current}"]`
+            );
+            const targetInput = targetRow?.querySelector('.player-search-input');
+            if (targetRow && targetInput) {
+                targetInput.disabled = false;
+                targetRow.classList.add('clickable-slot'); // Highlight the row
+                foundClickable = true;
+            } else {
+                console.warn(`[Enable Inputs] Could not find row/input for Team ${teamId}, Slot ${slotType} #${current}`);
+            }
+        });
+        return foundClickable;
+    }
+
+    /**
+     * During the keeper phase, enables the next empty slot of each position for every team this client
+     * can set keepers for, until the team reaches the keeper limit.
+     */
+    function enableKeeperInputs(roomState) {
+        const { numTables, maxKeepers } = roomState.settings;
+        for (let teamId = 0; teamId < numTables; teamId++) {
+            if (!canEditKeepers(roomState, teamId)) continue;
+            const teamPicks = roomState.picks.filter(p => p.teamId === teamId);
+            if (teamPicks.filter(p => p.isKeeper).length >= maxKeepers) continue;
+
+            enableOpenSlotInputs(roomState, teamId);
+        }
+    }
+
+    /** Shows the keeper phase banner: keeper counts, which pick a new keeper uses, and the commissioner's lock button. */
+    function renderKeeperBanner(roomState) {
+        if (!keeperBannerElement) return;
+        keeperBannerElement.classList.toggle('hidden', !roomState.isKeeperPhase);
+        if (!roomState.isKeeperPhase) return;
+
+        const { maxKeepers } = roomState.settings;
+        const keeperCount = roomState.picks.filter(p => p.isKeeper).length;
+        if (keeperBannerText) {
+            keeperBannerText.textContent = `Keeper Phase — up to ${maxKeepers} per team (${keeperCount} kept so far)`;
+        }
+
+        // Each keeper gives up one of its team's picks: the latest one by default, or one in a chosen round
+        const numRounds = getTotalSlotsPerTable(roomState);
+        setSelectOptions(keeperRoundSelect, [
+            { value: '', label: 'Latest open pick' },
+            ...Array.from({ length: numRounds }, (_, i) => ({ value: i + 1, label: `Round ${i + 1} pick` }))
+        ]);
+        if (keeperRoundSelect && keeperRoundSelect.selectedIndex < 0) keeperRoundSelect.selectedIndex = 0;
+        lockKeepersButton?.classList.toggle('hidden', !isCommissioner(roomState));
+    }
+
+    /** Renders the auction panel: the player up for auction and bid controls for the teams this client holds. */
+    function renderAuctionPanel(roomState) {
+        if (!auctionPanel) return;
+        auctionPanel.classList.toggle('hidden', !roomState.auction || !!roomState.isKeeperPhase);
+        if (!roomState.auction) return;
+
+        const { lot } = roomState.auction;
+        if (auctionLotText) {
+            if (lot) {
+                auctionLotText.textContent = `${lot.playerName} (${lot.position}) — High bid ${formatCurrency(lot.highBid)} by ${getTeamName(roomState, lot.highBidderTeamId)}`;
+            } else if (roomState.nextTableToPick >= 0) {
+                auctionLotText.textContent = `Waiting for ${getTeamName(roomState, roomState.nextTableToPick)} to nominate a player`;
+            } else {
+                auctionLotText.textContent = 'All rosters are full';
+            }
+        }
+
+        const myTeamIds = Array.from({ length: roomState.settings.numTables }, (_, i) => i)
+            .filter(teamId => holdsSeat(roomState, teamId));
+        auctionBidControls?.classList.toggle('hidden', !lot || myTeamIds.length === 0 || !!roomState.isEnded);
+        if (!lot) return;
+
+        setSelectOptions(auctionBidTeamSelect, myTeamIds.map(teamId => ({ value: teamId, label: getTeamName(roomState, teamId) })));
+        if (auctionBidTeamSelect && auctionBidTeamSelect.selectedIndex < 0 && myTeamIds.length > 0) auctionBidTeamSelect.selectedIndex = 0;
+
+        // Suggest the minimum raise unless the user is typing a bid
+        const minimumBid = lot.highBid + roomState.settings.bidIncrement;
+        if (auctionBidAmountInput && document.activeElement !== auctionBidAmountInput) {
+            auctionBidAmountInput.value = minimumBid;
+        }
+        if (auctionBidAmountInput) auctionBidAmountInput.min = minimumBid;
+        const bidTeamId = parseInt(auctionBidTeamSelect?.value, 10);
+        if (auctionMaxBidText) {
+            auctionMaxBidText.textContent = isNaN(bidTeamId) ? '' : `Max bid: ${formatCurrency(getMaxBid(roomState, bidTeamId))}`;
+        }
+    }
+
+    /**
+     * Renders the expansion draft panel: protection list progress and the commissioner's list editor,
+     * then how many NHL teams have lost a player and, once complete, the cap floor/ceiling check.
+     */
+    function renderExpansionPanel(roomState) {
+        if (!expansionPanel) return;
+        expansionPanel.classList.toggle('hidden', !roomState.expansion);
+        if (!roomState.expansion) return;
+
+        const { nhlTeams, protectionLists } = roomState.expansion;
+        const capCheck = roomState.expansionCapCheck;
+        expansionPanel.classList.toggle('is-over-cap', !!capCheck && (!capCheck.isAboveFloor || !capCheck.isUnderCeiling));
+        if (expansionPanelText) {
+            if (roomState.isProtectionPhase) {
+                const submittedCount = Object.values(protectionLists).filter(list => list.isSubmitted).length;
+                expansionPanelText.textContent = `Protection Lists — ${submittedCount} of ${nhlTeams.length} submitted (${PROTECTION_SCHEMES[roomState.settings.protectionScheme]?.label}). Teams without a list protect their highest cap hits.`;
+            } else if (capCheck) {
+                const floorNote = capCheck.isAboveFloor ? 'meets' : `is ${formatCurrency(capCheck.capFloor - capCheck.totalSalary)} below`;
+                const ceilingNote = capCheck.isUnderCeiling ? '' : ` and is ${formatCurrency(capCheck.totalSalary - capCheck.capCeiling)} over the ceiling`;
+                expansionPanelText.textContent = `Expansion Draft Complete — payroll ${formatCurrency(capCheck.totalSalary)} ${floorNote} the ${formatCurrency(capCheck.capFloor)} cap floor${ceilingNote}`;
+            } else {
+                expansionPanelText.textContent = `Expansion Draft — drafted from ${roomState.picks.length} of ${nhlTeams.length} NHL teams`;
+            }
+        }
+
+        const canEditLists = !!roomState.isProtectionPhase && isCommissioner(roomState);
+        protectionControls?.classList.toggle('hidden', !canEditLists);
+        if (!canEditLists) return;
+
+        setSelectOptions(protectionTeamSelect, nhlTeams.map(({ teamId, city, teamUrl }) => ({
+            value: teamId,
+            label: `${city} (${teamUrl})${protectionLists[teamId].isSubmitted ? ' ✓' : ''}`
+        })));
+        if (protectionTeamSelect && protectionTeamSelect.selectedIndex < 0) protectionTeamSelect.selectedIndex = 0;
+
+        // Rebuild the player list only when the team or its saved list changes, so unsaved selections survive other updates
+        const nhlTeamId = protectionTeamSelect?.value;
+        const savedList = (protectionLists[nhlTeamId]?.playerIds || []).join(',');
+        if (!protectionPlayersSelect || (protectionPlayersSelect.dataset.teamId === nhlTeamId && protectionPlayersSelect.dataset.savedList === savedList)) return;
+        protectionPlayersSelect.dataset.teamId = nhlTeamId;
+        protectionPlayersSelect.dataset.savedList = savedList;
+        protectionPlayersSelect.innerHTML = '';
+        searchRoomPlayers({ team: nhlTeamId, limit: MAX_TEAM_PLAYERS })
+            .then(({ players }) => {
+                // Another team (or a newly saved list) may have been picked while this one loaded
+                if (protectionPlayersSelect.dataset.teamId !== nhlTeamId || protectionPlayersSelect.dataset.savedList !== savedList) return;
+                players
+                    .sort((a, b) => a.position.localeCompare(b.position) || (parseInt(b.cap_hit, 10) || 0) - (parseInt(a.cap_hit, 10) || 0))
+                    .forEach(player => {
+                        const option = document.createElement('option');
+                        option.value = player.id;
+                        option.textContent = `${player.name} (${player.position}, ${formatCurrency(player.cap_hit)})${hasNoMoveClause(player) ? ' — NMC' : ''}`;
+                        option.selected = protectionLists[nhlTeamId].playerIds.includes(player.id);
+                        option.disabled = hasNoMoveClause(player); // Always protected
+                        protectionPlayersSelect.appendChild(option);
+                    });
+            })
+            .catch(err => {
+                console.error(`Failed to load the players of NHL team ${nhlTeamId}:`, err);
+                delete protectionPlayersSelect.dataset.teamId; // Try again on the next update
+            });
+    }
+
+    /** Renders the commissioner section of the settings overlay (participants, transfer/kick, end draft). */
+    function renderCommissionerControls(roomState) {
+        if (!commissionerControls || !participantsListElement) return;
+
+        const showControls = isCommissioner(roomState);
+        commissionerControls.classList.toggle('hidden', !showControls);
+        participantsListElement.innerHTML = '';
+        if (!showControls) return;
+
+        (roomState.participants || []).forEach(participantId => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.classList.add('participant-label');
+            const isWatching = roomState.members?.[participantId]?.role === 'spectator';
+            label.textContent = `${getParticipantLabel(participantId, roomState)}${isWatching ? ' (spectator)' : ''}`;
+            item.appendChild(label);
+
+            if (participantId !== myParticipantId) {
+                if (!isWatching) { // Spectators can't run the draft
+                    const transferButton = document.createElement('button');
+                    transferButton.type = 'button';
+                    transferButton.classList.add('btn', 'btn-sm');
+                    transferButton.textContent = 'Make Commissioner';
+                    transferButton.addEventListener('click', () => handleTransferCommissionerClick(participantId));
+                    item.appendChild(transferButton);
+                }
+
+                const kickButton = document.createElement('button');
+                kickButton.type = 'button';
+                kickButton.classList.add('btn', 'btn-sm', 'btn-danger');
+                kickButton.textContent = 'Remove';
+                kickButton.addEventListener('click', () => handleKickParticipantClick(participantId));
+                item.appendChild(kickButton);
+            }
+            participantsListElement.appendChild(item);
+        });
+
+        if (endDraftButton) endDraftButton.disabled = !!roomState.isEnded;
+    }
+
+    /**
+     * Lists everyone in the room: online/away, the seats they hold, and who is on the clock.
+     * Players come before spectators; otherwise the server's order (longest present first) is kept.
+     */
+    function renderPresenceRoster(roomState) {
+        if (!presenceRosterElement) return;
+        presenceRosterElement.innerHTML = '';
+
+        const teamOnClock = getTeamOnClock(roomState);
+        const participantIds = [...(roomState.participants || [])]
+            .sort((a, b) => (roomState.members?.[a]?.role === 'spectator') - (roomState.members?.[b]?.role === 'spectator'));
+        participantIds.forEach(participantId => {
+            const status = roomState.presence?.[participantId] || 'away';
+            const seatTeamIds = Object.keys(roomState.seats || {})
+                .map(Number)
+                .filter(teamId => roomState.seats[teamId] === participantId);
+            const isOnClock = teamOnClock !== null && seatTeamIds.includes(teamOnClock);
+
+            const item = document.createElement('li');
+            item.classList.add('presence-entry', `presence-${status}`);
+            item.classList.toggle('presence-on-clock', isOnClock);
+
+            const statusDot = document.createElement('span');
+            statusDot.classList.add('presence-status');
+            statusDot.title = status === 'online' ? 'Online' : 'Away';
+            item.appendChild(statusDot);
+
+            const nameSpan = document.createElement('span');
+            nameSpan.classList.add('presence-name');
+            nameSpan.textContent = getParticipantLabel(participantId, roomState);
+            item.appendChild(nameSpan);
+
+            const details = [];
+            if (participantId === roomState.commissionerId) details.push('Commissioner');
+            if (roomState.members?.[participantId]?.role === 'spectator') details.push('Spectator');
+            if (seatTeamIds.length > 0) details.push(seatTeamIds.map(teamId => getTeamName(roomState, teamId)).join(', '));
+            if (details.length > 0) {
+                const detailsSpan = document.createElement('span');
+                detailsSpan.classList.add('presence-details');
+                detailsSpan.textContent = details.join(' • ');
+                item.appendChild(detailsSpan);
+            }
+            if (isOnClock) {
+                const clockSpan = document.createElement('span');
+                clockSpan.classList.add('presence-clock');
+                clockSpan.textContent = 'On the clock';
+                item.appendChild(clockSpan);
+            }
+            presenceRosterElement.appendChild(item);
+        });
+    }
+
+    /** Creates the list item for one chat message (announcements are styled apart from what people write). */
+    function createChatMessageElement(message) {
+        const item = document.createElement('li');
+        item.classList.add('chat-message', `chat-message-${message.type}`);
+        item.title = new Date(message.at).toLocaleTimeString();
+        if (message.type === 'user') {
+            const author = document.createElement('span');
+            author.classList.add('chat-author');
+            author.textContent = `${getParticipantLabel(message.authorId, currentServerState)}: `;
+            item.appendChild(author);
+        }
+        item.appendChild(document.createTextNode(message.text)); // Never parsed as HTML
+        return item;
+    }
+
+    /** Redraws the whole chat (after the history arrives, or when names may have changed). */
+    function renderChatMessages() {
+        if (!chatMessagesElement) return;
+        chatMessagesElement.innerHTML = '';
+        chatMessages.forEach(message => chatMessagesElement.appendChild(createChatMessageElement(message)));
+        chatMessagesElement.scrollTop = chatMessagesElement.scrollHeight;
+    }
+
+    /** Adds a live message to the chat, keeping the view pinned to the bottom unless the user scrolled up. */
+    function appendChatMessage(message) {
+        chatMessages.push(message);
+        if (!chatMessagesElement) return;
+        const isAtBottom = chatMessagesElement.scrollHeight - chatMessagesElement.scrollTop - chatMessagesElement.clientHeight < 20;
+        chatMessagesElement.appendChild(createChatMessageElement(message));
+        if (isAtBottom) chatMessagesElement.scrollTop = chatMessagesElement.scrollHeight;
+
+        if (chatPanel?.classList.contains('collapsed')) {
+            unreadChatCount++;
+            updateChatUnreadCount();
+        }
+    }
+
+    /** Shows how many messages arrived while the chat was collapsed. */
+    function updateChatUnreadCount() {
+        if (!chatUnreadCountElement) return;
+        chatUnreadCountElement.textContent = unreadChatCount;
+        chatUnreadCountElement.classList.toggle('hidden', unreadChatCount === 0);
+    }
+
+    /** Shows the custom order input when needed and previews the pick sequence for the start screen settings. */
+    function updateDraftOrderPreview() {
+        if (!draftOrderPreview) return;
+
+        const draftOrder = readDraftOrderFromInputs();
+        customOrderGroup?.classList.toggle('hidden', draftOrder.type !== 'custom');
+
+        const numTables = parseInt(tableCountInput.value, 10);
+        const numRounds = rosterSlotInputs.reduce((sum, input) => sum + (parseInt(input.value, 10) || 0), 0);
+        if (isNaN(numTables) || numTables < 1 || numRounds < 1 || numTables > MAX_TEAMS || numRounds > MAX_ROSTER_SIZE) {
+            draftOrderPreview.classList.remove('has-error');
+            draftOrderPreview.textContent = '';
+            return;
+        }
+
+        const orderError = validateDraftOrder(numTables, numRounds, draftOrder);
+        draftOrderPreview.classList.toggle('has-error', !!orderError);
+        if (orderError) {
+            draftOrderPreview.textContent = orderError;
+            return;
+        }
+
+        // One line per round, e.g. "R1: 1, 2, 3, 4"
+        const lines = [];
+        buildPickOrder(numTables, numRounds, draftOrder).forEach(slot => {
+            if (slot.pickInRound === 1) lines.push(`R${slot.round}:`);
+            lines[lines.length - 1] += `${slot.pickInRound === 1 ? ' ' : ', '}${slot.teamId + 1}`;
+        });
+        draftOrderPreview.textContent = lines.join('\n');
+    }
+
+    /** Replaces a select's options, keeping the previously selected values that still exist. */
+    function setSelectOptions(selectElement, options) {
+        if (!selectElement) return;
+        const previouslySelected = new Set(Array.from(selectElement.selectedOptions).map(option => option.value));
+        selectElement.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = previouslySelected.has(String(value));
+            selectElement.appendChild(option);
+        });
+    }
+
+    /** Renders the trades overlay: team/pick/player choices for a new proposal and the pending proposals. */
+    function renderTradesOverlay(roomState) {
+        if (!tradesOverlay || !roomState?.settings) return;
+
+        const { numTables } = roomState.settings;
+        const teamIds = Array.from({ length: numTables }, (_, i) => i);
+        const myTeamIds = teamIds.filter(teamId => holdsSeat(roomState, teamId));
+
+        // --- Proposal form ---
+        setSelectOptions(tradeFromTeamSelect, myTeamIds.map(teamId => ({ value: teamId, label: getTeamName(roomState, teamId) })));
+        if (tradeFromTeamSelect && tradeFromTeamSelect.selectedIndex < 0 && myTeamIds.length > 0) tradeFromTeamSelect.selectedIndex = 0;
+        const fromTeamId = parseInt(tradeFromTeamSelect?.value, 10);
+
+        const otherTeamIds = teamIds.filter(teamId => teamId !== fromTeamId);
+        setSelectOptions(tradeToTeamSelect, otherTeamIds.map(teamId => ({ value: teamId, label: getTeamName(roomState, teamId) })));
+        if (tradeToTeamSelect && tradeToTeamSelect.selectedIndex < 0 && otherTeamIds.length > 0) tradeToTeamSelect.selectedIndex = 0;
+        const toTeamId = parseInt(tradeToTeamSelect?.value, 10);
+
+        const futureSlots = getFuturePickSlots(roomState);
+        const slotOptions = ownerTeamId => futureSlots
+            .filter(slot => slot.ownerTeamId === ownerTeamId)
+            .map(slot => ({ value: slot.overall, label: formatPickSlot(slot, roomState) }));
+        setSelectOptions(tradeOfferedPicksSelect, isNaN(fromTeamId) ? [] : slotOptions(fromTeamId));
+        setSelectOptions(tradeRequestedPicksSelect, isNaN(toTeamId) ? [] : slotOptions(toTeamId));
+        if (proposePickTradeButton) proposePickTradeButton.disabled = myTeamIds.length === 0 || !!roomState.isEnded;
+
+        const rosterOptions = teamId => (roomState.picks || [])
+            .filter(pick => pick.teamId === teamId)
+            .map(pick => ({ value: pick.playerId, label: `${pick.playerName} (${pick.pos || pick.position}, ${formatCurrency(pick.salary)})` }));
+        setSelectOptions(tradeOfferedPlayersSelect, isNaN(fromTeamId) ? [] : rosterOptions(fromTeamId));
+        setSelectOptions(tradeRequestedPlayersSelect, isNaN(toTeamId) ? [] : rosterOptions(toTeamId));
+        if (proposePlayerTradeButton) proposePlayerTradeButton.disabled = myTeamIds.length === 0 || !!roomState.isEnded;
+
+        // --- Pending proposals ---
+        if (!pendingTradesList) return;
+        pendingTradesList.innerHTML = '';
+        const pendingTrades = roomState.pendingTrades || [];
+        if (pendingTrades.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.classList.add('trades-list-empty');
+            emptyItem.textContent = 'No pending trades.';
+            pendingTradesList.appendChild(emptyItem);
+            return;
+        }
+
+        pendingTrades.forEach(trade => {
+            const item = document.createElement('li');
+            const description = document.createElement('span');
+            description.classList.add('trade-description');
+            description.textContent = describeTrade(trade, roomState);
+            item.appendChild(description);
+
+            if (holdsSeat(roomState, trade.toTeamId)) {
+                const acceptButton = document.createElement('button');
+                acceptButton.type = 'button';
+                acceptButton.classList.add('btn', 'btn-sm', 'btn-primary');
+                acceptButton.textContent = 'Accept';
+                acceptButton.addEventListener('click', () => handleTradeResponseClick(trade, true));
+                item.appendChild(acceptButton);
+            }
+            if (holdsSeat(roomState, trade.toTeamId) || holdsSeat(roomState, trade.fromTeamId)) {
+                const declineButton = document.createElement('button');
+                declineButton.type = 'button';
+                declineButton.classList.add('btn', 'btn-sm');
+                declineButton.textContent = holdsSeat(roomState, trade.toTeamId) ? 'Decline' : 'Withdraw';
+                declineButton.addEventListener('click', () => handleTradeResponseClick(trade, false));
+                item.appendChild(declineButton);
+            }
+            pendingTradesList.appendChild(item);
+        });
+    }
+
+    /** Builds a one-line description of a trade proposal. */
+    function describeTrade(trade, roomState) {
+        const fromName = getTeamName(roomState, trade.fromTeamId);
+        const toName = getTeamName(roomState, trade.toTeamId);
+        if (trade.type === 'player') {
+            const playerLabel = playerId => (roomState.picks || []).find(pick => pick.playerId === playerId)?.playerName || `#${playerId}`;
+            const listLabel = playerIds => playerIds.length > 0 ? playerIds.map(playerLabel).join(', ') : 'nothing';
+            return `${fromName} gives ${listLabel(trade.offeredPlayerIds)} to ${toName} for ${listLabel(trade.requestedPlayerIds)}`;
+        }
+        const slotLabel = overall => {
+            const slot = (roomState.pickOrder || []).find(s => s.overall === overall);
+            return slot ? `R${slot.round} #${slot.overall}` : `#${overall}`;
+        };
+        return `${fromName} gives ${trade.offeredPicks.map(slotLabel).join(', ')} to ${toName} for ${trade.requestedPicks.map(slotLabel).join(', ')}`;
+    }
+
     /** Resets the UI to the initial start/join screen state. */
     function showStartScreen() {
 
@@ -770,12 +1692,17 @@ document.addEventListener("DOMContentLoaded", () => {
         sessionStorage.removeItem('currentRoomCode');
         sessionStorage.removeItem('viewingDraft');
 
-        document.documentElement.style.removeProperty('--vertical-label-row-multiplier');
-        document.documentElement.style.removeProperty('--second-vertical-label-row-multiplier');
-
         // --- Reset Global State ---
+        stopPickClockDisplay();
         currentServerState = null;
         currentRoomCode = null;
+        myParticipantId = null;
+        playerRecords.clear(); // Ids are only unique within a room's players
+        chatMessages = [];
+        unreadChatCount = 0;
+        updateChatUnreadCount();
+        if (chatMessagesElement) chatMessagesElement.innerHTML = '';
+        if (chatInput) chatInput.value = '';
         tempDraftSettings = {};
         attemptingRejoin = false;
 
@@ -783,6 +1710,7 @@ document.addEventListener("DOMContentLoaded", () => {
         settingsOverlay?.classList.remove('visible');
         tableNamesOverlay?.classList.remove('visible');
         exitConfirmOverlay?.classList.remove('visible'); // Ensure confirm exit is hidden too
+        tradesOverlay?.classList.remove('visible');
         draftArea?.classList.add('hidden');
         startContainerElement.style.display = 'flex'; // Use flex for centering
 
@@ -791,14 +1719,29 @@ document.addEventListener("DOMContentLoaded", () => {
         if (turnCounterElement) turnCounterElement.textContent = "";
         if (settingsRoomCodeText) settingsRoomCodeText.textContent = '';
         if (tableNamesInputContainer) tableNamesInputContainer.innerHTML = ''; // Clear table name inputs
+        if (participantsListElement) participantsListElement.innerHTML = '';
+        commissionerControls?.classList.add('hidden');
 
         // --- Reset Form Inputs ---
         if (roomCodeInput) roomCodeInput.value = '';
+        if (joinPasswordInput) joinPasswordInput.value = '';
+        if (inviteLinkOutput) {
+            inviteLinkOutput.value = '';
+            inviteLinkOutput.classList.add('hidden');
+        }
         // Consider resetting other start settings inputs (tableCount, player counts, etc.) if desired
         // e.g., if (tableCountInput) tableCountInput.value = '10';
 
         // --- Reset Button States ---
         if (undoButton) undoButton.disabled = true;
+        pauseButton?.classList.add('hidden');
+        pausedBannerElement?.classList.add('hidden');
+        spectatorBannerElement?.classList.add('hidden');
+        playerFiltersBannerElement?.classList.add('hidden');
+        draftArea?.classList.remove('spectating');
+        keeperBannerElement?.classList.add('hidden');
+        auctionPanel?.classList.add('hidden');
+        expansionPanel?.classList.add('hidden');
         if (copyRoomCodeButton) copyRoomCodeButton.disabled = true;
     }
 
@@ -811,15 +1754,36 @@ document.addEventListener("DOMContentLoaded", () => {
         attemptRejoinOnLoad(); // Attempt rejoin ONLY after connection is confirmed
     });
 
+    socket.on('participant_identity', ({ roomCode, participantId, participantToken }) => {
+        // Sent just before the room's state on every create/join
+        myParticipantId = participantId;
+        storeParticipantToken(roomCode, participantToken);
+        if (document.hidden) {
+            socket.emit('set_presence', { roomCode, status: 'away' }); // Rejoined from a background tab
+        }
+    });
+
     socket.on('draft_started', ({ roomCode, draftState }) => {
         currentRoomCode = roomCode;
+        chatMessages = []; // A new room starts with an empty chat
+        renderChatMessages();
         sessionStorage.setItem('currentRoomCode', roomCode); // Store code
 
         // Ensure selectedPlayerIds is a Set
         draftState.selectedPlayerIds = new Set(draftState.selectedPlayerIds || []);
+        syncPickDeadline(draftState);
         renderUIFromServerState(draftState);
     });
 
+    socket.on('invite_created', ({ roomCode, inviteToken, singleUse, expiresAt }) => {
+        if (roomCode !== currentRoomCode || !inviteLinkOutput) return;
+        const params = new URLSearchParams({ room: roomCode, invite: inviteToken });
+        inviteLinkOutput.value = `${window.location.origin}${window.location.pathname}?${params}`;
+        inviteLinkOutput.title = singleUse ? 'Works once' : `Works until ${new Date(expiresAt).toLocaleString()}`;
+        inviteLinkOutput.classList.remove('hidden');
+        inviteLinkOutput.select();
+    });
+
     socket.on('join_error', (error) => {
         console.error("Join Error:", error.message);
         alert(`Failed to join draft: ${error.message}`);
@@ -851,12 +1815,14 @@ document.addEventListener("DOMContentLoaded", () => {
             sessionStorage.setItem('currentRoomCode', currentRoomCode); // Ensure session storage is set
 
             draftState.selectedPlayerIds = new Set(draftState.selectedPlayerIds || []);
+            syncPickDeadline(draftState);
             renderUIFromServerState(draftState);
 
         // Case 2: Handling a regular update for the room the client is already in
         } else if (roomCode === currentRoomCode && currentRoomCode !== null && !attemptingRejoin) {
             // Assume full state update, replace local state
             draftState.selectedPlayerIds = new Set(draftState.selectedPlayerIds || []);
+            syncPickDeadline(draftState);
             renderUIFromServerState(draftState);
 
         // Case 3: Ignoring updates for other rooms or irrelevant states
@@ -864,15 +1830,38 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
-    socket.on('participant_update', ({ roomCode, participants }) => {
-        // Update participant list if the update is for the current room and state exists
+    socket.on('participant_update', ({ roomCode, participants, members, presence, seats, commissionerId }) => {
+        // Update participant list (and seats they hold) if the update is for the current room and state exists
         if (roomCode === currentRoomCode && currentServerState) {
             currentServerState.participants = participants || []; // Update local state
+            currentServerState.members = members || {};
+            currentServerState.presence = presence || {};
+            currentServerState.seats = seats || {};
+            currentServerState.commissionerId = commissionerId ?? null;
             renderUIFromServerState(currentServerState);
+            renderChatMessages(); // Names may have changed
         } else {
         }
     });
 
+    socket.on('chat_history', ({ roomCode, messages }) => {
+        if (roomCode !== currentRoomCode) return;
+        chatMessages = messages || [];
+        renderChatMessages();
+    });
+
+    socket.on('chat_message', ({ roomCode, message }) => {
+        if (roomCode !== currentRoomCode) return;
+        appendChatMessage(message);
+    });
+
+    socket.on('kicked', ({ roomCode }) => {
+        if (roomCode !== currentRoomCode) return;
+        alert("You have been removed from the draft by the commissioner.");
+        storeParticipantToken(roomCode, null); // The token no longer works
+        showStartScreen();
+    });
+
     socket.on('pick_error', (error) => {
         console.error("Pick Error:", error.message);
         alert(`Error making pick: ${error.message}`);
@@ -882,6 +1871,16 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    socket.on('bid_error', (error) => {
+        console.error("Bid Error:", error.message);
+        alert(`Bid failed: ${error.message}`);
+    });
+
+    socket.on('trade_error', (error) => {
+        console.error("Trade Error:", error.message);
+        alert(`Trade failed: ${error.message}`);
+    });
+
     socket.on('error', (error) => { // Generic server-side error
         console.error("Server Error:", error.message);
         alert(`An error occurred: ${error.message}`);
@@ -916,24 +1915,115 @@ document.addEventListener("DOMContentLoaded", () => {
             roomCodeInput?.focus();
             return;
         }
-        socket.emit('join_draft', { roomCode: code });
+        socket.emit('join_draft', {
+            roomCode: code,
+            participantToken: getStoredParticipantToken(code),
+            password: joinPasswordInput?.value || undefined,
+            role: joinAsSpectatorCheckbox?.checked ? 'spectator' : 'player', // Ignored when the token restores an earlier identity
+            displayName: readDisplayName()
+        });
+    }
+
+    /** Sends the typed chat message to the room. */
+    function handleSendChatClick() {
+        const text = chatInput?.value.trim();
+        if (!text || !currentRoomCode) return;
+        socket.emit('send_chat_message', { roomCode: currentRoomCode, text });
+        chatInput.value = '';
+        chatInput.focus();
+    }
+
+    /** Sends the chat message on Enter. */
+    function handleChatInputKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            handleSendChatClick();
+        }
+    }
+
+    /** Tells the server whether this tab is in the foreground, for the online/away roster. */
+    function handleVisibilityChange() {
+        if (!currentRoomCode) return;
+        socket.emit('set_presence', { roomCode: currentRoomCode, status: document.hidden ? 'away' : 'online' });
+    }
+
+    /** Collapses or expands the chat panel; expanding it marks everything as read. */
+    function handleChatToggleClick() {
+        const isCollapsed = chatPanel.classList.toggle('collapsed');
+        chatToggleButton.setAttribute('aria-expanded', String(!isCollapsed));
+        if (!isCollapsed) {
+            unreadChatCount = 0;
+            updateChatUnreadCount();
+            chatMessagesElement.scrollTop = chatMessagesElement.scrollHeight;
+        }
+    }
+
+    /** Handles clicking "Create Invite Link" (commissioner only): asks the server for a single-use or expiring invite. */
+    function handleCreateInviteClick() {
+        if (!currentRoomCode || !isCommissioner(currentServerState)) return;
+        const inviteType = inviteTypeSelect?.value || 'single';
+        socket.emit('create_invite', inviteType === 'single'
+            ? { roomCode: currentRoomCode, singleUse: true }
+            : { roomCode: currentRoomCode, expiresInHours: parseInt(inviteType, 10) });
+    }
+
+    /** Shows the password field on the start screen only when the room will be password-protected. */
+    function updateAccessModeSettings() {
+        roomPasswordGroup?.classList.toggle('hidden', accessModeSelect?.value !== 'password');
+    }
+
+    /** Fills the roster slot inputs from the chosen preset template. */
+    function handleRosterTemplateChange() {
+        const template = ROSTER_TEMPLATES[rosterTemplateSelect?.value];
+        if (!template) return; // 'custom' keeps the current counts
+        rosterSlotInputs.forEach(input => {
+            input.value = template.slots[input.dataset.slotType] || 0;
+        });
+        updateDraftOrderPreview();
     }
 
     /** Handles clicking the "Start New Draft" button, validates settings, shows table name overlay. */
     function handleStartDraftClick() {
         // Read and Validate Start Settings
         const numTables = parseInt(tableCountInput.value, 10);
-        const numF = parseInt(numForwardsInput.value, 10);
-        const numD = parseInt(numDefendersInput.value, 10);
-        const numG = parseInt(numGoaltendersInput.value, 10);
-        const isSerpentine = serpentineOrderCheckbox.checked;
+        const playersPerPos = readRosterTemplateFromInputs();
+        const rosterSize = Object.values(playersPerPos).reduce((sum, count) => sum + (count || 0), 0);
+        const draftOrder = readDraftOrderFromInputs();
         const maxSalary = parseInt(maxSalaryCapInput.value, 10);
+        const capMode = capModeSelect?.value || 'hard';
+        const pickTimeLimit = parseInt(pickTimeLimitInput?.value || '0', 10);
+        const autoPickBy = autoPickBySelect?.value || 'cap_hit';
+        const maxKeepers = parseInt(maxKeepersInput?.value || '0', 10);
+        const draftMode = draftModeSelect?.value || 'standard';
+        const minBid = parseInt(minBidInput?.value, 10);
+        const bidIncrement = parseInt(bidIncrementInput?.value, 10);
+        const bidTimeLimit = parseInt(bidTimeLimitInput?.value, 10);
+        const protectionScheme = protectionSchemeSelect?.value || '7-3-1';
+        const capFloor = parseInt(capFloorInput?.value || '0', 10);
+        const numNhlTeams = playerDatasetInfo.get(seasonSelect?.value)?.nhlTeamCount || 0;
+        const accessMode = accessModeSelect?.value || 'open';
+        const password = roomPasswordInput?.value || '';
+        const playersNeeded = numTables * rosterSize;
+        const { playerFilters, error: playerFilterError } = readPlayerFiltersFromInputs();
 
         let errorMessage = "";
-        if (isNaN(numTables) || numTables < 1) errorMessage = "Number of teams must be at least 1.";
-        else if (isNaN(numF) || numF < 0 || isNaN(numD) || numD < 0 || isNaN(numG) || numG < 0) errorMessage = "Player counts per position must be 0 or greater.";
-        else if (numF + numD + numG === 0) errorMessage = "Total players per team cannot be zero.";
+        if (isNaN(numTables) || numTables < 1 || numTables > MAX_TEAMS) errorMessage = `Number of teams must be between 1 and ${MAX_TEAMS}.`;
+        else if (validateRosterTemplate(playersPerPos)) errorMessage = validateRosterTemplate(playersPerPos);
         else if (isNaN(maxSalary) || maxSalary < 0) errorMessage = "Salary Cap must be 0 or greater.";
+        else if (isNaN(pickTimeLimit) || pickTimeLimit < 0) errorMessage = "Pick Clock must be 0 or greater.";
+        else if (isNaN(maxKeepers) || maxKeepers < 0 || maxKeepers > rosterSize) errorMessage = "Keepers per team must be between 0 and the roster size.";
+        else if (draftMode === 'auction' && ([minBid, bidIncrement, bidTimeLimit].some(value => isNaN(value) || value < 1))) errorMessage = "Auction bid settings must be at least 1.";
+        else if (draftMode === 'auction' && maxSalary < minBid * rosterSize) errorMessage = "The salary cap must cover a minimum bid for every roster slot.";
+        else if (draftMode === 'expansion' && numTables !== 1) errorMessage = "An expansion draft has exactly one expansion team.";
+        else if (draftMode === 'expansion' && rosterSize !== numNhlTeams) errorMessage = `The expansion roster must have exactly ${numNhlTeams} slots, one per NHL team.`;
+        else if (draftMode === 'expansion' && maxKeepers > 0) errorMessage = "An expansion team has no keepers.";
+        else if (draftMode === 'expansion' && (isNaN(capFloor) || capFloor < 0 || (maxSalary > 0 && capFloor > maxSalary))) errorMessage = "Cap Floor must be between 0 and the salary cap.";
+        else if (accessMode === 'password' && password.length < 4) errorMessage = "The room password must be at least 4 characters.";
+        else if (uploadedPlayerPool && draftMode === 'expansion') errorMessage = "An expansion draft is drafted from NHL teams, so it can't use a custom player pool.";
+        else if (uploadedPlayerPool && uploadedPlayerPool.players.length < playersNeeded) errorMessage = `The player pool has ${uploadedPlayerPool.players.length} players, but filling every roster takes ${playersNeeded}.`;
+        else if (playerFilterError) errorMessage = playerFilterError;
+        else if (playerFilters.length > 0 && draftMode === 'expansion') errorMessage = "An expansion draft takes one exposed player from every NHL team, so it can't use player filters.";
+        else errorMessage = validateDraftOrder(numTables, rosterSize, draftOrder) || "";
 
         if (errorMessage) {
             alert(`Invalid Settings: ${errorMessage}`);
@@ -941,7 +2031,7 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         // Store settings temporarily before collecting names
-        tempDraftSettings = { numTables, numF, numD, numG, isSerpentine, maxSalary };
+        tempDraftSettings = { season: seasonSelect?.value, numTables, playersPerPos, draftOrder, maxSalary, capMode, pickTimeLimit, autoPickBy, maxKeepers, draftMode, minBid, bidIncrement, bidTimeLimit, protectionScheme, capFloor, accessMode, password, playerPool: uploadedPlayerPool, playerFilters };
 
         // Prepare and Show Table Names Overlay
         if (!tableNamesOverlay || !tableNamesInputContainer) return;
@@ -980,24 +2070,46 @@ document.addEventListener("DOMContentLoaded", () => {
 
         // Prepare final settings object for the server
         const settings = {
+            season: tempDraftSettings.season,
             numTables: tempDraftSettings.numTables,
             tableNames: collectedTableNames,
-            playersPerPos: {
-                F: tempDraftSettings.numF,
-                D: tempDraftSettings.numD,
-                G: tempDraftSettings.numG
-            },
-            isSerpentineOrder: tempDraftSettings.isSerpentine,
-            maxSalary: tempDraftSettings.maxSalary
+            playersPerPos: tempDraftSettings.playersPerPos,
+            draftOrder: tempDraftSettings.draftOrder,
+            maxSalary: tempDraftSettings.maxSalary,
+            capMode: tempDraftSettings.capMode,
+            pickTimeLimit: tempDraftSettings.pickTimeLimit,
+            autoPickBy: tempDraftSettings.autoPickBy,
+            maxKeepers: tempDraftSettings.maxKeepers,
+            draftMode: tempDraftSettings.draftMode,
+            accessMode: tempDraftSettings.accessMode,
+            displayName: readDisplayName(),
+            ...(tempDraftSettings.accessMode === 'password' ? { password: tempDraftSettings.password } : {}),
+            ...(tempDraftSettings.playerFilters.length > 0 ? { playerFilters: tempDraftSettings.playerFilters } : {}),
+            ...(tempDraftSettings.playerPool ? {
+                playerPool: { fileName: tempDraftSettings.playerPool.fileName, text: tempDraftSettings.playerPool.text }
+            } : {}),
+            ...(tempDraftSettings.draftMode === 'auction' ? {
+                minBid: tempDraftSettings.minBid,
+                bidIncrement: tempDraftSettings.bidIncrement,
+                bidTimeLimit: tempDraftSettings.bidTimeLimit
+            } : {}),
+            ...(tempDraftSettings.draftMode === 'expansion' ? {
+                protectionScheme: tempDraftSettings.protectionScheme,
+                capFloor: tempDraftSettings.capFloor
+            } : {})
         };
 
         socket.emit('start_draft', settings);
+        if (roomPasswordInput) roomPasswordInput.value = ''; // Only the server keeps (a hash of) it
 
         tempDraftSettings = {}; // Clear temporary settings
         tableNamesOverlay.classList.remove('visible');
     }
 
-    /** Handles input changes in player search fields, triggers search and displays results. */
+    /**
+     * Handles input changes in player search fields: once typing pauses, searches the room's players on the server
+     * (available players of the slot's position) and displays the first page of results, with more on request.
+     */
     function handlePlayerSearchInput(event) {
         const inputElement = event.target;
         const searchTerm = inputElement.value;
@@ -1015,18 +2127,24 @@ document.addEventListener("DOMContentLoaded", () => {
         if (teamIdStr) {
             currentTeamId = parseInt(teamIdStr, 10);
         }
-        const maxSalary = currentServerState?.settings?.maxSalary;
+        const capMode = currentServerState?.settings?.capMode || 'hard';
+        // In an auction, a player's cost is the winning bid rather than the cap hit
+        const maxSalary = capMode === 'none' || currentServerState?.auction ? 0 : currentServerState?.settings?.maxSalary;
         let currentTeamSalary = 0;
 
+        // When replacing a pick, the replaced player's salary comes off the books
+        const replacedOverall = parseInt(inputElement.dataset.replaceOverall, 10);
         if (currentServerState?.picks && !isNaN(currentTeamId) && maxSalary > 0) {
             currentServerState.picks.forEach(pick => {
-                if (pick.teamId === currentTeamId && pick.salary != null) {
+                if (pick.teamId === currentTeamId && pick.salary != null && pick.overall !== replacedOverall) {
                     currentTeamSalary += (parseInt(pick.salary, 10) || 0);
                 }
             });
         }
 
-        if (searchTerm.length < 2) { // Only search if term is long enough
+        clearTimeout(playerSearchTimer);
+        const searchId = ++latestPlayerSearch; // Any search still in flight is now stale
+        if (searchTerm.trim().length < 2) { // Only search if term is long enough
             hidePlayerTooltip();
             return;
         }
@@ -1035,13 +2153,17 @@ document.addEventListener("DOMContentLoaded", () => {
         const selectedIds = currentServerState?.selectedPlayerIds instanceof Set
             ? currentServerState.selectedPlayerIds
             : new Set();
-    
-        const playersOfGivenPosition = getAvailablePlayers(position); // Get all players of that position
-        const filteredPlayers = searchPlayers(searchTerm, playersOfGivenPosition); // Search within them
 
-        if (filteredPlayers.length > 0) {
+        /** Adds result items for a page of players, and a "show more" item if there are more matches. */
+        const showResults = ({ total, offset, players }) => {
+            if (searchId !== latestPlayerSearch) return; // Typed further (or picked) since this search was sent
+            searchResultsContainer.querySelector('.search-result-more')?.remove();
+            if (players.length === 0 && offset === 0) {
+                hidePlayerTooltip(); // Hide tooltip if no results found
+                return;
+            }
             searchResultsContainer.style.display = 'block'; // Show container
-            filteredPlayers.slice(0, 10).forEach(player => { // Limit displayed results
+            players.forEach(player => {
                 const item = document.createElement("div");
                 item.classList.add("search-result-item");
                 // Store all necessary data on the result item itself
@@ -1054,13 +2176,14 @@ document.addEventListener("DOMContentLoaded", () => {
                 item.dataset.age = player.age ?? '';
 
                 const playerCapHit = parseInt(player.cap_hit, 10) || 0;
-                const wouldBeOverCap = maxSalary > 0 && (currentTeamSalary + playerCapHit > maxSalary) && !isNaN(currentTeamId);
+                const exceedsCap = maxSalary > 0 && (currentTeamSalary + playerCapHit > maxSalary) && !isNaN(currentTeamId);
+                const wouldBeOverCap = exceedsCap && capMode === 'hard'; // Only a hard cap blocks the pick
 
                 const isPicked = selectedIds.has(player.id); // Check if this player is in the set of picked IDs
                 if (isPicked) {
                     item.classList.add("search-result-item-picked"); // Add our new CSS class
-                } else if (wouldBeOverCap) {
-                    item.classList.add("search-result-item-over-cap");
+                } else if (exceedsCap) {
+                    item.classList.add(wouldBeOverCap ? "search-result-item-over-cap" : "search-result-item-soft-over-cap");
                     item.title = `Picking this player would exceed the ${formatCurrency(maxSalary)} salary cap for this team. Current: ${formatCurrency(currentTeamSalary)}, Player: ${formatCurrency(playerCapHit)}`;
                 }
 
@@ -1086,9 +2209,28 @@ document.addEventListener("DOMContentLoaded", () => {
 
                 searchResultsContainer.appendChild(item);
             });
-        } else {
-             hidePlayerTooltip(); // Hide tooltip if no results found
-        }
+
+            const shownCount = offset + players.length;
+            if (shownCount < total) {
+                const moreItem = document.createElement("div");
+                moreItem.classList.add("search-result-more");
+                moreItem.textContent = `Show more (${total - shownCount} more)`;
+                moreItem.addEventListener("mousedown", moreEvent => {
+                    moreEvent.preventDefault(); // Keep focus in the input so the results stay open
+                    moreItem.textContent = 'Loading...';
+                    loadPage(shownCount);
+                });
+                searchResultsContainer.appendChild(moreItem);
+            }
+        };
+
+        const loadPage = offset => searchRoomPlayers({ q: searchTerm, position: position, available: 1, offset: offset, limit: PLAYER_SEARCH_PAGE_SIZE })
+            .then(showResults)
+            .catch(err => {
+                console.error("Player search failed:", err);
+                searchResultsContainer.querySelector('.search-result-more')?.remove();
+            });
+        playerSearchTimer = setTimeout(() => loadPage(0), PLAYER_SEARCH_DELAY);
     }
 
     /** Hides search results when the input loses focus (with delay). */
@@ -1119,6 +2261,9 @@ document.addEventListener("DOMContentLoaded", () => {
         } else if (event.key === 'Escape') {
              resultsContainer.style.display = 'none'; // Hide results on Escape
              hidePlayerTooltip();
+             if (event.target.dataset.replaceOverall && currentServerState) {
+                 renderUIFromServerState(currentServerState); // Cancel the replacement, restoring the original pick
+             }
         }
     }
 
@@ -1144,21 +2289,49 @@ document.addEventListener("DOMContentLoaded", () => {
 
         const playerId = parseInt(playerOption.dataset.playerId, 10);
         const teamId = parseInt(parentTable.dataset.teamId, 10); // Get teamId from table
-        const player = playersIndex.find(p => p.id === playerId); // Find full player data
-
-        if (player && !isNaN(teamId)) {
-            // Prepare data payload for the server
+        const player = playerRecords.get(playerId); // The record received with the search results
+
+        if (player && inputElement.dataset.replaceOverall) {
+            // Commissioner correction: swap the player in an earlier pick, keeping its slot
+            const overall = parseInt(inputElement.dataset.replaceOverall, 10);
+            socket.emit('replace_pick', { roomCode: currentRoomCode, overall: overall, playerId: player.id });
+
+            resultsContainer.style.display = "none";
+            resultsContainer.innerHTML = "";
+            inputElement.disabled = true;
+            inputElement.value = '';
+            inputElement.placeholder = "Processing...";
+        } else if (player && !isNaN(teamId) && currentServerState?.isKeeperPhase) {
+            // Keeper phase: lock the player in as a keeper, giving up the chosen round's pick
+            const round = parseInt(keeperRoundSelect?.value, 10);
+            const keeperData = { playerId: player.id, teamId: teamId, round: isNaN(round) ? null : round };
+            socket.emit('add_keeper', { roomCode: currentRoomCode, keeperData: keeperData });
+
+            resultsContainer.style.display = "none";
+            resultsContainer.innerHTML = "";
+            inputElement.disabled = true;
+            inputElement.value = '';
+            inputElement.placeholder = "Processing...";
+        } else if (player && !isNaN(teamId) && currentServerState?.auction) {
+            // Auction: put the player up for bidding, opening at the minimum bid
+            const nomination = { playerId: player.id, teamId: teamId, openingBid: currentServerState.settings.minBid };
+            socket.emit('nominate_player', { roomCode: currentRoomCode, nomination: nomination });
+
+            resultsContainer.style.display = "none";
+            resultsContainer.innerHTML = "";
+            inputElement.disabled = true;
+            inputElement.value = '';
+            inputElement.placeholder = "Processing...";
+        } else if (player && !isNaN(teamId)) {
+            // Prepare data payload for the server (the server resolves all player details from the ID)
             const pickData = {
                 playerId: player.id,
-                playerName: player.name,
-                salary: parseInt(player.cap_hit, 10) || 0, // Use cap_hit, ensure integer
-                position: player.position,
-                teamId: teamId, // Use teamId from the table context
-                team_url: player.team_url || '', // Include player's NHL team URL
-                city: player.city || '' // Include player's NHL team city
+                teamId: teamId // Use teamId from the table context
             };
 
-            socket.emit('make_pick', { roomCode: currentRoomCode, pickData: pickData });
+            // The commissioner picking for an absent team sends a forced pick instead
+            const eventName = holdsSeat(currentServerState, teamId) ? 'make_pick' : 'force_pick';
+            socket.emit(eventName, { roomCode: currentRoomCode, pickData: pickData });
 
             // --- Optimistic UI Update / Feedback ---
             resultsContainer.style.display = "none"; // Hide results
@@ -1173,6 +2346,273 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
 
+    /** Handles clicking a pick's replace button: swaps the player's name for a search field. */
+    function handleReplacePickClick(nameCell, pick, pos, slotIndex) {
+        hidePlayerTooltip();
+        nameCell.innerHTML = '';
+        const searchInput = appendPlayerSearch(nameCell, pos, pick.teamId, slotIndex);
+        searchInput.dataset.replaceOverall = pick.overall;
+        searchInput.placeholder = `Replace ${pick.playerName}...`;
+        searchInput.disabled = false;
+        searchInput.focus();
+    }
+
+    /** Handles clicking a pick's void button (commissioner only). Later picks are kept. */
+    function handleVoidPickClick(pick) {
+        if (!currentRoomCode) return;
+        if (confirm(`Void pick #${pick.overall} (${pick.playerName})? The player goes back into the pool; later picks are kept.`)) {
+            socket.emit('void_pick', { roomCode: currentRoomCode, overall: pick.overall });
+        }
+    }
+
+    /** Handles clicking "Bid" in the auction panel. */
+    function handlePlaceBidClick() {
+        if (!currentRoomCode || !currentServerState?.auction?.lot) return;
+
+        const teamId = parseInt(auctionBidTeamSelect?.value, 10);
+        const amount = parseInt(auctionBidAmountInput?.value, 10);
+        if (isNaN(teamId) || isNaN(amount)) {
+            alert("Choose a team and enter a bid.");
+            return;
+        }
+        socket.emit('place_bid', { roomCode: currentRoomCode, bid: { teamId, amount } });
+        auctionBidAmountInput?.blur(); // Let the next update suggest the new minimum raise
+    }
+
+    /** Updates the start screen for the season picked (its players decide e.g. the expansion roster size). */
+    function handleSeasonChange() {
+        if (!seasonSelect?.value) return;
+        populatePlayerFilterPresets();
+        updateDraftModeSettings();
+        updatePlayerFilterSummary();
+    }
+
+    /**
+     * Reads the player pool file chosen on the start screen and checks it with the same rules as the server,
+     * so problems show up before the draft is started. A valid pool replaces the season's players for the new room.
+     */
+    function handlePlayerPoolFileChange() {
+        const file = playerPoolFileInput?.files?.[0];
+        if (!file) {
+            setUploadedPlayerPool(null);
+            return;
+        }
+        file.text()
+            .then(text => {
+                const { players, errors } = parsePlayerPool(text, getPoolFormat(file.name));
+                if (errors.length > 0) {
+                    setUploadedPlayerPool(null, errors.join(' '));
+                    return;
+                }
+                setUploadedPlayerPool({ fileName: file.name, text, players });
+            })
+            .catch(err => {
+                console.error("Failed to read the player pool file:", err);
+                setUploadedPlayerPool(null, "The player pool file couldn't be read.");
+            });
+    }
+
+    /**
+     * Sets (or clears) the pool the next draft will use, and shows it on the start screen.
+     * @param {object|null} pool - { fileName, text, players }, or null for the season's players.
+     * @param {string} [errorMessage] - Why the chosen file can't be used.
+     */
+    function setUploadedPlayerPool(pool, errorMessage) {
+        uploadedPlayerPool = pool;
+        if (!pool && playerPoolFileInput) playerPoolFileInput.value = '';
+        if (seasonSelect) seasonSelect.disabled = !!pool; // The pool replaces the season's players
+        if (!playerPoolStatus || !playerPoolSummary) return;
+        playerPoolStatus.classList.toggle('hidden', !pool && !errorMessage);
+        playerPoolStatus.classList.toggle('has-error', !!errorMessage);
+        playerPoolSummary.textContent = pool
+            ? `${pool.players.length} players from ${pool.fileName} (instead of the season's players)`
+            : errorMessage || '';
+        clearPlayerPoolButton?.classList.toggle('hidden', !pool);
+        updatePlayerFilterSummary();
+    }
+
+    /** Fills the filter preset picker; "expiring contracts" depends on the season picked. */
+    function populatePlayerFilterPresets() {
+        if (!playerFilterPresetSelect) return;
+        playerFilterPresetSelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+        Object.entries(getPlayerFilterPresets(seasonSelect?.value)).forEach(([key, { label }]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            playerFilterPresetSelect.appendChild(option);
+        });
+    }
+
+    /** Adds the chosen preset as a filter row. */
+    function handlePlayerFilterPresetChange() {
+        const preset = getPlayerFilterPresets(seasonSelect?.value)[playerFilterPresetSelect?.value];
+        if (playerFilterPresetSelect) playerFilterPresetSelect.value = '';
+        if (preset) addPlayerFilterRow(preset.filter);
+    }
+
+    /**
+     * Adds a filter row to the start screen's filter builder: field, operator, value and a remove button.
+     * Text values are comma-separated, with suggestions from the season's players.
+     * @param {object} [filter] - The filter to show ({ field, op, value }); a blank age filter by default.
+     */
+    function addPlayerFilterRow(filter = { field: 'age', op: 'lte', value: '' }) {
+        if (!playerFilterList) return;
+        const row = document.createElement('div');
+        row.className = 'player-filter-row';
+
+        const fieldSelect = document.createElement('select');
+        fieldSelect.setAttribute('aria-label', 'Filter field');
+        Object.entries(PLAYER_FILTER_FIELDS).forEach(([field, { label }]) => {
+            fieldSelect.add(new Option(label, field, false, field === filter.field));
+        });
+        const opSelect = document.createElement('select');
+        opSelect.setAttribute('aria-label', 'Filter operator');
+        const valueInput = document.createElement('input');
+        valueInput.setAttribute('aria-label', 'Filter value');
+        const suggestions = document.createElement('datalist');
+        suggestions.id = `player-filter-values-${++playerFilterRowCount}`;
+        valueInput.setAttribute('list', suggestions.id);
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', 'Remove filter');
+
+        // The operators, input type and suggestions follow the field's type
+        const updateForField = () => {
+            const { type } = PLAYER_FILTER_FIELDS[fieldSelect.value];
+            opSelect.innerHTML = '';
+            Object.entries(PLAYER_FILTER_OPERATORS[type]).forEach(([op, label]) => {
+                opSelect.add(new Option(label, op, false, op === filter.op));
+            });
+            valueInput.type = type === 'number' ? 'number' : 'text';
+            valueInput.placeholder = type === 'text' ? 'Values, separated by commas' : '';
+            suggestions.innerHTML = '';
+            if (type !== 'number') {
+                const values = playerDatasetInfo.get(seasonSelect?.value)?.filterValues?.[fieldSelect.value] || [];
+                values.forEach(value => suggestions.appendChild(new Option(value)));
+            }
+        };
+        updateForField();
+        valueInput.value = Array.isArray(filter.value) ? filter.value.join(', ') : filter.value;
+
+        fieldSelect.addEventListener('change', () => {
+            valueInput.value = '';
+            updateForField();
+            updatePlayerFilterSummary();
+        });
+        opSelect.addEventListener('change', updatePlayerFilterSummary);
+        valueInput.addEventListener('input', updatePlayerFilterSummary);
+        removeButton.addEventListener('click', () => {
+            row.remove();
+            updatePlayerFilterSummary();
+        });
+
+        row.append(fieldSelect, opSelect, valueInput, suggestions, removeButton);
+        playerFilterList.appendChild(row);
+        updatePlayerFilterSummary();
+    }
+
+    /**
+     * Reads the filter builder's rows into filters, in the form the server expects.
+     * @returns {{playerFilters: object[], error: string|null}} The filters, and what's wrong with them if anything.
+     */
+    function readPlayerFiltersFromInputs() {
+        const playerFilters = Array.from(playerFilterList?.querySelectorAll('.player-filter-row') || []).map(row => {
+            const [fieldSelect, opSelect] = row.querySelectorAll('select');
+            const rawValue = row.querySelector('input').value;
+            const { type } = PLAYER_FILTER_FIELDS[fieldSelect.value];
+            const value = type === 'number' ? parseFloat(rawValue)
+                : type === 'text' ? rawValue.split(',').map(item => item.trim()).filter(Boolean)
+                : rawValue.trim();
+            return { field: fieldSelect.value, op: opSelect.value, value };
+        });
+        return { playerFilters, error: validatePlayerFilters(playerFilters) };
+    }
+
+    /**
+     * Shows how many players the start screen's filters leave: counted here for an uploaded pool,
+     * or by the server for the season's players.
+     */
+    function updatePlayerFilterSummary() {
+        if (!playerFilterSummary) return;
+        const { playerFilters, error } = readPlayerFiltersFromInputs();
+        const countId = ++latestFilterCount;
+        playerFilterSummary.classList.toggle('has-error', !!error && playerFilters.length > 0);
+        if (playerFilters.length === 0 || error) {
+            playerFilterSummary.textContent = playerFilters.length === 0 ? '' : error;
+            return;
+        }
+        const showCount = (matchCount, playerCount) => {
+            if (countId !== latestFilterCount) return; // The filters have changed since
+            playerFilterSummary.textContent = `${matchCount} of ${playerCount} players match.`;
+        };
+
+        if (uploadedPlayerPool) {
+            const { players } = uploadedPlayerPool;
+            showCount(players.filter(player => matchesPlayerFilters(player, playerFilters)).length, players.length);
+            return;
+        }
+        const season = seasonSelect?.value;
+        if (!season) return;
+        const params = new URLSearchParams({ filters: JSON.stringify(playerFilters), limit: 0 });
+        fetch(`/api/player-datasets/${encodeURIComponent(season)}/players?${params}`)
+            .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+            .then(({ total }) => showCount(total, playerDatasetInfo.get(season)?.playerCount ?? total))
+            .catch(err => console.error("Failed to count the players matching the filters:", err));
+    }
+
+    /**
+     * Shows the settings for the draft mode selected on the start screen.
+     * An expansion draft also fills in one expansion team and one roster slot per NHL team.
+     */
+    function updateDraftModeSettings() {
+        const draftMode = draftModeSelect?.value;
+        auctionSettingsGroup?.classList.toggle('hidden', draftMode !== 'auction');
+        expansionSettingsGroup?.classList.toggle('hidden', draftMode !== 'expansion');
+        if (draftMode !== 'expansion') return;
+
+        if (tableCountInput) tableCountInput.value = 1;
+        const template = getExpansionRosterTemplate(playerDatasetInfo.get(seasonSelect?.value)?.nhlTeamCount || 0);
+        rosterSlotInputs.forEach(input => {
+            input.value = template[input.dataset.slotType] || 0;
+        });
+        if (rosterTemplateSelect) rosterTemplateSelect.value = 'custom';
+        updateDraftOrderPreview();
+    }
+
+    /** Handles removing a keeper during the keeper phase. */
+    function handleRemoveKeeperClick(playerId) {
+        if (!currentRoomCode) return;
+        socket.emit('remove_keeper', { roomCode: currentRoomCode, playerId: playerId });
+    }
+
+    /** Handles the commissioner locking keepers, which starts the draft. */
+    function handleLockKeepersClick() {
+        if (!currentRoomCode) return;
+        if (confirm("Lock all keepers and start the draft? Keepers can't be changed afterwards.")) {
+            socket.emit('lock_keepers', { roomCode: currentRoomCode });
+        }
+    }
+
+    /** Handles the commissioner saving the protection list shown in the editor. */
+    function handleSaveProtectionClick() {
+        if (!currentRoomCode || !protectionTeamSelect || !protectionPlayersSelect) return;
+        // Disabled (NMC) options are included, since they're always protected
+        const playerIds = Array.from(protectionPlayersSelect.options)
+            .filter(option => option.selected)
+            .map(option => parseInt(option.value, 10));
+        socket.emit('submit_protection_list', { roomCode: currentRoomCode, nhlTeamId: protectionTeamSelect.value, playerIds });
+    }
+
+    /** Handles the commissioner locking protection lists, which starts the expansion draft. */
+    function handleLockProtectionClick() {
+        if (!currentRoomCode) return;
+        if (confirm("Lock all protection lists and start the expansion draft? Teams without a saved list will protect their highest cap hits.")) {
+            socket.emit('lock_protection_lists', { roomCode: currentRoomCode });
+        }
+    }
+
     /** Handles clicking the "Undo Last Pick" button. */
     function handleUndoClick() {
         if (!currentRoomCode) {
@@ -1186,6 +2626,91 @@ document.addEventListener("DOMContentLoaded", () => {
         socket.emit('undo_pick', { roomCode: currentRoomCode });
     }
 
+    /** Handles clicking the "Claim Seat" / "Release Seat" button under a table. */
+    function handleSeatButtonClick(event) {
+        event.stopPropagation(); // Don't trigger table highlighting
+        if (!currentRoomCode) {
+             console.error("Cannot change seat: Not in a room.");
+             return;
+        }
+        const teamId = parseInt(event.currentTarget.dataset.teamId, 10);
+        if (isNaN(teamId)) return;
+
+        const eventName = event.currentTarget.dataset.action === 'release' ? 'release_seat' : 'claim_seat';
+        socket.emit(eventName, { roomCode: currentRoomCode, teamId: teamId });
+    }
+
+    /** Handles clicking the "Pause" / "Resume" button (commissioner only). */
+    function handlePauseClick() {
+        if (!currentRoomCode || !currentServerState) {
+             console.error("Cannot pause or resume: Not in a room.");
+             return;
+        }
+        const eventName = currentServerState.isPaused ? 'resume_draft' : 'pause_draft';
+        socket.emit(eventName, { roomCode: currentRoomCode });
+    }
+
+    /** Handles clicking the "Trades" button in the draft header. */
+    function handleTradesButtonClick() {
+        if (!tradesOverlay || !currentServerState) return;
+        renderTradesOverlay(currentServerState);
+        tradesOverlay.classList.add('visible');
+    }
+
+    /** Handles clicking "Close" in the trades overlay. */
+    function handleCloseTradesClick() {
+        tradesOverlay?.classList.remove('visible');
+    }
+
+    /** Handles clicking "Propose Pick Trade" in the trades overlay. */
+    function handleProposePickTradeClick() {
+        if (!currentRoomCode) return;
+
+        const fromTeamId = parseInt(tradeFromTeamSelect?.value, 10);
+        const toTeamId = parseInt(tradeToTeamSelect?.value, 10);
+        const selectedPicks = selectElement => Array.from(selectElement?.selectedOptions || []).map(option => parseInt(option.value, 10));
+        const offeredPicks = selectedPicks(tradeOfferedPicksSelect);
+        const requestedPicks = selectedPicks(tradeRequestedPicksSelect);
+
+        if (isNaN(fromTeamId) || isNaN(toTeamId)) {
+            alert("Choose your team and the team to trade with.");
+            return;
+        }
+        if (offeredPicks.length === 0 || offeredPicks.length !== requestedPicks.length) {
+            alert("Select the same number of picks on each side (at least one).");
+            return;
+        }
+        socket.emit('propose_pick_trade', { roomCode: currentRoomCode, fromTeamId, toTeamId, offeredPicks, requestedPicks });
+    }
+
+    /** Handles clicking "Propose Player Trade" in the trades overlay. */
+    function handleProposePlayerTradeClick() {
+        if (!currentRoomCode) return;
+
+        const fromTeamId = parseInt(tradeFromTeamSelect?.value, 10);
+        const toTeamId = parseInt(tradeToTeamSelect?.value, 10);
+        const selectedPlayers = selectElement => Array.from(selectElement?.selectedOptions || []).map(option => parseInt(option.value, 10));
+        const offeredPlayerIds = selectedPlayers(tradeOfferedPlayersSelect);
+        const requestedPlayerIds = selectedPlayers(tradeRequestedPlayersSelect);
+
+        if (isNaN(fromTeamId) || isNaN(toTeamId)) {
+            alert("Choose your team and the team to trade with.");
+            return;
+        }
+        if (offeredPlayerIds.length + requestedPlayerIds.length === 0) {
+            alert("Select at least one player to trade.");
+            return;
+        }
+        socket.emit('propose_player_trade', { roomCode: currentRoomCode, fromTeamId, toTeamId, offeredPlayerIds, requestedPlayerIds });
+    }
+
+    /** Handles accepting or declining/withdrawing a pending trade. */
+    function handleTradeResponseClick(trade, accept) {
+        if (!currentRoomCode) return;
+        const eventName = `${accept ? 'accept' : 'decline'}_${trade.type}_trade`;
+        socket.emit(eventName, { roomCode: currentRoomCode, tradeId: trade.tradeId });
+    }
+
     /** Handles finishing editing a table name (on blur). */
     function handleTableNameEdit(event) {
         if (!currentRoomCode || !currentServerState?.settings?.tableNames) {
@@ -1248,6 +2773,30 @@ document.addEventListener("DOMContentLoaded", () => {
         settingsOverlay.classList.add('visible');
     }
 
+    /** Handles clicking "Make Commissioner" next to a participant. */
+    function handleTransferCommissionerClick(participantId) {
+        if (!currentRoomCode) return;
+        if (confirm(`Make ${getParticipantLabel(participantId, currentServerState)} the commissioner? You will lose commissioner controls.`)) {
+            socket.emit('transfer_commissioner', { roomCode: currentRoomCode, participantId: participantId });
+        }
+    }
+
+    /** Handles clicking "Remove" next to a participant. */
+    function handleKickParticipantClick(participantId) {
+        if (!currentRoomCode) return;
+        if (confirm(`Remove ${getParticipantLabel(participantId, currentServerState)} from the draft?`)) {
+            socket.emit('kick_participant', { roomCode: currentRoomCode, participantId: participantId });
+        }
+    }
+
+    /** Handles clicking "End Draft" in the commissioner controls. */
+    function handleEndDraftClick() {
+        if (!currentRoomCode) return;
+        if (confirm("End the draft for everyone? No further picks will be accepted.")) {
+            socket.emit('end_draft', { roomCode: currentRoomCode });
+        }
+    }
+
     /** Handles clicking the "Copy" button for the room code. */
     function handleCopyRoomCodeClick() {
         if (!navigator.clipboard) {
@@ -1281,7 +2830,8 @@ document.addEventListener("DOMContentLoaded", () => {
     /** Handles clicking the background of an overlay to close it. */
     function handleOverlayBackgroundClick(event) {
         // Close overlay if the click is directly on the overlay background itself
-        if (event.target === settingsOverlay || event.target === tableNamesOverlay || event.target === exitConfirmOverlay) {
+        if (event.target === settingsOverlay || event.target === tableNamesOverlay || event.target === exitConfirmOverlay ||
+            event.target === tradesOverlay) {
             event.target.classList.remove('visible');
             // If table name overlay is cancelled this way, clear temp settings
             if (event.target === tableNamesOverlay) {
@@ -1366,22 +2916,66 @@ document.addEventListener("DOMContentLoaded", () => {
     // --- Start/Join Screen ---
     attachListener(joinDraftButton, 'click', handleJoinDraftClick, 'Join Draft Button');
     attachListener(startDraftButton, 'click', handleStartDraftClick, 'Start Draft Button');
+    attachListener(draftOrderTypeSelect, 'change', updateDraftOrderPreview, 'Draft Order Type Select');
+    attachListener(customOrderInput, 'input', updateDraftOrderPreview, 'Custom Order Input');
+    attachListener(tableCountInput, 'input', updateDraftOrderPreview, 'Table Count Input');
+    attachListener(rosterTemplateSelect, 'change', handleRosterTemplateChange, 'Roster Template Select');
+    rosterSlotInputs.forEach(input => {
+        attachListener(input, 'input', () => {
+            if (rosterTemplateSelect) rosterTemplateSelect.value = 'custom'; // Hand-edited counts no longer match a preset
+            updateDraftOrderPreview();
+        }, `Roster Slot Input (${input.id})`);
+    });
+    updateDraftOrderPreview(); // Initial preview for the default settings
+    attachListener(draftModeSelect, 'change', updateDraftModeSettings, 'Draft Mode Select');
+    attachListener(seasonSelect, 'change', handleSeasonChange, 'Season Select');
+    attachListener(playerPoolFileInput, 'change', handlePlayerPoolFileChange, 'Player Pool File Input');
+    attachListener(clearPlayerPoolButton, 'click', () => setUploadedPlayerPool(null), 'Clear Player Pool Button');
+    attachListener(addPlayerFilterButton, 'click', () => addPlayerFilterRow(), 'Add Player Filter Button');
+    attachListener(playerFilterPresetSelect, 'change', handlePlayerFilterPresetChange, 'Player Filter Preset Select');
+    attachListener(accessModeSelect, 'change', updateAccessModeSettings, 'Access Mode Select');
 
     // --- Draft Area Controls ---
     attachListener(undoButton, 'click', handleUndoClick, 'Undo Button');
+    attachListener(pauseButton, 'click', handlePauseClick, 'Pause Button');
+    attachListener(lockKeepersButton, 'click', handleLockKeepersClick, 'Lock Keepers Button');
+    attachListener(placeBidButton, 'click', handlePlaceBidClick, 'Place Bid Button');
+    attachListener(protectionTeamSelect, 'change', () => renderExpansionPanel(currentServerState), 'Protection Team Select');
+    attachListener(saveProtectionButton, 'click', handleSaveProtectionClick, 'Save Protection Button');
+    attachListener(lockProtectionButton, 'click', handleLockProtectionClick, 'Lock Protection Button');
+    attachListener(auctionBidTeamSelect, 'change', () => renderAuctionPanel(currentServerState), 'Auction Bid Team Select');
     attachListener(settingsButton, 'click', handleSettingsButtonClick, 'Settings Button');
 
+    // --- Presence ---
+    attachListener(document, 'visibilitychange', handleVisibilityChange, 'Document Visibility');
+
+    // --- Chat ---
+    attachListener(chatToggleButton, 'click', handleChatToggleClick, 'Chat Toggle Button');
+    attachListener(sendChatButton, 'click', handleSendChatClick, 'Send Chat Button');
+    attachListener(chatInput, 'keydown', handleChatInputKeydown, 'Chat Input');
+
     // --- Settings Overlay ---
     attachListener(settingsOverlay, 'click', handleOverlayBackgroundClick, 'Settings Overlay Background');
     attachListener(closeSettingsButton, 'click', handleCloseSettingsClick, 'Close Settings Button');
     attachListener(copyRoomCodeButton, 'click', handleCopyRoomCodeClick, 'Copy Room Code Button');
     attachListener(exitDraftButton, 'click', handleExitDraftClick, 'Exit Draft Button (in Settings)');
+    attachListener(endDraftButton, 'click', handleEndDraftClick, 'End Draft Button (in Settings)');
+    attachListener(createInviteButton, 'click', handleCreateInviteClick, 'Create Invite Button (in Settings)');
 
     // --- Table Names Overlay ---
     attachListener(tableNamesOverlay, 'click', handleOverlayBackgroundClick, 'Table Names Overlay Background');
     attachListener(confirmTableNamesButton, 'click', handleConfirmTableNamesClick, 'Confirm Table Names Button');
     attachListener(cancelTableNamesButton, 'click', handleCancelTableNamesClick, 'Cancel Table Names Button');
 
+    // --- Trades Overlay ---
+    attachListener(tradesButton, 'click', handleTradesButtonClick, 'Trades Button');
+    attachListener(tradesOverlay, 'click', handleOverlayBackgroundClick, 'Trades Overlay Background');
+    attachListener(closeTradesButton, 'click', handleCloseTradesClick, 'Close Trades Button');
+    attachListener(proposePickTradeButton, 'click', handleProposePickTradeClick, 'Propose Pick Trade Button');
+    attachListener(proposePlayerTradeButton, 'click', handleProposePlayerTradeClick, 'Propose Player Trade Button');
+    attachListener(tradeFromTeamSelect, 'change', () => renderTradesOverlay(currentServerState), 'Trade From Team Select');
+    attachListener(tradeToTeamSelect, 'change', () => renderTradesOverlay(currentServerState), 'Trade To Team Select');
+
     // --- Exit Confirmation Overlay ---
     attachListener(exitConfirmOverlay, 'click', handleOverlayBackgroundClick, 'Exit Confirm Overlay Background');
     attachListener(confirmExitButton, 'click', handleConfirmExit, 'Confirm Exit Button');
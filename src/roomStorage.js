@@ -0,0 +1,121 @@
+// roomStorage.js
+// Pluggable persistence for draft rooms, so live drafts survive server restarts.
+// A backend stores one plain JSON-compatible object per room code; converting the
+// in-memory room state to and from that form is up to the server.
+const fs = require('fs');
+const path = require('path');
+
+// Room codes are used as file names, so only accept what generateRoomCode produces
+const ROOM_CODE_PATTERN = /^[A-Z0-9]+$/;
+
+/**
+ * Creates a backend that keeps nothing (rooms are lost on restart, as before persistence existed).
+ * @returns {object} A room storage backend.
+ */
+function createMemoryRoomStorage() {
+    return {
+        name: 'memory',
+        loadAll: async () => [],
+        save: async () => {},
+        remove: async () => {}
+    };
+}
+
+/**
+ * Creates a backend that writes one JSON file per room into a directory.
+ * Writes for the same room are queued so they land in order, and each one replaces
+ * the file atomically (write to a temp file, then rename) so a crash never leaves half a room.
+ * @param {string} directory - Where room files are kept. Created if missing.
+ * @returns {object} A room storage backend.
+ */
+function createFileRoomStorage(directory) {
+    const writeQueues = new Map(); // roomCode -> Promise of the last queued write
+    const filePathFor = roomCode => path.join(directory, `${roomCode}.json`);
+
+    // Runs a write after any earlier ones for the same room; failures are logged, never thrown
+    function enqueue(roomCode, write) {
+        const previous = writeQueues.get(roomCode) || Promise.resolve();
+        const next = previous.then(write).catch(err => {
+            console.error(`[Storage] Failed to write room ${roomCode}: ${err.message}`);
+        });
+        writeQueues.set(roomCode, next);
+        next.then(() => {
+            if (writeQueues.get(roomCode) === next) writeQueues.delete(roomCode);
+        });
+        return next;
+    }
+
+    return {
+        name: 'file',
+
+        /**
+         * Reads every stored room. Unreadable files are skipped with a warning.
+         * @returns {Promise<Array<{roomCode: string, data: object}>>}
+         */
+        async loadAll() {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const fileNames = await fs.promises.readdir(directory);
+            const rooms = [];
+            for (const fileName of fileNames) {
+                const roomCode = path.basename(fileName, '.json');
+                if (path.extname(fileName) !== '.json' || !ROOM_CODE_PATTERN.test(roomCode)) continue;
+                try {
+                    const data = JSON.parse(await fs.promises.readFile(filePathFor(roomCode), 'utf8'));
+                    rooms.push({ roomCode, data });
+                } catch (err) {
+                    console.warn(`[Storage] Skipping unreadable room file ${fileName}: ${err.message}`);
+                }
+            }
+            return rooms;
+        },
+
+        /**
+         * Writes a room. The data is serialized immediately, so later changes to it aren't picked up.
+         * @param {string} roomCode - The code of the room.
+         * @param {object} data - The room's JSON-compatible state.
+         * @returns {Promise<void>}
+         */
+        save(roomCode, data) {
+            if (!ROOM_CODE_PATTERN.test(roomCode)) return Promise.resolve();
+            const json = JSON.stringify(data);
+            return enqueue(roomCode, async () => {
+                const tempPath = `${filePathFor(roomCode)}.tmp`;
+                await fs.promises.mkdir(directory, { recursive: true });
+                await fs.promises.writeFile(tempPath, json);
+                await fs.promises.rename(tempPath, filePathFor(roomCode));
+            });
+        },
+
+        /**
+         * Deletes a room's file (after any pending writes for it).
+         * @param {string} roomCode - The code of the room.
+         * @returns {Promise<void>}
+         */
+        remove(roomCode) {
+            if (!ROOM_CODE_PATTERN.test(roomCode)) return Promise.resolve();
+            return enqueue(roomCode, () => fs.promises.rm(filePathFor(roomCode), { force: true }));
+        }
+    };
+}
+
+// Backend name -> factory. Other backends (e.g. a database) plug in here with the same interface.
+const ROOM_STORAGE_BACKENDS = {
+    file: options => createFileRoomStorage(options.directory),
+    memory: () => createMemoryRoomStorage()
+};
+
+/**
+ * Creates the configured room storage backend.
+ * @param {string} backend - A key of ROOM_STORAGE_BACKENDS.
+ * @param {object} [options={}] - Backend options ({ directory } for the file backend).
+ * @returns {object} A backend with loadAll(), save(roomCode, data) and remove(roomCode).
+ */
+function createRoomStorage(backend, options = {}) {
+    const factory = ROOM_STORAGE_BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown room storage backend '${backend}' (expected one of: ${Object.keys(ROOM_STORAGE_BACKENDS).join(', ')}).`);
+    }
+    return factory(options);
+}
+
+module.exports = { createRoomStorage, ROOM_STORAGE_BACKENDS };
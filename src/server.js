@@ -4,6 +4,10 @@ const http = require('http');
 const { Server } = require("socket.io");
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { createRoomStorage } = require('./roomStorage');
+const { createPlayerSearchIndex, searchPlayerIndex, toPlayerRecord } = require('./playerSearch');
 
 // ==========================================================================
 // Server Setup
@@ -15,6 +19,54 @@ const io = new Server(server);
 const PORT = process.env.PORT || 3000;
 const ROOM_CLEANUP_DELAY_SHORT = 60 * 1000; // 1 minute in ms
 const ROOM_CLEANUP_DELAY_LONG = 24 * 60 * 60 * 1000; // 24 hours in ms
+const RECONNECT_GRACE_PERIOD = 30 * 1000; // How long a dropped participant stays in the room before others see them leave
+const MAX_FAILED_JOINS = 5; // Failed join attempts (wrong code, password or invite) allowed per address...
+const FAILED_JOIN_WINDOW = 10 * 60 * 1000; // ...within this many ms
+// Reverse proxies (load balancer, TLS terminator...) in front of the server that append to X-Forwarded-For.
+// 0 (the default) assumes clients connect directly, so the connection's address is theirs. Behind a proxy,
+// set this or every client shares the proxy's address (and its failed join limit).
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || '0', 10) || 0;
+const PLAYER_INDEX_DIR = path.join(__dirname, 'players'); // Where the PlayerIndex_<season>.mjs datasets live (server only: clients search them through the API)
+const PLAYER_INDEX_FILE_PATTERN = /^PlayerIndex_(\d{4}-\d{2})\.mjs$/; // e.g. PlayerIndex_2024-25.mjs -> season '2024-25'
+const LEGACY_SEASON = '2024-25'; // Rooms created before seasons were selectable drafted from this dataset
+const DRAFT_ORDER_MODULE_PATH = path.join(__dirname, 'public', 'draftOrder.mjs');
+const ROSTER_SLOTS_MODULE_PATH = path.join(__dirname, 'public', 'rosterSlots.mjs');
+const EXPANSION_DRAFT_MODULE_PATH = path.join(__dirname, 'public', 'expansionDraft.mjs');
+const PLAYER_POOL_MODULE_PATH = path.join(__dirname, 'public', 'playerPool.mjs');
+const PLAYER_FILTERS_MODULE_PATH = path.join(__dirname, 'public', 'playerFilters.mjs');
+const ROOM_STORAGE_BACKEND = process.env.ROOM_STORAGE || 'file'; // 'file' keeps rooms across restarts, 'memory' doesn't
+const ROOM_STORAGE_DIR = process.env.ROOM_STORAGE_DIR || path.join(__dirname, '..', 'data', 'rooms');
+const CAP_MODES = ['hard', 'soft', 'none']; // hard: reject over-cap picks, soft: allow but flag, none: ignore cap
+const AUTO_PICK_STRATEGIES = ['cap_hit', 'points']; // How the best available player is chosen when the clock expires
+const DRAFT_MODES = ['standard', 'auction', 'expansion']; // Turn-based picks, nominations with live bidding, or one exposed player per NHL team
+const ACCESS_MODES = ['open', 'password', 'invite']; // Who can join: anyone with the code, the password (or an invite), or invite links only
+const MIN_PASSWORD_LENGTH = 4;
+const MEMBER_ROLES = ['player', 'spectator']; // Players can hold seats and act; spectators only watch
+// Events a spectator may still send: joining, leaving, chatting, presence, or starting a draft of their own
+const SPECTATOR_EVENTS = new Set(['join_draft', 'leave_draft', 'send_chat_message', 'set_presence', 'start_draft']);
+const MAX_DISPLAY_NAME_LENGTH = 30;
+const MAX_CHAT_HISTORY = 200; // Messages kept per room (older ones are dropped)
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+const MAX_SEARCH_QUERY_LENGTH = 60;
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 200; // Enough for any NHL team's players in one page (the protection editor lists them all)
+const DEFAULT_TEAM_LOGO = '/images/logos/NHL.svg'; // For players without an NHL team, and every custom pool player
+// Team abbreviations for chat announcements, by the index's team_url
+const NHL_TEAM_ABBREVIATIONS = {
+    'anaheim-ducks': 'ANA', 'boston-bruins': 'BOS', 'buffalo-sabres': 'BUF', 'calgary-flames': 'CGY',
+    'carolina-hurricanes': 'CAR', 'chicago-blackhawks': 'CHI', 'colorado-avalanche': 'COL', 'columbus-blue-jackets': 'CBJ',
+    'dallas-stars': 'DAL', 'detroit-red-wings': 'DET', 'edmonton-oilers': 'EDM', 'florida-panthers': 'FLA',
+    'los-angeles-kings': 'LAK', 'minnesota-wild': 'MIN', 'montreal-canadiens': 'MTL', 'nashville-predators': 'NSH',
+    'new-jersey-devils': 'NJD', 'new-york-islanders': 'NYI', 'new-york-rangers': 'NYR', 'ottawa-senators': 'OTT',
+    'philadelphia-flyers': 'PHI', 'pittsburgh-penguins': 'PIT', 'san-jose-sharks': 'SJS', 'seattle-kraken': 'SEA',
+    'st-louis-blues': 'STL', 'tampa-bay-lightning': 'TBL', 'toronto-maple-leafs': 'TOR', 'utah-hc': 'UTA',
+    'vancouver-canucks': 'VAN', 'vegas-golden-knights': 'VGK', 'washington-capitals': 'WSH', 'winnipeg-jets': 'WPG'
+};
+// Offered/requested field names on a trade, by trade type
+const TRADE_ASSET_KEYS = {
+    pick: ['offeredPicks', 'requestedPicks'], // Overall pick numbers
+    player: ['offeredPlayerIds', 'requestedPlayerIds'] // Drafted player ids
+};
 
 // ==========================================================================
 // In-Memory State Management
@@ -23,6 +75,638 @@ const ROOM_CLEANUP_DELAY_LONG = 24 * 60 * 60 * 1000; // 24 hours in ms
 // Key: roomCode (string), Value: draftState (object)
 const draftRooms = new Map();
 
+// Persistent copy of every room, written after each mutation and reloaded on boot.
+const roomStorage = createRoomStorage(ROOM_STORAGE_BACKEND, { directory: ROOM_STORAGE_DIR });
+
+// Pick clock timers for each room, kept outside the room state so they are never emitted.
+// Key: roomCode (string), Value: Timeout
+const pickTimers = new Map();
+
+// Grace period timers for participants whose connection dropped, so a refresh doesn't look like leaving.
+// Key: `${roomCode}:${participantId}`, Value: Timeout
+const departureTimers = new Map();
+
+// Recent failed join attempts per client address, to slow down guessing room codes and passwords.
+// Key: address (string), Value: { count, windowStart }
+const failedJoins = new Map();
+
+// Every player dataset, used as the source of truth for picks and searched by clients. Each room is pinned to one (settings.season).
+// Key: season (e.g. '2024-25'), Value: { season, fileName, version, playersById: Map of player id (the sequential 'id' field) -> player,
+// teamLogos: team_url -> logo path }. `version` is a hash of the file, so search ETags change when it is re-imported.
+const playerDatasets = new Map();
+let defaultSeason = null; // The latest season found, offered first on the start screen
+
+// Draft order helpers, shared with the client (loaded from draftOrder.mjs at startup).
+let draftOrderModule = null;
+
+// Roster slot helpers, shared with the client (loaded from rosterSlots.mjs at startup).
+let rosterSlotsModule = null;
+
+// Expansion draft rules, shared with the client (loaded from expansionDraft.mjs at startup).
+let expansionDraftModule = null;
+
+// Custom player pool parsing, shared with the client (loaded from playerPool.mjs at startup).
+let playerPoolModule = null;
+
+// Player pool filters, shared with the client (loaded from playerFilters.mjs at startup).
+let playerFiltersModule = null;
+
+// Player id -> player for each room's custom pool, built on first use. Keyed by the pool array itself,
+// so an index goes away with its room.
+const playerPoolIndexes = new WeakMap();
+
+// Name search index for each set of players searched (a dataset's or a custom pool's players), built on first search.
+// Keyed by the players map, so a pool's index goes away with its room.
+const playerSearchIndexes = new WeakMap();
+
+// ==========================================================================
+// Room Event Log
+// ==========================================================================
+
+// Event type -> reducer that applies it to a room's state. Every change to the draft itself is an event,
+// so a room can be rebuilt from its log alone. Connection details (participants, seats, commissioner)
+// and the pick clock aren't events. Reducers trust their data: it was validated before the event was recorded.
+const ROOM_EVENT_HANDLERS = {
+    draft_created: () => {}, // Always the first event; rebuildRoomFromLog creates the room from its settings
+    pick: (roomState, { playerId, teamId, flags }) => applyPick(roomState, { playerId, teamId }, flags),
+    undo: roomState => {
+        const lastPick = roomState.picks.at(-1);
+        if (roomState.auction) {
+            // The team that nominated the undone player nominates again
+            roomState.auction.nextNominatorIndex = roomState.auction.nominationOrder.indexOf(lastPick.nominatedBy);
+        }
+        return removePick(roomState, lastPick);
+    },
+    void_pick: (roomState, { overall }) => removePick(roomState, roomState.picks.find(pick => pick.overall === overall)),
+    replace_pick: (roomState, { overall, playerId }) => replacePick(roomState, overall, playerId),
+    keeper_added: (roomState, { playerId, teamId, overall }) => applyPick(roomState, { playerId, teamId }, { isKeeper: true },
+        roomState.pickOrder.find(slot => slot.overall === overall)),
+    keeper_removed: (roomState, { playerId }) => removePick(roomState, roomState.picks.find(pick => pick.playerId === playerId)),
+    keepers_locked: roomState => {
+        roomState.isKeeperPhase = false;
+    },
+    rename: (roomState, { teamId, name }) => {
+        const previousName = getTeamName(roomState, teamId);
+        roomState.settings.tableNames[teamId] = name;
+        return previousName;
+    },
+    pause: (roomState, { timeRemaining }) => {
+        roomState.isPaused = true;
+        roomState.pausedTimeRemaining = timeRemaining;
+    },
+    resume: roomState => {
+        roomState.isPaused = false;
+        roomState.pausedTimeRemaining = null;
+    },
+    end: roomState => {
+        roomState.isEnded = true;
+        roomState.isPaused = false;
+        roomState.nextTableToPick = -1;
+    },
+    nomination: (roomState, { nomination, flags }) => openAuctionLot(roomState, nomination, flags),
+    bid: (roomState, { teamId, amount }) => {
+        const { lot } = roomState.auction;
+        lot.highBid = amount;
+        lot.highBidderTeamId = teamId;
+        lot.bids.push({ teamId, amount });
+        return lot;
+    },
+    lot_closed: roomState => closeAuctionLot(roomState),
+    protection_list: (roomState, { nhlTeamId, playerIds }) => {
+        roomState.expansion.protectionLists[nhlTeamId] = { playerIds: [...playerIds], isSubmitted: true };
+    },
+    protection_locked: (roomState, { defaultLists }) => {
+        Object.entries(defaultLists).forEach(([nhlTeamId, playerIds]) => {
+            roomState.expansion.protectionLists[nhlTeamId] = { playerIds: [...playerIds], isSubmitted: true };
+        });
+        roomState.isProtectionPhase = false;
+    },
+    trade_proposed: (roomState, { trade }, event) => {
+        const proposal = { tradeId: roomState.nextTradeId++, ...structuredClone(trade), proposedAt: event.at };
+        roomState.pendingTrades.push(proposal);
+        return proposal;
+    },
+    trade_accepted: (roomState, { tradeId }, event) => {
+        const trade = roomState.pendingTrades.find(t => t.tradeId === tradeId);
+        roomState.pendingTrades = roomState.pendingTrades.filter(t => t !== trade);
+        executeTrade(roomState, trade, event.at);
+        return trade;
+    },
+    trade_declined: (roomState, { tradeId }) => {
+        roomState.pendingTrades = roomState.pendingTrades.filter(t => t.tradeId !== tradeId);
+    }
+};
+
+// Event type -> the player ids its data refers to. A stored log is checked against the room's players
+// before it is replayed, since its dataset may have changed (re-imported) since the events were recorded.
+const ROOM_EVENT_PLAYER_IDS = {
+    pick: ({ playerId }) => [playerId],
+    replace_pick: ({ playerId }) => [playerId],
+    keeper_added: ({ playerId }) => [playerId],
+    nomination: ({ nomination }) => [nomination?.playerId],
+    protection_list: ({ playerIds }) => playerIds || [],
+    protection_locked: ({ defaultLists }) => Object.values(defaultLists || {}).flat()
+};
+
+/**
+ * Builds a new room's state from its validated settings, as it is before any event is applied.
+ * Connection fields start empty; the caller fills them in.
+ * @param {string} roomCode - The code of the room.
+ * @param {object} settings - The validated, normalized settings. Kept by reference.
+ * @param {object[]|null} [playerPool=null] - The room's custom players, or null to use the season's index.
+ * @returns {object} The internal room state object.
+ */
+function createRoomState(roomCode, settings, playerPool = null) {
+    // The full pick sequence is computed once and stored explicitly
+    const pickOrder = draftOrderModule.buildPickOrder(settings.numTables, getRosterSize(settings), settings.draftOrder)
+        .map(slot => ({ ...slot, ownerTeamId: slot.teamId })); // Every slot starts owned by its original team
+
+    // Every NHL team starts with its NMC players protected; the rest of its list is submitted during the protection phase
+    let expansion = null;
+    if (settings.draftMode === 'expansion') {
+        expansion = { nhlTeams: [], protectionLists: {} };
+        expansionDraftModule.getNhlTeams(Array.from(getPlayersForSeason(settings.season).values())).forEach(({ teamId, teamUrl, city }) => {
+            expansion.nhlTeams.push({ teamId, teamUrl, city });
+            expansion.protectionLists[teamId] = {
+                playerIds: getNhlTeamPlayers(settings.season, teamId).filter(expansionDraftModule.hasNoMoveClause).map(player => player.id),
+                isSubmitted: false
+            };
+        });
+    }
+
+    return {
+        settings: settings,
+        playerPool: playerPool, // Custom players uploaded at start_draft (see playerPool.mjs); null = the season's index
+        picks: [],
+        selectedPlayerIds: new Set(),
+        pickOrder: pickOrder, // Explicit pick sequence and ownership ledger: [{ overall, round, pickInRound, teamId, ownerTeamId }]
+        nextTableToPick: pickOrder[0].ownerTeamId, // Whoever holds the first slot starts
+        pendingTrades: [], // Trade proposals awaiting acceptance
+        tradeHistory: [], // Completed trades, oldest first
+        nextTradeId: 1,
+        roomCode: roomCode,
+        members: {}, // Everyone who has joined, present or not: { [participantId]: { tokenHash, displayName, role } }
+        participants: new Set(), // Ids of the members currently in the room
+        seats: {}, // Team index -> id of the participant holding that team's seat
+        commissionerId: null, // Id of the participant running the room
+        access: { passwordHash: null, invites: [] }, // Join secrets, never emitted: invites are [{ tokenHash, singleUse, expiresAt, uses }]
+        isEnded: false,
+        auction: settings.draftMode === 'auction' ? {
+            nominationOrder: pickOrder.filter(slot => slot.round === 1).map(slot => slot.teamId), // Teams nominate in round 1 order
+            nextNominatorIndex: 0,
+            lot: null // The player up for auction: { playerId, playerName, position, nominatedBy, highBid, highBidderTeamId, bids }
+        } : null,
+        isKeeperPhase: settings.maxKeepers > 0, // Teams lock in keepers before the first pick
+        expansion: expansion, // Expansion draft: { nhlTeams: [{ teamId, teamUrl, city }], protectionLists: { [nhlTeamId]: { playerIds, isSubmitted } } }
+        isProtectionPhase: !!expansion, // NHL teams' protection lists are set before the first pick
+        isPaused: false,
+        pausedTimeRemaining: null, // Pick clock time left (ms) frozen while paused
+        pickDeadline: null, // Epoch ms when the current pick clock expires (null = no clock running)
+        expiresAt: null, // Epoch ms when an empty room is removed (null while anyone is in it)
+        eventLog: [], // Append-only history the draft can be rebuilt from: [{ seq, type, at, actor, data }]
+        chat: [] // Recent chat messages, oldest first: [{ type: 'user'|'system', authorId, text, at }]
+    };
+}
+
+/**
+ * Appends an event to a room's log and applies it to the room's state.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {string} type - A key of ROOM_EVENT_HANDLERS.
+ * @param {string} actor - The socket id of the participant acting, or 'server' for the pick clock.
+ * @param {object} [data={}] - The event's details. Stored as is, so pass copies of anything that may change later.
+ * @returns {*} Whatever the event's reducer returns (e.g. the stored pick).
+ */
+function recordRoomEvent(roomState, type, actor, data = {}) {
+    const event = { seq: roomState.eventLog.length + 1, type, at: Date.now(), actor, data };
+    roomState.eventLog.push(event);
+    const result = ROOM_EVENT_HANDLERS[type](roomState, data, event);
+
+    // Replaying the log (rebuildRoomFromLog) doesn't come through here, so each event is announced once
+    const announcement = CHAT_ANNOUNCEMENTS[type]?.(roomState, data, result);
+    if (announcement) {
+        postChatMessage(roomState, { type: 'system', authorId: null, text: announcement });
+    }
+    return result;
+}
+
+// ==========================================================================
+// Room Chat
+// ==========================================================================
+
+/**
+ * Formats a salary for chat, e.g. 13250000 -> "$13.25M".
+ * @param {number} amount - The salary in dollars.
+ * @returns {string} The short form.
+ */
+function formatShortSalary(amount) {
+    if (amount >= 1000000) {
+        return `$${(amount / 1000000).toFixed(2).replace(/\.?0+$/, '')}M`;
+    }
+    return `$${Math.round(amount / 1000)}K`;
+}
+
+/**
+ * Returns a team's display name.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the team.
+ * @returns {string} The team's name, or "Team N" if it has none.
+ */
+function getTeamName(roomState, teamId) {
+    return roomState.settings.tableNames?.[teamId] || `Team ${teamId + 1}`;
+}
+
+/**
+ * Describes a drafted player for chat, e.g. "Auston Matthews (C, TOR, $13.25M)".
+ * @param {object} pick - A stored pick.
+ * @returns {string} The description.
+ */
+function describePickedPlayer(pick) {
+    const details = [pick.pos || pick.position, NHL_TEAM_ABBREVIATIONS[pick.team_url], formatShortSalary(pick.salary)].filter(Boolean);
+    return `${pick.playerName} (${details.join(', ')})`;
+}
+
+// Event type -> (roomState, data, reducer result) => system message text, for the events worth announcing in chat
+const CHAT_ANNOUNCEMENTS = {
+    pick: (roomState, data, pick) => `${getTeamName(roomState, pick.teamId)} selected ${describePickedPlayer(pick)}` +
+        (pick.isAuto ? ' (auto-pick)' : pick.isForced ? ' (made by the commissioner)' : ''),
+    lot_closed: (roomState, data, pick) => `${getTeamName(roomState, pick.teamId)} won ${describePickedPlayer(pick)}`,
+    undo: (roomState, data, pick) => `Pick #${pick.overall} (${getTeamName(roomState, pick.teamId)}: ${pick.playerName}) was undone`,
+    void_pick: (roomState, data, pick) => `The commissioner voided pick #${pick.overall} (${getTeamName(roomState, pick.teamId)}: ${pick.playerName})`,
+    replace_pick: (roomState, data, pick) => `The commissioner changed pick #${pick.overall} for ${getTeamName(roomState, pick.teamId)} ` +
+        `from ${getRoomPlayers(roomState).get(pick.replacedPlayerId)?.name || 'another player'} to ${describePickedPlayer(pick)}`,
+    rename: (roomState, { teamId }, previousName) => previousName === getTeamName(roomState, teamId)
+        ? null
+        : `${previousName} is now called ${getTeamName(roomState, teamId)}`
+};
+
+/**
+ * Adds a message to a room's chat and sends it to everyone in the room.
+ * Only the latest MAX_CHAT_HISTORY messages are kept. The caller saves the room.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} message - { type: 'user'|'system', authorId, text }.
+ */
+function postChatMessage(roomState, { type, authorId, text }) {
+    const message = { type, authorId, text, at: Date.now() };
+    roomState.chat.push(message);
+    if (roomState.chat.length > MAX_CHAT_HISTORY) {
+        roomState.chat.splice(0, roomState.chat.length - MAX_CHAT_HISTORY);
+    }
+    io.to(roomState.roomCode).emit('chat_message', { roomCode: roomState.roomCode, message: message });
+}
+
+/**
+ * Rebuilds a room's draft state by replaying its event log, which starts with a 'draft_created' event.
+ * @param {object[]} eventLog - The room's stored events, oldest first.
+ * @returns {object} The internal room state object, with empty connection fields.
+ * @throws {Error} If an event has an unknown type or refers to a player the room doesn't have.
+ */
+function rebuildRoomFromLog(eventLog) {
+    const [createdEvent, ...laterEvents] = eventLog;
+    const { roomCode, settings, playerPool } = createdEvent.data;
+    const roomState = createRoomState(roomCode, structuredClone(settings), playerPool ?? null);
+    roomState.eventLog.push(createdEvent);
+    laterEvents.forEach(event => {
+        if (!Object.hasOwn(ROOM_EVENT_HANDLERS, event.type)) {
+            throw new Error(`Event ${event.seq} has an unknown type '${event.type}'.`);
+        }
+        const unknownPlayerIds = (ROOM_EVENT_PLAYER_IDS[event.type]?.(event.data) || [])
+            .filter(playerId => !getRoomPlayers(roomState).has(playerId));
+        if (unknownPlayerIds.length > 0) {
+            throw new Error(`Event ${event.seq} (${event.type}) refers to unknown player ID ${unknownPlayerIds[0]}.`);
+        }
+        roomState.eventLog.push(event);
+        ROOM_EVENT_HANDLERS[event.type](roomState, event.data, event);
+    });
+    return roomState;
+}
+
+/**
+ * Takes a pick off a team's roster, putting the player back in the pool and the slot back on the clock.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} pickToRemove - The stored pick.
+ * @returns {object} The removed pick.
+ */
+function removePick(roomState, pickToRemove) {
+    roomState.picks = roomState.picks.filter(pick => pick !== pickToRemove);
+    roomState.selectedPlayerIds.delete(pickToRemove.playerId);
+    const { nextTableToPick } = calculateNextTurn(roomState);
+    roomState.nextTableToPick = nextTableToPick;
+    return pickToRemove;
+}
+
+/**
+ * Swaps the player in an earlier pick for another one. The pick keeps its slot and team.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} overall - The overall number of the pick to replace.
+ * @param {number} playerId - The replacement player.
+ * @returns {object} The new pick.
+ */
+function replacePick(roomState, overall, playerId) {
+    const index = roomState.picks.findIndex(pick => pick.overall === overall);
+    const replacedPick = roomState.picks[index];
+    const slot = roomState.pickOrder.find(s => s.overall === overall);
+    const newPick = {
+        ...buildPick(getRoomPlayers(roomState).get(playerId), replacedPick.teamId, slot),
+        ...(replacedPick.tradedFromTeamId !== undefined ? { tradedFromTeamId: replacedPick.tradedFromTeamId } : {}),
+        replacedPlayerId: replacedPick.playerId
+    };
+    roomState.picks[index] = newPick;
+    roomState.selectedPlayerIds.delete(replacedPick.playerId);
+    roomState.selectedPlayerIds.add(playerId);
+    return newPick;
+}
+
+/**
+ * Validates a commissioner's correction of an earlier pick: voiding it, or replacing its player.
+ * A replacement is checked against the team's whole roster as it stands, later picks included,
+ * so the corrected roster still fits its slots, the cap and (in an expansion draft) the exposure rules.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} correction - { overall, playerId } (no playerId to void the pick).
+ * @returns {string|null} An error message, or null if the correction is valid.
+ */
+function validatePickCorrection(roomState, correction) {
+    const { overall, playerId } = correction || {};
+    if (!Number.isInteger(overall) || (playerId !== undefined && typeof playerId !== 'number')) {
+        return "Invalid pick correction data received.";
+    }
+    if (roomState.isEnded) {
+        return "The draft has ended.";
+    }
+    if (roomState.auction?.lot) {
+        return "Wait for the current auction to close before changing picks.";
+    }
+    const pick = roomState.picks.find(p => p.overall === overall);
+    if (!pick) {
+        return `Pick #${overall} hasn't been made.`;
+    }
+    if (pick.isKeeper) {
+        return "Keepers are changed during the keeper phase, not voided.";
+    }
+    if (playerId === undefined) {
+        return null;
+    }
+
+    if (roomState.auction) {
+        return "Auction wins can be voided, but not replaced.";
+    }
+    if (!getRoomPlayers(roomState).has(playerId)) {
+        return `Unknown player ID (${playerId}).`;
+    }
+    if (roomState.selectedPlayerIds.has(playerId)) {
+        return "Player already selected.";
+    }
+    // Check the replacement as if the original pick had never been made
+    const player = getRoomPlayers(roomState).get(playerId);
+    const filterError = validatePlayerFilterMatch(roomState, player);
+    if (filterError) {
+        return filterError;
+    }
+    const stateWithoutPick = { ...roomState, picks: roomState.picks.filter(p => p !== pick) };
+    if (roomState.expansion) {
+        const exposureError = validateExpansionPick(stateWithoutPick, player);
+        if (exposureError) {
+            return exposureError;
+        }
+    }
+    return validateRosterFit(stateWithoutPick, pick.teamId, player);
+}
+
+// ==========================================================================
+// Room Persistence
+// ==========================================================================
+
+/**
+ * Converts a room's state to a JSON-compatible object for storage (Sets become arrays).
+ * @param {object} roomState - The internal room state object.
+ * @returns {object} The room as plain data.
+ */
+function serializeRoom(roomState) {
+    return {
+        ...roomState,
+        selectedPlayerIds: Array.from(roomState.selectedPlayerIds || new Set()),
+        participants: Array.from(roomState.participants || new Set()),
+        playerPool: undefined // Already stored once, in the 'draft_created' event
+    };
+}
+
+/**
+ * Rebuilds a room's state from storage after a restart, by replaying its event log.
+ * Participants keep their identities, seats and roles: those who were present get the usual
+ * reconnect grace period (see loadRooms), as if everyone's connection had dropped at once.
+ * The pick clock restarts on rejoin.
+ * @param {object} data - The stored room.
+ * @returns {object} The internal room state object.
+ * @throws {Error} If the player dataset the room is pinned to is no longer loaded, or its event log can't be replayed.
+ */
+function restoreRoom(data) {
+    // Rooms stored before the event log existed only have their snapshot
+    const hasEventLog = data.eventLog?.[0]?.type === 'draft_created';
+    const { settings, playerPool } = hasEventLog ? data.eventLog[0].data : data;
+    // Never swap in another season: the room's picks, protection lists and search results all refer to its own players
+    if (!playerPool && !getPlayerDataset(settings.season)) {
+        throw new Error(`Its player dataset (${settings.season || LEGACY_SEASON}) is no longer available.`);
+    }
+    const draftState = hasEventLog
+        ? rebuildRoomFromLog(data.eventLog)
+        : { ...data, selectedPlayerIds: new Set(data.selectedPlayerIds || []), eventLog: data.eventLog || [] };
+    if (draftState.settings.season === undefined) {
+        draftState.settings.season = LEGACY_SEASON; // Rooms from before season selection
+    }
+    return {
+        ...draftState,
+        expiresAt: data.expiresAt ?? null,
+        members: data.members || {},
+        participants: new Set(data.participants || []),
+        seats: data.seats || {},
+        commissionerId: data.commissionerId ?? null,
+        access: data.access || { passwordHash: null, invites: [] },
+        chat: data.chat || [], // Not part of the event log
+        pickDeadline: null
+    };
+}
+
+/**
+ * Writes a room's current state to storage. Called after every change to the room.
+ * @param {string} roomCode - The code of the room.
+ */
+function saveRoom(roomCode) {
+    const roomState = draftRooms.get(roomCode);
+    if (roomState) {
+        roomStorage.save(roomCode, serializeRoom(roomState));
+    }
+}
+
+/**
+ * Reloads stored rooms into `draftRooms` on boot.
+ * Participants who were present get the reconnect grace period; a room nobody returns to is then
+ * removed after the short delay. A room that was already empty keeps its stored expiry.
+ * A room that can't be restored is logged and skipped.
+ * @returns {Promise<void>}
+ */
+async function loadRooms() {
+    const storedRooms = await roomStorage.loadAll();
+    storedRooms.forEach(({ roomCode, data }) => {
+        if (data.expiresAt != null && data.expiresAt <= Date.now()) {
+            roomStorage.remove(roomCode);
+            console.log(`[Storage] Room ${roomCode} expired while the server was down and has been removed.`);
+            return;
+        }
+        // One unreadable room (e.g. its players were re-imported under new ids) mustn't keep the others from loading.
+        // Its file is kept, so it can be fixed and loaded on the next restart.
+        let roomState;
+        try {
+            roomState = restoreRoom(data);
+        } catch (err) {
+            console.error(`[Storage] Failed to restore room ${roomCode}, skipping it: ${err.message}`);
+            return;
+        }
+        draftRooms.set(roomCode, roomState);
+        if (roomState.participants.size > 0) {
+            roomState.participants.forEach(participantId => scheduleDeparture(roomCode, participantId));
+        } else {
+            scheduleEmptyRoomRemoval(roomCode, data.expiresAt != null ? data.expiresAt - Date.now() : ROOM_CLEANUP_DELAY_SHORT);
+        }
+    });
+    console.log(`[Storage] Restored ${draftRooms.size} rooms from ${roomStorage.name} storage.`);
+}
+
+// ==========================================================================
+// Player Data
+// ==========================================================================
+
+/**
+ * Finds every PlayerIndex_<season>.mjs dataset and loads it into `playerDatasets`.
+ * The modules are ESM, so they are loaded through dynamic imports. The latest season becomes the default.
+ * @returns {Promise<void>}
+ */
+async function loadPlayerDatasets() {
+    const fileNames = (await fs.promises.readdir(PLAYER_INDEX_DIR))
+        .filter(fileName => PLAYER_INDEX_FILE_PATTERN.test(fileName))
+        .sort();
+    if (fileNames.length === 0) {
+        throw new Error(`No PlayerIndex_<season>.mjs datasets found in ${PLAYER_INDEX_DIR}.`);
+    }
+
+    playerDatasets.clear();
+    for (const fileName of fileNames) {
+        const season = fileName.match(PLAYER_INDEX_FILE_PATTERN)[1];
+        const filePath = path.join(PLAYER_INDEX_DIR, fileName);
+        const { playersIndex, getTeamLogoPath } = await import(pathToFileURL(filePath).href);
+        if (!Array.isArray(playersIndex)) {
+            throw new Error(`Player index ${fileName} does not export a playersIndex array.`);
+        }
+        const playersById = new Map();
+        const teamLogos = {};
+        playersIndex.forEach(player => {
+            if (typeof player?.id === 'number') {
+                playersById.set(player.id, player);
+            }
+            if (player?.team_url && typeof getTeamLogoPath === 'function') {
+                teamLogos[player.team_url] = getTeamLogoPath(player.team_url);
+            }
+        });
+        const version = crypto.createHash('sha256').update(await fs.promises.readFile(filePath)).digest('hex').slice(0, 16);
+        playerDatasets.set(season, { season, fileName, version, playersById, teamLogos });
+        console.log(`[Players] Loaded ${playersById.size} players for ${season} from ${fileName}.`);
+    }
+    defaultSeason = fileNames.at(-1).match(PLAYER_INDEX_FILE_PATTERN)[1];
+}
+
+/**
+ * Returns a season's players. Rooms without a season predate season selection and use LEGACY_SEASON.
+ * The season must be loaded: rooms whose dataset is missing are never restored (see restoreRoom).
+ * @param {string} [season] - A key of `playerDatasets`.
+ * @returns {Map<number, object>} Player id -> player.
+ */
+function getPlayersForSeason(season) {
+    return getPlayerDataset(season).playersById;
+}
+
+/**
+ * Returns a season's dataset. Rooms without a season predate season selection and use LEGACY_SEASON.
+ * @param {string} [season] - A key of `playerDatasets`.
+ * @returns {object|null} The dataset ({ season, fileName, version, playersById, teamLogos }), or null if it isn't loaded.
+ */
+function getPlayerDataset(season) {
+    return playerDatasets.get(season || LEGACY_SEASON) || null;
+}
+
+/**
+ * Returns the players a room drafts from: its custom pool if it has one, otherwise the dataset it is pinned to.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {Map<number, object>} Player id -> player.
+ */
+function getRoomPlayers(roomState) {
+    if (!roomState.playerPool) {
+        return getPlayersForSeason(roomState.settings.season);
+    }
+    if (!playerPoolIndexes.has(roomState.playerPool)) {
+        playerPoolIndexes.set(roomState.playerPool, new Map(roomState.playerPool.map(player => [player.id, player])));
+    }
+    return playerPoolIndexes.get(roomState.playerPool);
+}
+
+/**
+ * Returns the logo of each NHL team in a room's players, for rosters. Custom pools have none (every player gets DEFAULT_TEAM_LOGO).
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {object} team_url -> logo path.
+ */
+function getRoomTeamLogos(roomState) {
+    return roomState.playerPool ? {} : getPlayerDataset(roomState.settings.season).teamLogos;
+}
+
+/**
+ * Returns the search index for a set of players (built once per set).
+ * @param {Map<number, object>} playersById - From getPlayersForSeason or getRoomPlayers.
+ * @returns {Array<object>} The index, for searchPlayerIndex.
+ */
+function getPlayerSearchIndex(playersById) {
+    if (!playerSearchIndexes.has(playersById)) {
+        playerSearchIndexes.set(playersById, createPlayerSearchIndex(playersById.values()));
+    }
+    return playerSearchIndexes.get(playersById);
+}
+
+/**
+ * Loads the draft order module shared with the client into `draftOrderModule`.
+ * @returns {Promise<void>}
+ */
+async function loadDraftOrderModule() {
+    draftOrderModule = await import(pathToFileURL(DRAFT_ORDER_MODULE_PATH).href);
+}
+
+/**
+ * Loads the roster slot module shared with the client into `rosterSlotsModule`.
+ * @returns {Promise<void>}
+ */
+async function loadRosterSlotsModule() {
+    rosterSlotsModule = await import(pathToFileURL(ROSTER_SLOTS_MODULE_PATH).href);
+}
+
+/**
+ * Loads the expansion draft module shared with the client into `expansionDraftModule`.
+ * @returns {Promise<void>}
+ */
+async function loadExpansionDraftModule() {
+    expansionDraftModule = await import(pathToFileURL(EXPANSION_DRAFT_MODULE_PATH).href);
+}
+
+/**
+ * Loads the player pool module shared with the client into `playerPoolModule`.
+ * @returns {Promise<void>}
+ */
+async function loadPlayerPoolModule() {
+    playerPoolModule = await import(pathToFileURL(PLAYER_POOL_MODULE_PATH).href);
+}
+
+/**
+ * Loads the player filter module shared with the client into `playerFiltersModule`.
+ * @returns {Promise<void>}
+ */
+async function loadPlayerFiltersModule() {
+    playerFiltersModule = await import(pathToFileURL(PLAYER_FILTERS_MODULE_PATH).href);
+}
+
 // ==========================================================================
 // Utility Functions
 // ==========================================================================
@@ -45,53 +729,89 @@ function generateRoomCode(length = 5) {
 }
 
 /**
- * Calculates the next team to pick and the pick direction based on the current state.
+ * Calculates the next team to pick from the room's precomputed pick sequence.
+ * The clock goes to whoever currently owns the slot, which may differ from its original team after a trade.
  * @param {object} currentState - The current state object for the draft room.
- * @returns {{nextTableToPick: number, currentPickDirection: number}} - The index of the next team and the direction.
+ * @returns {{nextTableToPick: number}} - The index of the next team, or -1 when the draft is complete.
  */
 function calculateNextTurn(currentState) {
-    // Validate essential settings
-    if (!currentState?.settings?.numTables || currentState.settings.numTables <= 0 || !currentState.settings.playersPerPos) {
-        console.warn("[calculateNextTurn] Invalid state/settings provided. Defaulting turn.", currentState?.settings);
-        return { nextTableToPick: 0, currentPickDirection: 1 }; // Default to first team, forward direction
+    if (currentState?.auction) {
+        return { nextTableToPick: getNextNominator(currentState) };
     }
 
-    const { numTables, playersPerPos, isSerpentineOrder } = currentState.settings;
-    const currentPicks = currentState.picks || [];
-    let currentPickDirection = currentState.currentPickDirection ?? 1; // Default to forward if missing
-
-    // If no picks made yet, it's the first team's turn
-    if (currentPicks.length === 0) {
-        return { nextTableToPick: 0, currentPickDirection: 1 };
+    // Validate essential state
+    if (!Array.isArray(currentState?.pickOrder)) {
+        console.warn("[calculateNextTurn] Invalid state provided (no pick order). Defaulting turn.", currentState?.settings);
+        return { nextTableToPick: 0 }; // Default to first team
     }
 
-    const lastPick = currentPicks[currentPicks.length - 1];
-    const lastActiveTableIndex = lastPick.teamId;
+    const nextSlot = draftOrderModule.getOpenSlots(currentState.pickOrder, currentState.picks)[0];
 
-    // Calculate total slots to determine draft completion
-    const totalSlotsPerTable = Object.values(playersPerPos).reduce((sum, count) => sum + (count || 0), 0);
-    const totalSlots = numTables * totalSlotsPerTable;
+    // Past the end of the sequence means the draft is complete
+    return { nextTableToPick: nextSlot ? nextSlot.ownerTeamId : -1 };
+}
 
-    // Check if draft is complete
-    if (totalSlots > 0 && currentPicks.length >= totalSlots) {
-        return { nextTableToPick: -1, currentPickDirection }; // Indicate draft completion
+/**
+ * Finds the team whose turn it is to nominate in an auction draft.
+ * Nominations rotate through the first round's order, skipping teams whose rosters are full.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {number} The index of the nominating team, or -1 when every roster is full.
+ */
+function getNextNominator(roomState) {
+    const { nominationOrder, nextNominatorIndex } = roomState.auction;
+    const rosterSize = getRosterSize(roomState.settings);
+    for (let offset = 0; offset < nominationOrder.length; offset++) {
+        const teamId = nominationOrder[(nextNominatorIndex + offset) % nominationOrder.length];
+        if (roomState.picks.filter(pick => pick.teamId === teamId).length < rosterSize) {
+            return teamId;
+        }
     }
+    return -1;
+}
+
+/**
+ * Returns the number of roster slots per team.
+ * @param {object} settings - The room's settings.
+ * @returns {number} The total of all position slots.
+ */
+function getRosterSize(settings) {
+    return Object.values(settings.playersPerPos).reduce((sum, count) => sum + (count || 0), 0);
+}
 
-    // Determine if the direction should reverse in serpentine drafts
-    const isEndOfForwardRound = (currentPickDirection === 1 && lastActiveTableIndex === numTables - 1);
-    const isEndOfBackwardRound = (currentPickDirection === -1 && lastActiveTableIndex === 0);
-    const shouldReverseDirection = isSerpentineOrder && (isEndOfForwardRound || isEndOfBackwardRound);
+/**
+ * Sums the salaries of all picks made by a team.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the team.
+ * @returns {number} The team's total salary.
+ */
+function getTeamSalary(roomState, teamId) {
+    return (roomState.picks || []).reduce((sum, pick) => (pick.teamId === teamId ? sum + (pick.salary || 0) : sum), 0);
+}
 
-    let nextTableToPick;
-    if (shouldReverseDirection) {
-        currentPickDirection *= -1; // Reverse direction
-        nextTableToPick = lastActiveTableIndex; // Same team picks again at the turn
-    } else {
-        // Move to the next table in the current direction, wrapping if necessary
-        nextTableToPick = (lastActiveTableIndex + currentPickDirection + numTables) % numTables;
-    }
+/**
+ * Checks whether the salary cap applies to a room (a cap of 0 or cap mode 'none' disables it).
+ * @param {object} settings - The room settings.
+ * @returns {boolean} True if the cap should be checked.
+ */
+function isCapEnforced(settings) {
+    return settings?.capMode !== 'none' && settings?.maxSalary > 0;
+}
 
-    return { nextTableToPick, currentPickDirection };
+/**
+ * Computes the salary cap status of every team, so all clients display the same result.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {Array<{teamId: number, totalSalary: number, isOverCap: boolean, overCapBy: number}>} One entry per team.
+ */
+function calculateCapStatus(roomState) {
+    const { numTables, maxSalary } = roomState.settings;
+    const capEnforced = isCapEnforced(roomState.settings);
+    const capStatus = [];
+    for (let teamId = 0; teamId < numTables; teamId++) {
+        const totalSalary = getTeamSalary(roomState, teamId);
+        const overCapBy = capEnforced ? Math.max(0, totalSalary - maxSalary) : 0;
+        capStatus.push({ teamId, totalSalary, isOverCap: overCapBy > 0, overCapBy });
+    }
+    return capStatus;
 }
 
 /**
@@ -104,310 +824,2296 @@ function prepareStateForEmit(roomState) {
     return {
         ...roomState,
         selectedPlayerIds: Array.from(roomState.selectedPlayerIds || new Set()),
-        participants: Array.from(roomState.participants || new Set())
+        participants: Array.from(roomState.participants || new Set()),
+        members: getPublicMembers(roomState),
+        presence: getPresence(roomState),
+        capStatus: calculateCapStatus(roomState),
+        expansionCapCheck: calculateExpansionCapCheck(roomState),
+        eventLog: undefined, // Kept on the server; clients only need the resulting state
+        access: undefined, // Password and invite hashes stay on the server
+        chat: undefined, // Sent once as 'chat_history' on join, then message by message
+        playerPool: undefined, // Clients search it through /api/rooms/:roomCode/players
+        teamLogos: getRoomTeamLogos(roomState),
+        serverTime: Date.now() // Lets clients correct pickDeadline for clock skew
     };
 }
 
 /**
- * Schedules the removal of an empty draft room after a specified delay.
- * @param {string} roomCode - The code of the room to potentially remove.
- * @param {number} delay - The delay in milliseconds before removal.
+ * Validates a pick request against the room state (turn, player availability, slots and cap).
+ * Seat ownership is checked by the calling event handler.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} pickData - The pick request ({ playerId, teamId }).
+ * @returns {string|null} An error message, or null if the pick is valid.
  */
-function scheduleEmptyRoomRemoval(roomCode, delay) {
-    setTimeout(() => {
-        const room = draftRooms.get(roomCode);
-        // Double-check if the room still exists and is still empty before deleting
-        if (room?.participants.size === 0) {
-            draftRooms.delete(roomCode);
-            console.log(`[Cleanup] Room ${roomCode} was empty and has been removed after delay.`);
-        } else {
-            console.log(`[Cleanup] Room ${roomCode} removal cancelled (no longer empty or deleted).`);
+function validatePick(roomState, pickData) {
+    if (!pickData || typeof pickData !== 'object') {
+        return "Invalid pick data format.";
+    }
+    if (typeof pickData.playerId !== 'number' || typeof pickData.teamId !== 'number') {
+        return "Incomplete pick data received.";
+    }
+    if (roomState.isEnded) {
+        return "The draft has ended.";
+    }
+    if (roomState.isPaused) {
+        return "The draft is paused.";
+    }
+    if (roomState.isKeeperPhase) {
+        return "The draft starts once keepers are locked in.";
+    }
+    if (roomState.auction) {
+        return "Players are won by bidding in an auction draft.";
+    }
+    if (roomState.isProtectionPhase) {
+        return "The expansion draft starts once protection lists are locked.";
+    }
+    if (!getRoomPlayers(roomState).has(pickData.playerId)) {
+        return `Unknown player ID (${pickData.playerId}).`;
+    }
+    if (pickData.teamId !== roomState.nextTableToPick) {
+        return `It's not Team ${pickData.teamId + 1}'s turn.`;
+    }
+    if (roomState.selectedPlayerIds.has(pickData.playerId)) {
+        return "Player already selected.";
+    }
+    const filterError = validatePlayerFilterMatch(roomState, getRoomPlayers(roomState).get(pickData.playerId));
+    if (filterError) {
+        return filterError;
+    }
+    if (roomState.expansion) {
+        const exposureError = validateExpansionPick(roomState, getRoomPlayers(roomState).get(pickData.playerId));
+        if (exposureError) {
+            return exposureError;
+        }
+    }
+    return validateRosterFit(roomState, pickData.teamId, getRoomPlayers(roomState).get(pickData.playerId));
+}
+
+/**
+ * Checks a player against the room's player filters (settings.playerFilters).
+ * Keepers aren't checked: teams keep players they already have.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} player - The player from the server's index.
+ * @returns {string|null} An error message, or null if the filters allow the player.
+ */
+function validatePlayerFilterMatch(roomState, player) {
+    const filters = roomState.settings.playerFilters || []; // Rooms from before filters have none
+    const failedFilter = filters.find(filter => !playerFiltersModule.matchesPlayerFilters(player, [filter]));
+    return failedFilter
+        ? `${player.name} is excluded by this draft's player filters (${playerFiltersModule.describePlayerFilter(failedFilter)}).`
+        : null;
+}
+
+/**
+ * Returns every player on an existing NHL team, from the server's copy of a season's dataset.
+ * @param {string} season - The room's season (settings.season).
+ * @param {string} nhlTeamId - The NHL team's `team_id`.
+ * @returns {object[]} The team's players.
+ */
+function getNhlTeamPlayers(season, nhlTeamId) {
+    return Array.from(getPlayersForSeason(season).values()).filter(player => player.team_id != null && String(player.team_id) === nhlTeamId);
+}
+
+/**
+ * Checks the expansion draft rules for a pick: the player must be exposed,
+ * and the expansion team takes exactly one player from each NHL team.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} player - The player from the server's index.
+ * @returns {string|null} An error message, or null if the player can be drafted.
+ */
+function validateExpansionPick(roomState, player) {
+    const nhlTeamId = player.team_id != null ? String(player.team_id) : null;
+    const protectionList = nhlTeamId ? roomState.expansion.protectionLists[nhlTeamId] : null;
+    if (!protectionList) {
+        return `${player.name} isn't on an NHL roster.`;
+    }
+    if (protectionList.playerIds.includes(player.id)) {
+        return `${player.name} is protected by ${player.city || 'their team'}.`;
+    }
+    const alreadyDrafted = roomState.picks.find(pick => String(getRoomPlayers(roomState).get(pick.playerId)?.team_id) === nhlTeamId);
+    if (alreadyDrafted) {
+        return `${alreadyDrafted.playerName} was already taken from ${player.city || 'that team'}.`;
+    }
+    return null;
+}
+
+/**
+ * Validates one NHL team's protection list during the protection phase.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} request - { nhlTeamId, playerIds }.
+ * @returns {string|null} An error message, or null if the list is valid.
+ */
+function validateProtectionRequest(roomState, request) {
+    if (!roomState.expansion) {
+        return "Protection lists are only used in an expansion draft.";
+    }
+    if (!roomState.isProtectionPhase) {
+        return "Protection lists are already locked.";
+    }
+    const { nhlTeamId, playerIds } = request || {};
+    // Own keys only, so '__proto__' or 'constructor' can't reach the protection_list reducer
+    if (typeof nhlTeamId !== 'string' || !Object.hasOwn(roomState.expansion.protectionLists, nhlTeamId)) {
+        return "Invalid NHL team selected.";
+    }
+    if (!Array.isArray(playerIds) || !playerIds.every(playerId => typeof playerId === 'number')) {
+        return "Invalid protection list data received.";
+    }
+    return expansionDraftModule.validateProtectionList(roomState.settings.protectionScheme, playerIds, getNhlTeamPlayers(roomState.settings.season, nhlTeamId));
+}
+
+/**
+ * Checks the expansion team's payroll against the cap floor and ceiling once every NHL team has lost a player.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {object|null} { totalSalary, capFloor, capCeiling, isAboveFloor, isUnderCeiling }, or null before the draft is complete.
+ */
+function calculateExpansionCapCheck(roomState) {
+    if (!roomState.expansion || roomState.nextTableToPick !== -1) {
+        return null;
+    }
+    const { capFloor, maxSalary } = roomState.settings;
+    const totalSalary = getTeamSalary(roomState, 0);
+    return {
+        totalSalary,
+        capFloor,
+        capCeiling: maxSalary,
+        isAboveFloor: totalSalary >= capFloor,
+        isUnderCeiling: !(maxSalary > 0) || totalSalary <= maxSalary
+    };
+}
+
+/**
+ * Checks that a player fits a team's open position slots and, under a hard cap, its remaining cap space.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the team.
+ * @param {object} player - The player from the server's index.
+ * @param {number} [salary] - What the player would cost. Defaults to the player's cap hit.
+ * @returns {string|null} An error message, or null if the player fits.
+ */
+function validateRosterFit(roomState, teamId, player, salary = parseInt(player.cap_hit, 10) || 0) {
+    // Position comes from the server's player data, never from the client
+    const positions = rosterSlotsModule.getPlayerPositions(player);
+    const { playersPerPos, tableNames } = roomState.settings;
+
+    if (positions.length === 0) {
+        return `Invalid player position specified ('${player.pos || player.position}').`;
+    }
+
+    // Players can shift between the slots they're eligible for to make room
+    const teamRoster = roomState.picks.filter(p => p.teamId === teamId);
+    const teamName = tableNames[teamId] || `Team ${teamId + 1}`;
+    if (!rosterSlotsModule.assignRosterSlots(playersPerPos, [...teamRoster, player])) {
+        return `${teamName} has no open roster slot for ${player.name} (${positions.join('/')}).`;
+    }
+    if (roomState.settings.capMode === 'hard' && isCapEnforced(roomState.settings)) {
+        const salaryAfterPick = getTeamSalary(roomState, teamId) + salary;
+        if (salaryAfterPick > roomState.settings.maxSalary) {
+            return `Picking this player would put ${teamName} over the salary cap.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the most a team can bid in an auction while keeping enough budget
+ * to fill each of its other open roster slots at the minimum bid.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the team.
+ * @returns {number} The maximum bid, or 0 if the team's roster is full.
+ */
+function getMaxBid(roomState, teamId) {
+    const { maxSalary, minBid } = roomState.settings;
+    const openSlots = getRosterSize(roomState.settings) - roomState.picks.filter(pick => pick.teamId === teamId).length;
+    if (openSlots <= 0) {
+        return 0;
+    }
+    return Math.max(0, maxSalary - getTeamSalary(roomState, teamId) - minBid * (openSlots - 1));
+}
+
+/**
+ * Checks that a team can afford a bid and has an open slot for the player up for auction.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the bidding team.
+ * @param {object} player - The player from the server's index.
+ * @param {number} amount - The bid.
+ * @returns {string|null} An error message, or null if the bid fits.
+ */
+function validateBidBudget(roomState, teamId, player, amount) {
+    const rosterError = validateRosterFit(roomState, teamId, player, amount);
+    if (rosterError) {
+        return rosterError;
+    }
+    const maxBid = getMaxBid(roomState, teamId);
+    if (amount > maxBid) {
+        const teamName = roomState.settings.tableNames[teamId] || `Team ${teamId + 1}`;
+        return `${teamName} can bid at most $${maxBid.toLocaleString('en-US')} and still fill its remaining roster slots.`;
+    }
+    return null;
+}
+
+/**
+ * Validates a nomination in an auction draft. The nominating team opens the bidding.
+ * Seat ownership is checked by the calling event handler.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} nomination - The nomination request ({ playerId, teamId, openingBid }).
+ * @returns {string|null} An error message, or null if the nomination is valid.
+ */
+function validateNomination(roomState, nomination) {
+    if (!nomination || typeof nomination.playerId !== 'number' || typeof nomination.teamId !== 'number') {
+        return "Incomplete nomination data received.";
+    }
+    const { playerId, teamId, openingBid } = nomination;
+    if (roomState.isEnded) {
+        return "The draft has ended.";
+    }
+    if (roomState.isPaused) {
+        return "The draft is paused.";
+    }
+    if (roomState.isKeeperPhase) {
+        return "The draft starts once keepers are locked in.";
+    }
+    if (roomState.auction.lot) {
+        return "Wait for the current auction to close.";
+    }
+    if (!getRoomPlayers(roomState).has(playerId)) {
+        return `Unknown player ID (${playerId}).`;
+    }
+    if (teamId !== roomState.nextTableToPick) {
+        return `It's not Team ${teamId + 1}'s turn to nominate.`;
+    }
+    if (roomState.selectedPlayerIds.has(playerId)) {
+        return "Player already selected.";
+    }
+    const filterError = validatePlayerFilterMatch(roomState, getRoomPlayers(roomState).get(playerId));
+    if (filterError) {
+        return filterError;
+    }
+    if (!Number.isInteger(openingBid) || openingBid < roomState.settings.minBid) {
+        return `The opening bid must be at least $${roomState.settings.minBid.toLocaleString('en-US')}.`;
+    }
+    return validateBidBudget(roomState, teamId, getRoomPlayers(roomState).get(playerId), openingBid);
+}
+
+/**
+ * Validates a bid on the player currently up for auction.
+ * Seat ownership is checked by the calling event handler.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} bid - The bid request ({ teamId, amount }).
+ * @returns {string|null} An error message, or null if the bid is valid.
+ */
+function validateBid(roomState, bid) {
+    if (!bid || typeof bid.teamId !== 'number' || typeof bid.amount !== 'number') {
+        return "Incomplete bid data received.";
+    }
+    const { teamId, amount } = bid;
+    const { lot } = roomState.auction;
+    if (roomState.isEnded) {
+        return "The draft has ended.";
+    }
+    if (roomState.isPaused) {
+        return "The draft is paused.";
+    }
+    if (!lot) {
+        return "No player is up for auction.";
+    }
+    if (!Number.isInteger(teamId) || teamId < 0 || teamId >= roomState.settings.numTables) {
+        return "Invalid team selected.";
+    }
+    if (teamId === lot.highBidderTeamId) {
+        return "You already hold the high bid.";
+    }
+    const minimumBid = lot.highBid + roomState.settings.bidIncrement;
+    if (!Number.isInteger(amount) || amount < minimumBid) {
+        return `Bids must be at least $${minimumBid.toLocaleString('en-US')}.`;
+    }
+    return validateBidBudget(roomState, teamId, getRoomPlayers(roomState).get(lot.playerId), amount);
+}
+
+/**
+ * Puts a player up for auction, with the nominating team holding the opening bid.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} nomination - The validated nomination ({ playerId, teamId, openingBid }).
+ * @param {object} [lotFlags={}] - Extra fields to store on the lot (e.g. { isAuto: true }).
+ * @returns {object} The new lot.
+ */
+function openAuctionLot(roomState, nomination, lotFlags = {}) {
+    const player = getRoomPlayers(roomState).get(nomination.playerId);
+    roomState.auction.lot = {
+        playerId: player.id,
+        playerName: player.name,
+        position: player.position,
+        pos: player.pos || '',
+        nominatedBy: nomination.teamId,
+        highBid: nomination.openingBid,
+        highBidderTeamId: nomination.teamId,
+        bids: [{ teamId: nomination.teamId, amount: nomination.openingBid }],
+        ...lotFlags
+    };
+    return roomState.auction.lot;
+}
+
+/**
+ * Awards the player up for auction to the high bidder at the winning bid, and passes the nomination on.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {object} The stored pick.
+ */
+function closeAuctionLot(roomState) {
+    const { lot, nominationOrder } = roomState.auction;
+    roomState.auction.lot = null;
+    roomState.auction.nextNominatorIndex = nominationOrder.indexOf(lot.nominatedBy) + 1;
+    return applyPick(roomState, { playerId: lot.playerId, teamId: lot.highBidderTeamId }, {
+        salary: lot.highBid, // The winning bid is the player's cost against the budget
+        originalTeamId: lot.highBidderTeamId,
+        nominatedBy: lot.nominatedBy,
+        ...(lot.isAuto ? { isAuto: true } : {})
+    });
+}
+
+/**
+ * Finds the pick slot a keeper gives up: the team's open slot in the requested round,
+ * or its latest open slot when no round is given.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the team keeping the player.
+ * @param {number|null} round - The 1-based round to give up, or null for the latest open pick.
+ * @returns {object|null} The slot, or null if the team has no open pick there.
+ */
+function findKeeperSlot(roomState, teamId, round) {
+    const ownedSlots = draftOrderModule.getOpenSlots(roomState.pickOrder, roomState.picks)
+        .filter(slot => slot.ownerTeamId === teamId && (round == null || slot.round === round));
+    return (round == null ? ownedSlots.at(-1) : ownedSlots[0]) || null;
+}
+
+/**
+ * Validates a keeper request during the keeper phase (player availability, keeper limit, slots, cap and pick to give up).
+ * Seat ownership is checked by the calling event handler.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} keeperData - The keeper request ({ playerId, teamId, round }).
+ * @returns {string|null} An error message, or null if the keeper is valid.
+ */
+function validateKeeper(roomState, keeperData) {
+    if (!keeperData || typeof keeperData.playerId !== 'number' || typeof keeperData.teamId !== 'number') {
+        return "Incomplete keeper data received.";
+    }
+    const { playerId, teamId, round } = keeperData;
+    const { numTables, maxKeepers, tableNames } = roomState.settings;
+    if (!roomState.isKeeperPhase) {
+        return "Keepers can only be set before the draft starts.";
+    }
+    if (!Number.isInteger(teamId) || teamId < 0 || teamId >= numTables) {
+        return "Invalid team selected.";
+    }
+    if (round != null && !Number.isInteger(round)) {
+        return "Invalid round selected for the keeper.";
+    }
+    if (!getRoomPlayers(roomState).has(playerId)) {
+        return `Unknown player ID (${playerId}).`;
+    }
+    if (roomState.selectedPlayerIds.has(playerId)) {
+        return "Player already selected.";
+    }
+
+    const teamName = tableNames[teamId] || `Team ${teamId + 1}`;
+    const keeperCount = roomState.picks.filter(pick => pick.isKeeper && pick.teamId === teamId).length;
+    if (keeperCount >= maxKeepers) {
+        return `${teamName} already has the maximum of ${maxKeepers} keepers.`;
+    }
+    const rosterError = validateRosterFit(roomState, teamId, getRoomPlayers(roomState).get(playerId));
+    if (rosterError) {
+        return rosterError;
+    }
+    if (!findKeeperSlot(roomState, teamId, round ?? null)) {
+        return round != null
+            ? `${teamName} has no open pick in round ${round} to give up for a keeper.`
+            : `${teamName} has no open picks left to give up for a keeper.`;
+    }
+    return null;
+}
+
+/**
+ * Builds the stored record of a pick from the server's copy of the player.
+ * @param {object} player - The player from the server's index.
+ * @param {number} teamId - The index of the team making the pick.
+ * @param {object} slot - The pick slot used ({ overall, teamId }).
+ * @returns {object} The pick record.
+ */
+function buildPick(player, teamId, slot) {
+    return {
+        playerId: player.id,
+        playerName: player.name,
+        salary: parseInt(player.cap_hit, 10) || 0,
+        position: player.position,
+        pos: player.pos || '', // Precise position(s), used for roster slot eligibility
+        teamId: teamId,
+        team_url: player.team_url || '',
+        city: player.city || '',
+        overall: slot.overall,
+        originalTeamId: slot.teamId // Differs from teamId when the pick was traded
+    };
+}
+
+/**
+ * Records a validated pick and advances the turn.
+ * Player details are derived from the server's own copy of the index.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} pickData - The validated pick request ({ playerId, teamId }).
+ * @param {object} [pickFlags={}] - Extra fields to store on the pick (e.g. { isForced: true }).
+ * @param {object} [slot] - The pick slot to use. Defaults to the slot on the clock.
+ * @returns {object} The stored pick.
+ */
+function applyPick(roomState, pickData, pickFlags = {}, slot = draftOrderModule.getOpenSlots(roomState.pickOrder, roomState.picks)[0]) {
+    const pickToStore = { ...buildPick(getRoomPlayers(roomState).get(pickData.playerId), pickData.teamId, slot), ...pickFlags };
+    roomState.picks.push(pickToStore); // Add to picks array
+    roomState.selectedPlayerIds.add(pickToStore.playerId); // Add to set for quick lookup
+
+    // Calculate next turn
+    const { nextTableToPick } = calculateNextTurn(roomState);
+    roomState.nextTableToPick = nextTableToPick;
+    return pickToStore;
+}
+
+/**
+ * Validates a proposed pick trade against the room's pick ownership ledger.
+ * Only future slots can move, and both sides must give up the same number of picks
+ * so every team still owns one pick per open roster slot.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} trade - { fromTeamId, toTeamId, offeredPicks: number[], requestedPicks: number[] } (overall pick numbers).
+ * @returns {string|null} An error message, or null if the trade is valid.
+ */
+function validatePickTrade(roomState, trade) {
+    const { fromTeamId, toTeamId, offeredPicks, requestedPicks } = trade;
+    const { numTables } = roomState.settings;
+
+    if (![fromTeamId, toTeamId].every(teamId => Number.isInteger(teamId) && teamId >= 0 && teamId < numTables) || fromTeamId === toTeamId) {
+        return "Invalid teams selected for the trade.";
+    }
+    if (!Array.isArray(offeredPicks) || !Array.isArray(requestedPicks) || offeredPicks.length === 0) {
+        return "A trade must include at least one pick from each side.";
+    }
+    if (offeredPicks.length !== requestedPicks.length) {
+        return "Both teams must give up the same number of picks.";
+    }
+    // Each pick once, as an integer: a repeated pick would pad its side past the equal-count check
+    const tradedPicks = [...offeredPicks, ...requestedPicks];
+    if (!tradedPicks.every(Number.isInteger)) {
+        return "Invalid picks selected for the trade.";
+    }
+    if (new Set(tradedPicks).size !== tradedPicks.length) {
+        return "Each pick can only be traded once.";
+    }
+
+    const futureSlots = draftOrderModule.getOpenSlots(roomState.pickOrder, roomState.picks);
+    const ownsFutureSlot = (overall, teamId) => futureSlots.some(slot => slot.overall === overall && slot.ownerTeamId === teamId);
+    if (!offeredPicks.every(overall => ownsFutureSlot(overall, fromTeamId))) {
+        return "One of the offered picks is no longer available.";
+    }
+    if (!requestedPicks.every(overall => ownsFutureSlot(overall, toTeamId))) {
+        return "One of the requested picks is no longer available.";
+    }
+    return null;
+}
+
+/**
+ * Validates a proposed player trade between two drafted rosters.
+ * After the swap, both teams must still respect their position slot limits and, under a hard cap,
+ * the salary cap. A team can't end up with more players plus remaining picks than it has slots.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} trade - { fromTeamId, toTeamId, offeredPlayerIds: number[], requestedPlayerIds: number[] }.
+ * @returns {string|null} An error message, or null if the trade is valid.
+ */
+function validatePlayerTrade(roomState, trade) {
+    const { fromTeamId, toTeamId, offeredPlayerIds, requestedPlayerIds } = trade;
+    const { numTables, playersPerPos, maxSalary } = roomState.settings;
+
+    if (![fromTeamId, toTeamId].every(teamId => Number.isInteger(teamId) && teamId >= 0 && teamId < numTables) || fromTeamId === toTeamId) {
+        return "Invalid teams selected for the trade.";
+    }
+    if (!Array.isArray(offeredPlayerIds) || !Array.isArray(requestedPlayerIds) ||
+        offeredPlayerIds.length + requestedPlayerIds.length === 0) {
+        return "A trade must include at least one player.";
+    }
+    const isOnRoster = (playerId, teamId) => roomState.picks.some(pick => pick.playerId === playerId && pick.teamId === teamId);
+    if (!offeredPlayerIds.every(playerId => isOnRoster(playerId, fromTeamId))) {
+        return "One of the offered players is no longer on your roster.";
+    }
+    if (!requestedPlayerIds.every(playerId => isOnRoster(playerId, toTeamId))) {
+        return "One of the requested players is no longer on the other roster.";
+    }
+
+    // Rosters as they would look after the swap
+    const rosterAfterTrade = (teamId, outgoingIds, incomingIds) => roomState.picks.filter(pick =>
+        (pick.teamId === teamId && !outgoingIds.includes(pick.playerId)) || incomingIds.includes(pick.playerId));
+    const totalSlotsPerTable = Object.values(playersPerPos).reduce((sum, count) => sum + (count || 0), 0);
+    const futureSlots = draftOrderModule.getOpenSlots(roomState.pickOrder, roomState.picks);
+    const checks = [
+        { teamId: fromTeamId, roster: rosterAfterTrade(fromTeamId, offeredPlayerIds, requestedPlayerIds) },
+        { teamId: toTeamId, roster: rosterAfterTrade(toTeamId, requestedPlayerIds, offeredPlayerIds) }
+    ];
+    for (const { teamId, roster } of checks) {
+        const teamName = roomState.settings.tableNames[teamId] || `Team ${teamId + 1}`;
+        if (!rosterSlotsModule.assignRosterSlots(playersPerPos, roster)) {
+            return `The trade would leave ${teamName} without a roster slot for every player.`;
+        }
+        // Auction rosters aren't tied to pick slots
+        const remainingPicks = roomState.auction ? 0 : futureSlots.filter(slot => slot.ownerTeamId === teamId).length;
+        if (roster.length + remainingPicks > totalSlotsPerTable) {
+            return `${teamName} wouldn't have enough roster slots left for its remaining picks.`;
+        }
+        if (roomState.settings.capMode === 'hard' && isCapEnforced(roomState.settings)) {
+            const salaryAfterTrade = roster.reduce((sum, pick) => sum + (pick.salary || 0), 0);
+            // An auction team must keep enough budget to fill its open slots at the minimum bid
+            const reservedBudget = roomState.auction ? roomState.settings.minBid * (totalSlotsPerTable - roster.length) : 0;
+            if (salaryAfterTrade + reservedBudget > maxSalary) {
+                return `The trade would put ${teamName} over the salary cap.`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a trade of either type.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} trade - A trade with a 'type' of 'pick' or 'player'.
+ * @returns {string|null} An error message, or null if the trade is valid.
+ */
+function validateTrade(roomState, trade) {
+    if (roomState.isEnded) {
+        return "The draft has ended.";
+    }
+    if (trade.type === 'pick' && roomState.auction) {
+        return "Draft picks can't be traded in an auction draft.";
+    }
+    if (trade.type === 'pick') return validatePickTrade(roomState, trade);
+    if (trade.type === 'player') return validatePlayerTrade(roomState, trade);
+    return "Invalid trade type.";
+}
+
+/**
+ * Applies a validated trade, records it in the room's trade history and recalculates the turn.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} trade - A validated pending trade.
+ * @param {number} [completedAt=Date.now()] - When the trade was accepted (epoch ms).
+ */
+function executeTrade(roomState, trade, completedAt = Date.now()) {
+    if (trade.type === 'pick') {
+        // Swap ownership in the ledger
+        roomState.pickOrder.forEach(slot => {
+            if (trade.offeredPicks.includes(slot.overall)) slot.ownerTeamId = trade.toTeamId;
+            else if (trade.requestedPicks.includes(slot.overall)) slot.ownerTeamId = trade.fromTeamId;
+        });
+    } else {
+        // Move the drafted players between rosters, noting where they came from
+        roomState.picks.forEach(pick => {
+            if (trade.offeredPlayerIds.includes(pick.playerId)) {
+                pick.tradedFromTeamId = pick.teamId;
+                pick.teamId = trade.toTeamId;
+            } else if (trade.requestedPlayerIds.includes(pick.playerId)) {
+                pick.tradedFromTeamId = pick.teamId;
+                pick.teamId = trade.fromTeamId;
+            }
+        });
+    }
+    roomState.tradeHistory.push({ ...trade, completedAt });
+
+    const { nextTableToPick } = calculateNextTurn(roomState);
+    roomState.nextTableToPick = nextTableToPick;
+}
+
+/**
+ * Scores a player for auto-pick purposes according to the room's strategy.
+ * Goalies have no points, so wins are used for them under the 'points' strategy.
+ * @param {object} player - The player object from the index.
+ * @param {string} strategy - One of AUTO_PICK_STRATEGIES.
+ * @returns {number} The score (higher is better).
+ */
+function getAutoPickScore(player, strategy) {
+    if (strategy === 'points') {
+        return (player.position === 'G' ? player.st_w : player.st_p) || 0;
+    }
+    return parseInt(player.cap_hit, 10) || 0;
+}
+
+/**
+ * Chooses the best available player for a team whose pick clock expired.
+ * The player must fit one of the team's open position slots and its remaining cap space.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {number} teamId - The index of the team on the clock.
+ * @returns {object|null} The chosen player, or null if no player fits.
+ */
+function chooseAutoPick(roomState, teamId) {
+    const { settings } = roomState;
+    const strategy = settings.autoPickBy || 'cap_hit';
+    // In an auction the cost is the bid, not the cap hit
+    const remainingCap = isCapEnforced(settings) && !roomState.auction ? settings.maxSalary - getTeamSalary(roomState, teamId) : Infinity;
+    const isEligible = roomState.auction
+        ? player => validateNomination(roomState, { playerId: player.id, teamId, openingBid: settings.minBid }) === null
+        : player => validatePick(roomState, { playerId: player.id, teamId }) === null;
+
+    const candidates = Array.from(getRoomPlayers(roomState).values())
+        .filter(player => (parseInt(player.cap_hit, 10) || 0) <= remainingCap)
+        .filter(isEligible)
+        .sort((a, b) => getAutoPickScore(b, strategy) - getAutoPickScore(a, strategy));
+    return candidates[0] || null;
+}
+
+/**
+ * Stops a room's pick clock.
+ * @param {string} roomCode - The code of the room.
+ */
+function clearPickTimer(roomCode) {
+    clearTimeout(pickTimers.get(roomCode));
+    pickTimers.delete(roomCode);
+    const roomState = draftRooms.get(roomCode);
+    if (roomState) roomState.pickDeadline = null;
+}
+
+/**
+ * (Re)starts the pick clock for the team currently on the clock, if the room uses one.
+ * While a player is up for auction, the clock counts down the bidding instead.
+ * Sets roomState.pickDeadline (epoch ms), which is broadcast with the state.
+ * While the draft is paused, the clock is only frozen at `delayOverride` (or a full pick).
+ * @param {string} roomCode - The code of the room.
+ * @param {number} [delayOverride] - Time left in ms, used when resuming a paused clock.
+ */
+function schedulePickTimer(roomCode, delayOverride) {
+    clearPickTimer(roomCode);
+    const roomState = draftRooms.get(roomCode);
+    const timeLimit = roomState?.auction?.lot ? roomState.settings.bidTimeLimit : roomState?.settings?.pickTimeLimit;
+    if (!timeLimit || roomState.isEnded || roomState.isKeeperPhase || roomState.isProtectionPhase || roomState.nextTableToPick < 0) {
+        return;
+    }
+
+    const delay = delayOverride ?? timeLimit * 1000;
+    if (roomState.isPaused) {
+        roomState.pausedTimeRemaining = delay;
+        return;
+    }
+    roomState.pickDeadline = Date.now() + delay;
+    pickTimers.set(roomCode, setTimeout(() => handlePickTimeout(roomCode), delay));
+}
+
+/**
+ * Auto-picks for the team on the clock when its time runs out, then restarts the clock.
+ * In an auction, expiry either sells the player up for auction or auto-nominates for the team on the clock.
+ * @param {string} roomCode - The code of the room.
+ */
+function handlePickTimeout(roomCode) {
+    pickTimers.delete(roomCode);
+    const roomState = draftRooms.get(roomCode);
+    if (!roomState) return;
+
+    const teamId = roomState.nextTableToPick;
+    if (roomState.auction?.lot) {
+        const pick = recordRoomEvent(roomState, 'lot_closed', 'server');
+        console.log(`[${roomCode}] Bidding closed. ${pick.playerName} sold to Team ${pick.teamId} for ${pick.salary}.`);
+        schedulePickTimer(roomCode);
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+        return;
+    }
+
+    const player = chooseAutoPick(roomState, teamId);
+    if (player && roomState.auction) {
+        recordRoomEvent(roomState, 'nomination', 'server', {
+            nomination: { playerId: player.id, teamId, openingBid: roomState.settings.minBid },
+            flags: { isAuto: true }
+        });
+        console.log(`[${roomCode}] Nomination clock expired. Auto-nominated ${player.name} for Team ${teamId}.`);
+        schedulePickTimer(roomCode);
+    } else if (player) {
+        recordRoomEvent(roomState, 'pick', 'server', { playerId: player.id, teamId, flags: { isAuto: true } });
+        console.log(`[${roomCode}] Pick clock expired. Auto-picked ${player.name} for Team ${teamId}.`);
+        schedulePickTimer(roomCode);
+    } else {
+        // Nothing fits; leave the turn open for a manual or forced pick
+        roomState.pickDeadline = null;
+        console.warn(`[${roomCode}] Pick clock expired, but no eligible player fits Team ${teamId}.`);
+    }
+
+    saveRoom(roomCode);
+    const stateToSend = prepareStateForEmit(roomState);
+    io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+}
+
+/**
+ * Hashes a secret token (participant or invite) for storage, so stored rooms can't be used to get in as anyone.
+ * @param {string} token - The secret token.
+ * @returns {string} The token's SHA-256 hex digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Registers a new participant identity in a room.
+ * The participant id is public (it's what seats and the commissioner role refer to);
+ * the token is secret and lets the same browser reclaim the identity after a refresh or restart.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {string} [role='player'] - A MEMBER_ROLES value. It's kept for good: a returning token can't change it.
+ * @param {string} [displayName] - The name to show (already validated). Defaults to "Participant N".
+ * @returns {{participantId: string, participantToken: string}} The new identity.
+ */
+function addRoomMember(roomState, role = 'player', displayName) {
+    const participantId = crypto.randomUUID();
+    const participantToken = crypto.randomBytes(24).toString('base64url');
+    roomState.members[participantId] = {
+        tokenHash: hashToken(participantToken),
+        displayName: displayName || `Participant ${Object.keys(roomState.members).length + 1}`,
+        role: role
+    };
+    return { participantId, participantToken };
+}
+
+/**
+ * Validates a display name sent at create/join. Leaving it out is fine (a default name is used).
+ * @param {*} displayName - The name sent by the client, if any.
+ * @returns {string|null} An error message, or null if the name is valid or missing.
+ */
+function validateDisplayName(displayName) {
+    if (displayName === undefined || displayName === null) return null;
+    if (typeof displayName !== 'string' || !displayName.trim() || displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) {
+        return `Display names must be 1 to ${MAX_DISPLAY_NAME_LENGTH} characters.`;
+    }
+    return null;
+}
+
+/**
+ * Checks whether a participant only watches the draft.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {string} participantId - The participant's id.
+ * @returns {boolean} True for a spectator.
+ */
+function isSpectator(roomState, participantId) {
+    return roomState.members?.[participantId]?.role === 'spectator';
+}
+
+/**
+ * Finds the participant a token belongs to.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {*} participantToken - The token sent by the client, if any.
+ * @returns {string|null} The participant id, or null if the token is missing, unknown or revoked.
+ */
+function findMemberByToken(roomState, participantToken) {
+    if (typeof participantToken !== 'string' || !participantToken) return null;
+    const tokenHash = hashToken(participantToken);
+    return Object.keys(roomState.members).find(participantId => roomState.members[participantId].tokenHash === tokenHash) ?? null;
+}
+
+/**
+ * Returns the participant details every client may see (no token hashes).
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {object} Participant id -> { displayName, role }.
+ */
+function getPublicMembers(roomState) {
+    return Object.fromEntries(Object.entries(roomState.members || {})
+        .map(([participantId, { displayName, role }]) => [participantId, { displayName, role: role || 'player' }]));
+}
+
+/**
+ * Hashes a room password with a random salt (scrypt), for storage.
+ * @param {string} password - The password chosen at start_draft.
+ * @returns {string} "salt:hash", both hex.
+ */
+function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+/**
+ * Checks a password against a room's stored password hash.
+ * @param {*} password - The password sent by the client, if any.
+ * @param {string|null} passwordHash - The room's "salt:hash".
+ * @returns {boolean} True if the password matches.
+ */
+function checkRoomPassword(password, passwordHash) {
+    if (typeof password !== 'string' || !passwordHash) return false;
+    const [salt, expectedHex] = passwordHash.split(':');
+    return crypto.timingSafeEqual(crypto.scryptSync(password, salt, 32), Buffer.from(expectedHex, 'hex'));
+}
+
+/**
+ * Creates an invite that lets someone join without the password.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} options - { singleUse: boolean, expiresInHours: number|null } (at least one limit is required).
+ * @returns {{inviteToken: string, invite: object}} The secret token to share, and the stored invite.
+ */
+function createInvite(roomState, { singleUse, expiresInHours }) {
+    const inviteToken = crypto.randomBytes(18).toString('base64url');
+    const invite = {
+        tokenHash: hashToken(inviteToken),
+        singleUse: !!singleUse,
+        expiresAt: expiresInHours ? Date.now() + expiresInHours * 60 * 60 * 1000 : null,
+        uses: 0
+    };
+    roomState.access.invites.push(invite);
+    return { inviteToken, invite };
+}
+
+/**
+ * Finds an invite that can still be used.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {*} inviteToken - The token sent by the client, if any.
+ * @returns {object|null} The invite, or null if the token is missing, unknown, used up or expired.
+ */
+function findUsableInvite(roomState, inviteToken) {
+    if (typeof inviteToken !== 'string' || !inviteToken) return null;
+    const tokenHash = hashToken(inviteToken);
+    return roomState.access.invites.find(invite => invite.tokenHash === tokenHash &&
+        !(invite.singleUse && invite.uses > 0) &&
+        !(invite.expiresAt != null && invite.expiresAt <= Date.now())) ?? null;
+}
+
+/**
+ * Decides whether a join request may enter a room. Returning participants (known token) always may;
+ * otherwise it depends on the room's access mode.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {object} request - { participantToken, password, inviteToken } from join_draft.
+ * @returns {{error: string|null, invite: object|null}} Why entry is refused (or null), and the invite used to get in, if any.
+ */
+function checkJoinAccess(roomState, { participantToken, password, inviteToken }) {
+    const accessMode = roomState.settings.accessMode || 'open';
+    if (accessMode === 'open' || findMemberByToken(roomState, participantToken)) {
+        return { error: null, invite: null };
+    }
+    const invite = findUsableInvite(roomState, inviteToken);
+    if (invite) {
+        return { error: null, invite };
+    }
+    if (accessMode === 'password' && checkRoomPassword(password, roomState.access.passwordHash)) {
+        return { error: null, invite: null };
+    }
+
+    if (inviteToken) {
+        return { error: "This invite link has expired or was already used.", invite: null };
+    }
+    if (accessMode === 'invite') {
+        return { error: "This room is invite-only. Ask the commissioner for an invite link.", invite: null };
+    }
+    return { error: password ? "Incorrect room password." : "This room requires a password.", invite: null };
+}
+
+/**
+ * Returns a client's address, for limiting failed joins. With TRUST_PROXY_HOPS set, it's read from X-Forwarded-For:
+ * each trusted proxy appended the address it got the connection from, so the client's is that many entries from the end
+ * (counting the connection's own address). Entries further left can be forged by the client, so they're never used.
+ * @param {object} socket - The client's socket.
+ * @returns {string} The client's address.
+ */
+function getClientAddress(socket) {
+    const connectionAddress = socket.handshake.address;
+    if (TRUST_PROXY_HOPS === 0) return connectionAddress;
+    const forwardedFor = String(socket.handshake.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const chain = [...forwardedFor, connectionAddress];
+    return chain[Math.max(0, chain.length - 1 - TRUST_PROXY_HOPS)];
+}
+
+/**
+ * Returns how long an address must wait before trying to join again, once it has failed too often.
+ * @param {string} address - The client's address.
+ * @returns {number} Milliseconds to wait, or 0 if it may try now.
+ */
+function getJoinRetryDelay(address) {
+    const record = failedJoins.get(address);
+    if (!record || record.count < MAX_FAILED_JOINS) return 0;
+    return Math.max(0, record.windowStart + FAILED_JOIN_WINDOW - Date.now());
+}
+
+/**
+ * Counts a failed join attempt (unknown room, wrong password or bad invite) against an address.
+ * @param {string} address - The client's address.
+ */
+function recordFailedJoin(address) {
+    const record = failedJoins.get(address);
+    if (record && Date.now() - record.windowStart < FAILED_JOIN_WINDOW) {
+        record.count++;
+        return;
+    }
+    const newRecord = { count: 1, windowStart: Date.now() };
+    failedJoins.set(address, newRecord);
+    setTimeout(() => {
+        if (failedJoins.get(address) === newRecord) failedJoins.delete(address);
+    }, FAILED_JOIN_WINDOW);
+}
+
+/**
+ * Finds the open sockets acting as a participant in a room (one per browser tab).
+ * @param {string} roomCode - The code of the room.
+ * @param {string} participantId - The participant's id.
+ * @returns {object[]} The participant's sockets.
+ */
+function getParticipantSockets(roomCode, participantId) {
+    return Array.from(io.sockets.sockets.values())
+        .filter(s => s.connected && s.data.roomCode === roomCode && s.data.participantId === participantId);
+}
+
+/**
+ * Works out whether each participant present is online or away. Someone is away while their
+ * connection is down (the reconnect grace period) or while every tab they have open is in the background.
+ * Not stored: it's derived from the live sockets every time.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {object} Participant id -> 'online' | 'away'.
+ */
+function getPresence(roomState) {
+    return Object.fromEntries(Array.from(roomState.participants).map(participantId => {
+        const isOnline = getParticipantSockets(roomState.roomCode, participantId).some(s => !s.data.isAway);
+        return [participantId, isOnline ? 'online' : 'away'];
+    }));
+}
+
+/**
+ * Builds the 'participant_update' payload sent when the set of people in a room, or their presence, changes.
+ * @param {string} roomCode - The code of the room.
+ * @param {object} roomState - The current state object for the draft room.
+ * @returns {object} { roomCode, participants, members, presence, seats, commissionerId }.
+ */
+function prepareParticipantUpdate(roomCode, roomState) {
+    return {
+        roomCode: roomCode,
+        participants: Array.from(roomState.participants),
+        members: getPublicMembers(roomState),
+        presence: getPresence(roomState),
+        seats: roomState.seats,
+        commissionerId: roomState.commissionerId
+    };
+}
+
+/**
+ * Takes a participant out of a room's list of people present.
+ * Someone who leaves on purpose (or is removed) gives up their seats; someone whose connection dropped
+ * keeps them, so they get them back when they reconnect. Until then their teams count as absent.
+ * Either way the commissioner role passes to the longest-present remaining player.
+ * @param {string} roomCode - The code of the room.
+ * @param {string} participantId - The participant's id.
+ * @param {boolean} isLeaving - True for an explicit leave or removal, false for a dropped connection.
+ */
+function removeParticipant(roomCode, participantId, isLeaving) {
+    const roomState = draftRooms.get(roomCode);
+    if (!roomState || !roomState.participants.has(participantId)) {
+        return;
+    }
+
+    roomState.participants.delete(participantId);
+    if (isLeaving) {
+        const releasedTeamIds = releaseSeatsHeldBy(roomState, participantId);
+        if (releasedTeamIds.length > 0) {
+            console.log(`[${roomCode}] ${participantId} released seats: Teams ${releasedTeamIds.join(', ')}`);
+        }
+    }
+
+    // Pass the commissioner role on to the longest-present remaining player (spectators can't run the draft)
+    if (roomState.commissionerId === participantId) {
+        roomState.commissionerId = Array.from(roomState.participants).find(id => !isSpectator(roomState, id)) ?? null;
+        console.log(`[${roomCode}] Commissioner role passed to ${roomState.commissionerId ?? 'nobody (room empty)'}`);
+    }
+    console.log(`[${roomCode}] ${participantId} removed from participants. Remaining: ${roomState.participants.size}`);
+
+    if (roomState.participants.size === 0) {
+        console.log(`[Cleanup] Room ${roomCode} is now empty.`);
+        clearPickTimer(roomCode); // Don't auto-pick the whole draft for an empty room
+        // Schedule removal after a delay (longer delay for explicit leave vs disconnect)
+        scheduleEmptyRoomRemoval(roomCode, isLeaving ? ROOM_CLEANUP_DELAY_LONG : ROOM_CLEANUP_DELAY_SHORT);
+    } else {
+        saveRoom(roomCode);
+        io.to(roomCode).emit('participant_update', prepareParticipantUpdate(roomCode, roomState));
+    }
+}
+
+/**
+ * Starts the reconnect grace period for a participant whose last connection dropped.
+ * If they haven't reconnected when it ends, they're removed as if they had disconnected for good.
+ * @param {string} roomCode - The code of the room.
+ * @param {string} participantId - The participant's id.
+ */
+function scheduleDeparture(roomCode, participantId) {
+    const timerKey = `${roomCode}:${participantId}`;
+    clearTimeout(departureTimers.get(timerKey));
+    departureTimers.set(timerKey, setTimeout(() => {
+        departureTimers.delete(timerKey);
+        if (getParticipantSockets(roomCode, participantId).length === 0) {
+            removeParticipant(roomCode, participantId, false);
+        }
+    }, RECONNECT_GRACE_PERIOD));
+}
+
+/**
+ * Cancels a participant's reconnect grace period (they're back).
+ * @param {string} roomCode - The code of the room.
+ * @param {string} participantId - The participant's id.
+ */
+function cancelDeparture(roomCode, participantId) {
+    const timerKey = `${roomCode}:${participantId}`;
+    clearTimeout(departureTimers.get(timerKey));
+    departureTimers.delete(timerKey);
+}
+
+/**
+ * Releases every team seat held by a participant.
+ * @param {object} roomState - The current state object for the draft room.
+ * @param {string} participantId - The participant whose seats should be released.
+ * @returns {number[]} The team indexes that were released.
+ */
+function releaseSeatsHeldBy(roomState, participantId) {
+    const releasedTeamIds = [];
+    Object.entries(roomState.seats || {}).forEach(([teamId, holderId]) => {
+        if (holderId === participantId) {
+            delete roomState.seats[teamId];
+            releasedTeamIds.push(Number(teamId));
+        }
+    });
+    return releasedTeamIds;
+}
+
+/**
+ * Schedules the removal of an empty draft room after a specified delay.
+ * @param {string} roomCode - The code of the room to potentially remove.
+ * @param {number} delay - The delay in milliseconds before removal.
+ */
+function scheduleEmptyRoomRemoval(roomCode, delay) {
+    const roomState = draftRooms.get(roomCode);
+    if (roomState) {
+        roomState.expiresAt = Date.now() + delay; // Stored, so the room still expires on time after a restart
+        saveRoom(roomCode);
+    }
+    setTimeout(() => {
+        const room = draftRooms.get(roomCode);
+        // Double-check if the room still exists and is still empty before deleting
+        if (room?.participants.size === 0) {
+            clearPickTimer(roomCode);
+            draftRooms.delete(roomCode);
+            roomStorage.remove(roomCode);
+            console.log(`[Cleanup] Room ${roomCode} was empty and has been removed after delay.`);
+        } else {
+            console.log(`[Cleanup] Room ${roomCode} removal cancelled (no longer empty or deleted).`);
+        }
+    }, delay);
+}
+
+
+// ==========================================================================
+// Player Search
+// ==========================================================================
+
+/**
+ * Reads and validates a player search request's query string.
+ * @param {object} query - The request's query parameters.
+ * @returns {{error: string}|{q: string, position: string|null, team: string|null, offset: number, limit: number}}
+ *   The search parameters, or what's wrong with them.
+ */
+function parsePlayerSearchParams(query) {
+    const { q = '', position, team, offset = '0', limit = String(DEFAULT_SEARCH_PAGE_SIZE) } = query;
+    const parsedOffset = Number(offset);
+    const parsedLimit = Number(limit);
+    if (typeof q !== 'string' || q.length > MAX_SEARCH_QUERY_LENGTH) {
+        return { error: `Searches can be at most ${MAX_SEARCH_QUERY_LENGTH} characters.` };
+    }
+    if (position !== undefined && (typeof position !== 'string' || !Object.hasOwn(rosterSlotsModule.ROSTER_SLOT_TYPES, position))) {
+        return { error: `Unknown position '${position}'.` };
+    }
+    if (team !== undefined && (typeof team !== 'string' || !team)) {
+        return { error: "Invalid NHL team." };
+    }
+    if (typeof offset !== 'string' || !Number.isInteger(parsedOffset) || parsedOffset < 0) {
+        return { error: "The offset must be a whole number, 0 or more." };
+    }
+    if (typeof limit !== 'string' || !Number.isInteger(parsedLimit) || parsedLimit < 0 || parsedLimit > MAX_SEARCH_PAGE_SIZE) {
+        return { error: `The limit must be a whole number from 0 to ${MAX_SEARCH_PAGE_SIZE}.` };
+    }
+    return { q: q.trim(), position: position ?? null, team: team ?? null, offset: parsedOffset, limit: parsedLimit };
+}
+
+/**
+ * Checks a player against the position (roster slot type) and NHL team asked for in a search.
+ * @param {object} player - A player from a dataset or custom pool.
+ * @param {object} params - From parsePlayerSearchParams.
+ * @returns {boolean} True if the player fits.
+ */
+function matchesPlayerSearchParams(player, { position, team }) {
+    return (!position || rosterSlotsModule.isEligibleForSlot(player, position))
+        && (!team || (player.team_id != null && String(player.team_id) === team));
+}
+
+/**
+ * Answers a player search, with an ETag so clients can revalidate instead of downloading the same page again.
+ * The ETag is worked out before searching, from whatever the results depend on, so a 304 costs no search.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {Map<number, object>} playersById - The players to search.
+ * @param {string} version - Changes whenever the results for the same request could change.
+ * @param {object} params - From parsePlayerSearchParams (plus anything else the predicate depends on).
+ * @param {function(object): boolean} predicate - Narrows the players beyond their names.
+ */
+function sendPlayerSearchResults(req, res, playersById, version, params, predicate) {
+    const etag = `"${crypto.createHash('sha256').update(`${version}:${JSON.stringify(params)}`).digest('base64url').slice(0, 27)}"`;
+    res.set({ 'ETag': etag, 'Cache-Control': 'private, no-cache' }); // Always revalidate: the version changes as the draft goes on
+    if (req.fresh) {
+        res.status(304).end();
+        return;
+    }
+    const { total, players } = searchPlayerIndex(getPlayerSearchIndex(playersById), params.q, {
+        predicate: predicate,
+        offset: params.offset,
+        limit: params.limit
+    });
+    res.json({ total: total, offset: params.offset, players: players.map(toPlayerRecord) });
+}
+
+
+// ==========================================================================
+// Express Middleware & Routing
+// ==========================================================================
+
+const publicDirPath = path.join(__dirname, 'public');
+
+// Serve static files (HTML, CSS, client-side JS)
+app.use(express.static(publicDirPath));
+
+// Player datasets a room can be pinned to, for the start screen's season picker (with the NHL team count
+// an expansion roster is sized from, and the values each text filter field takes, for filter suggestions)
+app.get('/api/player-datasets', (req, res) => {
+    res.json({
+        defaultSeason: defaultSeason,
+        datasets: Array.from(playerDatasets.values()).map(({ season, fileName, playersById }) => {
+            const players = Array.from(playersById.values());
+            const filterValues = {};
+            Object.entries(playerFiltersModule.PLAYER_FILTER_FIELDS).forEach(([field, { type }]) => {
+                if (type === 'number') return;
+                const values = players.flatMap(player => type === 'list' ? String(player[field] ?? '').split(',') : [String(player[field] ?? '')]);
+                filterValues[field] = [...new Set(values.map(value => value.trim()))].filter(Boolean).sort();
+            });
+            return {
+                season: season,
+                fileName: fileName,
+                playerCount: playersById.size,
+                nhlTeamCount: expansionDraftModule.getNhlTeams(players).length,
+                filterValues: filterValues
+            };
+        })
+    });
+});
+
+// Searches a season's players: ?q= (name), &position= (roster slot type), &team= (NHL team_id),
+// &filters= (JSON player filters, as chosen at room creation), &offset= and &limit= (paging; limit=0 only counts)
+app.get('/api/player-datasets/:season/players', (req, res) => {
+    const dataset = playerDatasets.get(req.params.season);
+    if (!dataset) {
+        return res.status(404).json({ error: `No player dataset for the ${req.params.season} season.` });
+    }
+    const params = parsePlayerSearchParams(req.query);
+    let filters = [];
+    if (!params.error && req.query.filters !== undefined) {
+        try {
+            filters = JSON.parse(String(req.query.filters));
+        } catch {
+            filters = null;
+        }
+        params.error = playerFiltersModule.validatePlayerFilters(filters) || undefined;
+    }
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+    sendPlayerSearchResults(req, res, dataset.playersById, dataset.version, { ...params, filters },
+        player => matchesPlayerSearchParams(player, params) && playerFiltersModule.matchesPlayerFilters(player, filters));
+});
+
+// Searches the players a room drafts from (its season or custom pool), for its participants only: they send
+// their participant token in X-Participant-Token. Takes the same parameters as the dataset search, except that
+// &available=1 replaces filters: only players the room's filters and (in an expansion draft) exposure rules allow.
+// Drafted players are still returned; clients know which ones are taken from the room state.
+app.get('/api/rooms/:roomCode/players', (req, res) => {
+    const roomState = draftRooms.get(String(req.params.roomCode).toUpperCase());
+    if (!roomState) {
+        return res.status(404).json({ error: "Room not found." });
+    }
+    if (!findMemberByToken(roomState, req.get('X-Participant-Token'))) {
+        return res.status(403).json({ error: "Only participants can search this room's players." });
+    }
+    const params = parsePlayerSearchParams(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+    const available = req.query.available === '1';
+    // Every change to the draft is an event, so the log length versions the room's availability
+    const version = `${roomState.roomCode}:${roomState.eventLog.length}:${roomState.playerPool ? 'pool' : getPlayerDataset(roomState.settings.season).version}`;
+    sendPlayerSearchResults(req, res, getRoomPlayers(roomState), version, { ...params, available },
+        player => matchesPlayerSearchParams(player, params) && (!available || (
+            !validatePlayerFilterMatch(roomState, player) && (!roomState.expansion || !validateExpansionPick(roomState, player))
+        )));
+});
+  
+
+// ==========================================================================
+// Socket.IO Connection Handling
+// ==========================================================================
+io.on('connection', (socket) => {
+    console.log(`[Connect] User connected: ${socket.id}`);
+
+    /**
+     * Returns who this socket acts as in a room: its participant id once it has joined that room,
+     * otherwise its socket id, which holds no seat or role.
+     * @param {string} roomCode - The code of the room.
+     * @returns {string} The participant id (or socket id).
+     */
+    const getParticipantId = roomCode => (socket.data.roomCode === roomCode && socket.data.participantId) || socket.id;
+
+    // Spectators get every broadcast but can't change anything: drop their other events before any handler runs
+    socket.use(([eventName], next) => {
+        const roomState = draftRooms.get(socket.data.roomCode);
+        if (SPECTATOR_EVENTS.has(eventName) || !roomState || !isSpectator(roomState, socket.data.participantId)) {
+            return next();
+        }
+        console.warn(`[${socket.id}] Rejected ${eventName} from spectator in room ${socket.data.roomCode}.`);
+        socket.emit('error', { message: "Spectators can watch the draft but can't change it." });
+    });
+
+    // --- Draft Lifecycle Events ---
+
+    socket.on('start_draft', (settings) => {
+        const { password: _password, playerPool: _playerPool, ...loggedSettings } = settings || {};
+        console.log(`[${socket.id}] Event: start_draft`, loggedSettings);
+
+        // --- Settings Validation ---
+        let validationError = null;
+        if (!settings || typeof settings !== 'object') {
+            validationError = "Invalid settings object provided.";
+        } else if (!Number.isInteger(settings.numTables) || settings.numTables < 1 || settings.numTables > draftOrderModule.MAX_TEAMS) {
+            validationError = `Number of teams must be between 1 and ${draftOrderModule.MAX_TEAMS}.`;
+        } else if (!settings.playersPerPos || typeof settings.playersPerPos !== 'object') {
+            validationError = "Invalid player position settings provided.";
+        } else if (typeof settings.maxSalary !== 'number' || settings.maxSalary < 0) {
+            validationError = "Invalid maximum salary provided.";
+        } else if (settings.capMode !== undefined && !CAP_MODES.includes(settings.capMode)) {
+            validationError = `Invalid salary cap mode ('${settings.capMode}').`;
+        } else if (settings.pickTimeLimit !== undefined && (typeof settings.pickTimeLimit !== 'number' || settings.pickTimeLimit < 0)) {
+            validationError = "Invalid pick clock provided.";
+        } else if (settings.autoPickBy !== undefined && !AUTO_PICK_STRATEGIES.includes(settings.autoPickBy)) {
+            validationError = `Invalid auto-pick strategy ('${settings.autoPickBy}').`;
+        } else if (settings.maxKeepers !== undefined && (!Number.isInteger(settings.maxKeepers) || settings.maxKeepers < 0)) {
+            validationError = "Invalid number of keepers provided.";
+        } else if (settings.draftMode !== undefined && !DRAFT_MODES.includes(settings.draftMode)) {
+            validationError = `Invalid draft mode ('${settings.draftMode}').`;
+        } else if (settings.accessMode !== undefined && !ACCESS_MODES.includes(settings.accessMode)) {
+            validationError = `Invalid room access mode ('${settings.accessMode}').`;
+        } else if (settings.accessMode === 'password' && (typeof settings.password !== 'string' || settings.password.length < MIN_PASSWORD_LENGTH)) {
+            validationError = `The room password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+        } else if (settings.season !== undefined && !playerDatasets.has(settings.season)) {
+            validationError = `Unknown player season ('${settings.season}').`;
+        } else if (settings.playerPool !== undefined && (typeof settings.playerPool?.fileName !== 'string' || typeof settings.playerPool.text !== 'string')) {
+            validationError = "Invalid player pool upload.";
+        } else if (settings.playerPool !== undefined && settings.draftMode === 'expansion') {
+            validationError = "An expansion draft is drafted from NHL teams, so it can't use a custom player pool.";
+        } else if (settings.playerFilters !== undefined && playerFiltersModule.validatePlayerFilters(settings.playerFilters)) {
+            validationError = playerFiltersModule.validatePlayerFilters(settings.playerFilters);
+        } else if (settings.playerFilters?.length > 0 && settings.draftMode === 'expansion') {
+            validationError = "An expansion draft takes one exposed player from every NHL team, so it can't use player filters.";
+        } else if (validateDisplayName(settings.displayName)) {
+            validationError = validateDisplayName(settings.displayName);
+        } else if (!settings.tableNames || typeof settings.tableNames !== 'object') {
+            validationError = "Invalid table names data provided.";
+        }
+
+        if (!validationError) {
+            // Accepts the classic F/D/G counts as well as C/LW/RW/UTIL/BN templates, up to MAX_ROSTER_SIZE slots
+            validationError = rosterSlotsModule.validateRosterTemplate(settings.playersPerPos);
+        }
+
+        if (!validationError) {
+            settings.season = settings.season ?? defaultSeason; // Pins the room to one player dataset for good
+        }
+
+        if (!validationError) {
+            // Older clients only send isSerpentineOrder
+            settings.draftOrder = settings.draftOrder || { type: settings.isSerpentineOrder ? 'snake' : 'linear' };
+            const numRounds = Object.values(settings.playersPerPos).reduce((sum, count) => sum + (count || 0), 0);
+            validationError = draftOrderModule.validateDraftOrder(settings.numTables, numRounds, settings.draftOrder);
+            if (!validationError && (settings.maxKeepers || 0) > numRounds) {
+                validationError = "Teams can't keep more players than they have roster slots.";
+            }
+        }
+
+        // A custom pool replaces the season's index for this room only
+        let playerPool = null;
+        if (!validationError && settings.playerPool !== undefined) {
+            const { fileName, text } = settings.playerPool;
+            const { players, errors } = playerPoolModule.parsePlayerPool(text, playerPoolModule.getPoolFormat(fileName));
+            const playersNeeded = settings.numTables * getRosterSize(settings);
+            if (errors.length > 0) {
+                validationError = `Invalid player pool. ${errors.join(' ')}`;
+            } else if (players.length < playersNeeded) {
+                validationError = `The player pool has ${players.length} players, but filling every roster takes ${playersNeeded}.`;
+            } else {
+                playerPool = players;
+                settings.season = null;
+                settings.customPool = { fileName: path.basename(fileName).slice(0, 100), playerCount: players.length };
+            }
+            delete settings.playerPool; // Stored with the room, not broadcast with every state update
+        }
+
+        if (!validationError) {
+            settings.playerFilters = (settings.playerFilters || []).map(({ field, op, value }) => ({ field, op, value }));
+            const players = playerPool || Array.from(getPlayersForSeason(settings.season).values());
+            const matchingCount = players.filter(player => playerFiltersModule.matchesPlayerFilters(player, settings.playerFilters)).length;
+            const playersNeeded = settings.numTables * getRosterSize(settings);
+            if (settings.playerFilters.length > 0 && matchingCount < playersNeeded) {
+                validationError = `The player filters leave ${matchingCount} players, but filling every roster takes ${playersNeeded}.`;
+            }
+        }
+
+        if (!validationError && settings.draftMode === 'expansion') {
+            settings.protectionScheme = settings.protectionScheme ?? '7-3-1';
+            settings.capFloor = settings.capFloor ?? 0;
+            const numNhlTeams = expansionDraftModule.getNhlTeams(Array.from(getPlayersForSeason(settings.season).values())).length;
+            if (settings.numTables !== 1) {
+                validationError = "An expansion draft has exactly one expansion team.";
+            } else if (typeof settings.protectionScheme !== 'string' || !Object.hasOwn(expansionDraftModule.PROTECTION_SCHEMES, settings.protectionScheme)) {
+                validationError = `Invalid protection scheme ('${settings.protectionScheme}').`;
+            } else if (!Number.isInteger(settings.capFloor) || settings.capFloor < 0 || (settings.maxSalary > 0 && settings.capFloor > settings.maxSalary)) {
+                validationError = "Invalid cap floor provided.";
+            } else if (getRosterSize(settings) !== numNhlTeams) {
+                validationError = `The expansion roster must have exactly ${numNhlTeams} slots, one per NHL team.`;
+            } else if (settings.maxKeepers) {
+                validationError = "An expansion team has no keepers.";
+            }
+        }
+
+        if (!validationError && settings.draftMode === 'auction') {
+            settings.minBid = settings.minBid ?? 750000;
+            settings.bidIncrement = settings.bidIncrement ?? 250000;
+            settings.bidTimeLimit = settings.bidTimeLimit ?? 15;
+            if (![settings.minBid, settings.bidIncrement, settings.bidTimeLimit].every(value => Number.isInteger(value) && value > 0)) {
+                validationError = "Invalid auction bid settings provided.";
+            } else if (settings.maxSalary < settings.minBid * getRosterSize(settings)) {
+                validationError = "The team budget (salary cap) must cover a minimum bid for every roster slot.";
+            }
+        }
+
+        if (validationError) {
+            console.error(`[${socket.id}] Start draft validation failed: ${validationError}`);
+            socket.emit('error', { message: validationError });
+            return;
+        }
+        // --- End Validation ---
+
+        settings.capMode = settings.capMode || 'hard'; // Default to enforcing the cap
+        settings.pickTimeLimit = settings.pickTimeLimit || 0; // Seconds per pick, 0 = no clock
+        settings.autoPickBy = settings.autoPickBy || 'cap_hit';
+        settings.maxKeepers = settings.maxKeepers || 0; // Keepers per team, 0 = no keeper phase
+        settings.draftMode = settings.draftMode || 'standard';
+        settings.accessMode = settings.accessMode || 'open';
+        // The password is only kept as a hash, outside the settings (which are broadcast and logged)
+        const passwordHash = settings.accessMode === 'password' ? hashRoomPassword(settings.password) : null;
+        delete settings.password;
+        const creatorName = settings.displayName?.trim(); // Belongs to the creator, not the room's settings
+        delete settings.displayName;
+        if (settings.draftMode === 'auction') {
+            settings.capMode = 'hard'; // The salary cap is each team's auction budget
+        }
+        delete settings.isSerpentineOrder; // Superseded by settings.draftOrder
+        settings.draftOrder = settings.draftOrder.type === 'custom'
+            ? { type: 'custom', customOrder: settings.draftOrder.customOrder }
+            : { type: settings.draftOrder.type };
+
+        const roomCode = generateRoomCode();
+        console.log(`[${socket.id}] Generated room code: ${roomCode}`);
+
+        // The log starts with the settings, so the whole draft can be replayed from it
+        const newRoomState = createRoomState(roomCode, settings, playerPool);
+        newRoomState.access.passwordHash = passwordHash;
+        const { participantId, participantToken } = addRoomMember(newRoomState, 'player', creatorName);
+        recordRoomEvent(newRoomState, 'draft_created', participantId, { roomCode, settings: structuredClone(settings), ...(playerPool ? { playerPool } : {}) });
+        newRoomState.participants.add(participantId); // Add creator as first participant
+        newRoomState.commissionerId = participantId; // The creator runs the room
+
+        draftRooms.set(roomCode, newRoomState);
+        saveRoom(roomCode);
+        schedulePickTimer(roomCode);
+        socket.join(roomCode);
+        socket.data.roomCode = roomCode;
+        socket.data.participantId = participantId;
+        console.log(`[${socket.id}] Created and joined room ${roomCode} as ${participantId}`);
+
+        // The token lets this browser reclaim the identity after a refresh or reconnect
+        socket.emit('participant_identity', { roomCode, participantId, participantToken });
+
+        // Emit 'draft_started' only to the creator with the initial state
+        const stateToSend = prepareStateForEmit(newRoomState);
+        socket.emit('draft_started', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    socket.on('join_draft', ({ roomCode, participantToken, password, inviteToken, role = 'player', displayName }) => {
+        const upperRoomCode = roomCode?.trim().toUpperCase();
+        console.log(`[${socket.id}] Event: join_draft attempt for room ${upperRoomCode} as ${role}`);
+
+        if (!upperRoomCode) {
+             console.warn(`[${socket.id}] Join failed: Invalid room code provided.`);
+             socket.emit('join_error', { message: `Invalid room code provided.` });
+             return;
+        }
+        if (!MEMBER_ROLES.includes(role)) {
+             console.warn(`[${socket.id}] Join failed: Invalid role ${role}.`);
+             socket.emit('join_error', { message: `Invalid role provided.` });
+             return;
+        }
+        const displayNameError = validateDisplayName(displayName);
+        if (displayNameError) {
+             console.warn(`[${socket.id}] Join failed: ${displayNameError}`);
+             socket.emit('join_error', { message: displayNameError });
+             return;
+        }
+
+        // Too many failed attempts from this address: don't even look the room up
+        const address = getClientAddress(socket);
+        const retryDelay = getJoinRetryDelay(address);
+        if (retryDelay > 0) {
+            console.warn(`[${socket.id}] Join refused: too many failed attempts from ${address}.`);
+            socket.emit('join_error', { message: `Too many failed attempts. Try again in ${Math.ceil(retryDelay / 60000)} minute(s).` });
+            return;
+        }
+
+        const roomState = draftRooms.get(upperRoomCode);
+
+        if (roomState) {
+            const { error: accessError, invite } = checkJoinAccess(roomState, { participantToken, password, inviteToken });
+            if (accessError) {
+                recordFailedJoin(address);
+                console.warn(`[${socket.id}] Join failed for room ${upperRoomCode}: ${accessError}`);
+                socket.emit('join_error', { message: accessError });
+                return;
+            }
+            if (invite) {
+                invite.uses++;
+            }
+
+            // A known token restores the participant's identity (name, seats, role); anyone else joins as someone new
+            const returningId = findMemberByToken(roomState, participantToken);
+            const identity = returningId ? { participantId: returningId, participantToken } : addRoomMember(roomState, role, displayName?.trim());
+            const { participantId } = identity;
+            if (returningId && displayName) {
+                roomState.members[participantId].displayName = displayName.trim(); // Rejoining from the form may pick a new name
+            }
+            const wasOnline = getParticipantSockets(upperRoomCode, participantId).some(s => !s.data.isAway); // Another tab already shows them online
+            cancelDeparture(upperRoomCode, participantId);
+
+            socket.join(upperRoomCode);
+            socket.data.roomCode = upperRoomCode;
+            socket.data.participantId = participantId;
+            roomState.participants.add(participantId);
+            roomState.expiresAt = null; // Occupied rooms don't expire
+            if (!roomState.commissionerId && !isSpectator(roomState, participantId)) {
+                // Room was left without a commissioner (every player left), so the first player back takes over
+                roomState.commissionerId = participantId;
+                console.log(`[${upperRoomCode}] ${participantId} is now commissioner.`);
+            }
+            saveRoom(upperRoomCode);
+            if (!roomState.isPaused && !pickTimers.has(upperRoomCode)) {
+                schedulePickTimer(upperRoomCode); // Restart the clock if it was stopped while the room was empty
+            }
+            console.log(`[${socket.id}] Successfully ${returningId ? 'rejoined' : 'joined'} room ${upperRoomCode} as ${participantId}. Participants: ${roomState.participants.size}`);
+
+            socket.emit('participant_identity', { roomCode: upperRoomCode, ...identity });
+
+            // Send the full current state ONLY to the newly joined user
+            const fullStateToSend = prepareStateForEmit(roomState);
+            socket.emit('draft_state_update', { roomCode: upperRoomCode, draftState: fullStateToSend });
+            socket.emit('chat_history', { roomCode: upperRoomCode, messages: roomState.chat });
+            console.log(`[${socket.id}] Emitted full state (draft_state_update) and chat history to joiner.`);
+
+            // Send an update with just the new participant list (and presence) to OTHERS already in the room.
+            // Nothing changed for them if another of this participant's tabs was already online.
+            if (!wasOnline || (returningId && displayName)) {
+                socket.to(upperRoomCode).emit('participant_update', prepareParticipantUpdate(upperRoomCode, roomState));
+                console.log(`[${socket.id}] Emitted participant_update to others in room ${upperRoomCode}.`);
+            }
+
+        } else {
+            recordFailedJoin(address);
+            console.warn(`[${socket.id}] Join failed: Room ${upperRoomCode} not found.`);
+            socket.emit('join_error', { message: `Draft room "${upperRoomCode}" not found.` });
+        }
+    });
+
+    // --- In-Draft Actions ---
+
+    socket.on('make_pick', ({ roomCode, pickData }) => {
+        console.log(`[${socket.id}] Event: make_pick for room ${roomCode}:`, pickData?.playerId);
+        const roomState = draftRooms.get(roomCode);
+
+        // --- Pick Validation ---
+        let validationError = null;
+        if (!roomState) {
+            validationError = "Draft room not found.";
+        } else {
+            validationError = validatePick(roomState, pickData);
+            if (!validationError && roomState.seats[pickData.teamId] !== getParticipantId(roomCode)) {
+                validationError = `You don't hold the seat for Team ${pickData.teamId + 1}.`;
+            }
+        }
+
+        if (validationError) {
+            console.warn(`[Pick Error] Room ${roomCode}, User ${socket.id}: ${validationError}`);
+            socket.emit('pick_error', { message: validationError });
+            return;
+        }
+        // --- End Validation ---
+
+        recordRoomEvent(roomState, 'pick', getParticipantId(roomCode), { playerId: pickData.playerId, teamId: pickData.teamId });
+        schedulePickTimer(roomCode);
+        console.log(`[${roomCode}] Pick successful. Next turn: Team ${roomState.nextTableToPick}`);
+
+        saveRoom(roomCode);
+        // Broadcast updated state to the entire room
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    socket.on('undo_pick', ({ roomCode }) => {
+        console.log(`[${socket.id}] Event: undo_pick for room ${roomCode}`);
+        const roomState = draftRooms.get(roomCode);
+
+        if (!roomState) {
+            console.warn(`[Undo Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Undo Error] Room ${roomCode}: ${socket.id} is not the commissioner.`);
+            return socket.emit('error', { message: "Only the commissioner can undo picks." });
+        }
+        if (roomState.isEnded) {
+            console.warn(`[Undo Error] Room ${roomCode}: Draft has ended.`);
+            return socket.emit('error', { message: "The draft has ended." });
+        }
+        if (roomState.picks.length === 0 || roomState.picks.at(-1).isKeeper) {
+            console.warn(`[Undo Error] Room ${roomCode}: No picks to undo.`);
+            return socket.emit('error', { message: "No picks to undo." });
+        }
+        if (roomState.auction?.lot) {
+            console.warn(`[Undo Error] Room ${roomCode}: Auction in progress.`);
+            return socket.emit('error', { message: "Wait for the current auction to close before undoing." });
+        }
+
+        // Process Undo: the most recent pick comes off and its team is back on the clock
+        const lastPick = recordRoomEvent(roomState, 'undo', getParticipantId(roomCode));
+        console.log(`[${roomCode}] Undid pick for Player ID ${lastPick.playerId}`);
+        console.log(`[${roomCode}] State after undo: Next turn Team ${roomState.nextTableToPick}`);
+        schedulePickTimer(roomCode);
+
+        saveRoom(roomCode);
+        // Broadcast updated state
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    socket.on('update_table_name', ({ roomCode, teamId, newName }) => {
+        console.log(`[${socket.id}] Event: update_table_name for room ${roomCode}: Team ${teamId} -> "${newName}"`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        if (!roomState?.settings?.tableNames) {
+            console.warn(`[Name Update Error] Room ${roomCode} or settings not found.`);
+            return socket.emit('error', { message: "Draft room or settings not found." });
+        }
+        if (typeof teamId !== 'number' || teamId < 0 || teamId >= roomState.settings.numTables || typeof newName !== 'string') {
+            console.warn(`[Name Update Error] Invalid data: teamId=${teamId}, newName type=${typeof newName}`);
+            return socket.emit('error', { message: "Invalid table name update request data." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode) && roomState.seats[teamId] !== getParticipantId(roomCode)) {
+            console.warn(`[Name Update Error] ${socket.id} may not rename Team ${teamId}.`);
+            return socket.emit('error', { message: "Only the commissioner can rename teams you don't hold." });
+        }
+
+        // Process Update
+        const finalName = newName.trim() || `Team ${teamId + 1}`; // Use default if empty/whitespace
+        recordRoomEvent(roomState, 'rename', getParticipantId(roomCode), { teamId, name: finalName });
+        console.log(`[${roomCode}] Team ${teamId} name updated to "${finalName}"`);
+
+        saveRoom(roomCode);
+        // Broadcast the full state update (simplest approach)
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    socket.on('force_pick', ({ roomCode, pickData }) => {
+        console.log(`[${socket.id}] Event: force_pick for room ${roomCode}:`, pickData?.playerId);
+        const roomState = draftRooms.get(roomCode);
+
+        // --- Pick Validation ---
+        let validationError = null;
+        if (!roomState) {
+            validationError = "Draft room not found.";
+        } else if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            validationError = "Only the commissioner can force a pick.";
+        } else {
+            validationError = validatePick(roomState, pickData);
+            const seatHolder = roomState.seats[pickData?.teamId];
+            if (!validationError && seatHolder && roomState.participants.has(seatHolder)) {
+                validationError = `Team ${pickData.teamId + 1} is not absent; its seat holder must pick.`;
+            }
+        }
+
+        if (validationError) {
+            console.warn(`[Pick Error] Room ${roomCode}, User ${socket.id}: ${validationError}`);
+            socket.emit('pick_error', { message: validationError });
+            return;
+        }
+        // --- End Validation ---
+
+        recordRoomEvent(roomState, 'pick', getParticipantId(roomCode), { playerId: pickData.playerId, teamId: pickData.teamId, flags: { isForced: true } });
+        schedulePickTimer(roomCode);
+        console.log(`[${roomCode}] Forced pick successful. Next turn: Team ${roomState.nextTableToPick}`);
+
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    /**
+     * Voids or replaces an earlier pick for the commissioner. Later picks stay where they are;
+     * a voided slot goes back on the clock for the team that owns it.
+     * @param {string} roomCode - The code of the room.
+     * @param {object} correction - { overall, playerId } (no playerId to void the pick).
+     */
+    function handlePickCorrection(roomCode, correction) {
+        const isReplacement = correction?.playerId !== undefined;
+        const eventName = isReplacement ? 'replace_pick' : 'void_pick';
+        console.log(`[${socket.id}] Event: ${eventName} for room ${roomCode}: pick #${correction?.overall}`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        let validationError = null;
+        if (!roomState) {
+            validationError = "Draft room not found.";
+        } else if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            validationError = "Only the commissioner can void or replace picks.";
+        } else {
+            validationError = validatePickCorrection(roomState, correction);
+        }
+        if (validationError) {
+            console.warn(`[Pick Error] Room ${roomCode}, User ${socket.id}: ${validationError}`);
+            return socket.emit('pick_error', { message: validationError });
+        }
+
+        // Process Correction
+        const { overall, playerId } = correction;
+        const pick = recordRoomEvent(roomState, eventName, getParticipantId(roomCode), isReplacement ? { overall, playerId } : { overall });
+        if (!isReplacement) {
+            schedulePickTimer(roomCode); // The voided slot may be back on the clock
+        }
+        console.log(isReplacement
+            ? `[${roomCode}] Pick #${overall} replaced with ${pick.playerName}.`
+            : `[${roomCode}] Pick #${overall} (${pick.playerName}) voided. Next turn: Team ${roomState.nextTableToPick}`);
+
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    }
+
+    socket.on('void_pick', ({ roomCode, overall }) => handlePickCorrection(roomCode, { overall }));
+    socket.on('replace_pick', ({ roomCode, overall, playerId }) => handlePickCorrection(roomCode, { overall, playerId }));
+
+    // --- Commissioner Controls ---
+
+    socket.on('kick_participant', ({ roomCode, participantId }) => {
+        console.log(`[${socket.id}] Event: kick_participant for room ${roomCode}: ${participantId}`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[Kick Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Kick Error] ${socket.id} is not the commissioner of ${roomCode}.`);
+            return socket.emit('error', { message: "Only the commissioner can remove participants." });
+        }
+        if (participantId === getParticipantId(roomCode) || !roomState.participants.has(participantId)) {
+            console.warn(`[Kick Error] Invalid participant ${participantId} for room ${roomCode}.`);
+            return socket.emit('error', { message: "Invalid participant selected." });
+        }
+
+        // Process Kick: notify the removed sockets, take them out of the Socket.IO room, then clean up.
+        // The participant's token is revoked, so they can only come back as someone new.
+        getParticipantSockets(roomCode, participantId).forEach(kickedSocket => {
+            kickedSocket.emit('kicked', { roomCode: roomCode });
+            kickedSocket.leave(roomCode);
+            kickedSocket.data.roomCode = null;
+        });
+        if (roomState.members[participantId]) {
+            roomState.members[participantId].tokenHash = null;
+        }
+        cancelDeparture(roomCode, participantId);
+        removeParticipant(roomCode, participantId, true);
+        console.log(`[${roomCode}] ${participantId} was removed by the commissioner.`);
+    });
+
+    socket.on('transfer_commissioner', ({ roomCode, participantId }) => {
+        console.log(`[${socket.id}] Event: transfer_commissioner for room ${roomCode}: ${participantId}`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[Transfer Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Transfer Error] ${socket.id} is not the commissioner of ${roomCode}.`);
+            return socket.emit('error', { message: "Only the commissioner can transfer the role." });
+        }
+        if (!roomState.participants.has(participantId)) {
+            console.warn(`[Transfer Error] ${participantId} is not in room ${roomCode}.`);
+            return socket.emit('error', { message: "Invalid participant selected." });
+        }
+        if (isSpectator(roomState, participantId)) {
+            console.warn(`[Transfer Error] ${participantId} is a spectator in ${roomCode}.`);
+            return socket.emit('error', { message: "A spectator can't be commissioner." });
+        }
+
+        // Process Transfer
+        roomState.commissionerId = participantId;
+        console.log(`[${roomCode}] Commissioner role transferred to ${participantId}`);
+
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    socket.on('create_invite', ({ roomCode, singleUse, expiresInHours }) => {
+        console.log(`[${socket.id}] Event: create_invite for room ${roomCode}: singleUse=${singleUse}, expiresInHours=${expiresInHours}`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[Invite Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Invite Error] ${socket.id} is not the commissioner of ${roomCode}.`);
+            return socket.emit('error', { message: "Only the commissioner can create invite links." });
+        }
+        if (expiresInHours != null && (typeof expiresInHours !== 'number' || !(expiresInHours > 0))) {
+            console.warn(`[Invite Error] Invalid expiry: ${expiresInHours}`);
+            return socket.emit('error', { message: "Invalid invite expiry provided." });
+        }
+        if (!singleUse && expiresInHours == null) {
+            console.warn(`[Invite Error] Room ${roomCode}: Invite without a limit requested.`);
+            return socket.emit('error', { message: "An invite must be single-use or expire." });
+        }
+
+        // Process Invite: only the creator sees the token, since it works like a password
+        const { inviteToken, invite } = createInvite(roomState, { singleUse, expiresInHours: expiresInHours ?? null });
+        console.log(`[${roomCode}] Invite created (${invite.singleUse ? 'single-use' : 'reusable'}, expires ${invite.expiresAt ?? 'never'}).`);
+
+        saveRoom(roomCode);
+        socket.emit('invite_created', { roomCode: roomCode, inviteToken: inviteToken, singleUse: invite.singleUse, expiresAt: invite.expiresAt });
+    });
+
+    socket.on('end_draft', ({ roomCode }) => {
+        console.log(`[${socket.id}] Event: end_draft for room ${roomCode}`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[End Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[End Error] ${socket.id} is not the commissioner of ${roomCode}.`);
+            return socket.emit('error', { message: "Only the commissioner can end the draft." });
         }
-    }, delay);
-}
 
+        // Process End: no further picks are accepted, the final rosters stay viewable
+        recordRoomEvent(roomState, 'end', getParticipantId(roomCode));
+        clearPickTimer(roomCode);
+        console.log(`[${roomCode}] Draft ended by the commissioner.`);
 
-// ==========================================================================
-// Express Middleware & Routing
-// ==========================================================================
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
 
-const publicDirPath = path.join(__dirname, 'public');
+    socket.on('pause_draft', ({ roomCode }) => {
+        console.log(`[${socket.id}] Event: pause_draft for room ${roomCode}`);
+        const roomState = draftRooms.get(roomCode);
 
-// Serve static files (HTML, CSS, client-side JS)
-app.use(express.static(publicDirPath));
-  
+        // Validation
+        if (!roomState) {
+            console.warn(`[Pause Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Pause Error] ${socket.id} is not the commissioner of ${roomCode}.`);
+            return socket.emit('error', { message: "Only the commissioner can pause the draft." });
+        }
+        if (roomState.isPaused || roomState.isEnded) {
+            console.warn(`[Pause Error] Room ${roomCode} is already paused or has ended.`);
+            return socket.emit('error', { message: "The draft cannot be paused right now." });
+        }
 
-// ==========================================================================
-// Socket.IO Connection Handling
-// ==========================================================================
-io.on('connection', (socket) => {
-    console.log(`[Connect] User connected: ${socket.id}`);
+        // Process Pause: freeze whatever is left on the pick clock
+        const timeRemaining = roomState.pickDeadline ? Math.max(0, roomState.pickDeadline - Date.now()) : null;
+        clearPickTimer(roomCode);
+        recordRoomEvent(roomState, 'pause', getParticipantId(roomCode), { timeRemaining });
+        console.log(`[${roomCode}] Draft paused. Clock frozen at ${timeRemaining ?? 'n/a'} ms.`);
 
-    // --- Draft Lifecycle Events ---
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
 
-    socket.on('start_draft', (settings) => {
-        console.log(`[${socket.id}] Event: start_draft`, settings);
+    socket.on('resume_draft', ({ roomCode }) => {
+        console.log(`[${socket.id}] Event: resume_draft for room ${roomCode}`);
+        const roomState = draftRooms.get(roomCode);
 
-        // --- Settings Validation ---
-        let validationError = null;
-        if (!settings || typeof settings !== 'object') {
-            validationError = "Invalid settings object provided.";
-        } else if (typeof settings.numTables !== 'number' || settings.numTables < 1) {
-            validationError = "Invalid number of teams provided.";
-        } else if (!settings.playersPerPos || typeof settings.playersPerPos !== 'object') {
-            validationError = "Invalid player position settings provided.";
-        } else if (typeof settings.maxSalary !== 'number' || settings.maxSalary < 0) {
-            validationError = "Invalid maximum salary provided.";
-        } else if (!settings.tableNames || typeof settings.tableNames !== 'object') {
-            validationError = "Invalid table names data provided.";
+        // Validation
+        if (!roomState) {
+            console.warn(`[Resume Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Resume Error] ${socket.id} is not the commissioner of ${roomCode}.`);
+            return socket.emit('error', { message: "Only the commissioner can resume the draft." });
+        }
+        if (!roomState.isPaused) {
+            console.warn(`[Resume Error] Room ${roomCode} is not paused.`);
+            return socket.emit('error', { message: "The draft is not paused." });
         }
 
-        if (!validationError) {
-            const positions = ['F', 'D', 'G'];
-            for (const pos of positions) {
-                if (typeof settings.playersPerPos[pos] !== 'number' || settings.playersPerPos[pos] < 0) {
-                    validationError = `Invalid player count for position ${pos}.`;
-                    break;
-                }
-            }
-            if (!validationError && positions.reduce((sum, pos) => sum + (settings.playersPerPos[pos] || 0), 0) === 0) {
-                validationError = "Total players per team cannot be zero.";
+        // Process Resume: restart the clock with the time that was left
+        const timeRemaining = roomState.pausedTimeRemaining;
+        recordRoomEvent(roomState, 'resume', getParticipantId(roomCode));
+        schedulePickTimer(roomCode, timeRemaining ?? undefined);
+        console.log(`[${roomCode}] Draft resumed.`);
+
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    // --- Auction ---
+    socket.on('nominate_player', ({ roomCode, nomination }) => {
+        console.log(`[${socket.id}] Event: nominate_player for room ${roomCode}:`, nomination?.playerId);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        let validationError = null;
+        if (!roomState) {
+            validationError = "Draft room not found.";
+        } else if (!roomState.auction) {
+            validationError = "This is not an auction draft.";
+        } else {
+            validationError = validateNomination(roomState, nomination);
+            const seatHolder = roomState.seats[nomination?.teamId];
+            const isAbsent = !seatHolder || !roomState.participants.has(seatHolder);
+            if (!validationError && seatHolder !== getParticipantId(roomCode) && !(isAbsent && roomState.commissionerId === getParticipantId(roomCode))) {
+                validationError = `You don't hold the seat for Team ${nomination.teamId + 1}.`;
             }
         }
-
         if (validationError) {
-            console.error(`[${socket.id}] Start draft validation failed: ${validationError}`);
-            socket.emit('error', { message: validationError });
-            return;
+            console.warn(`[Nomination Error] Room ${roomCode}, User ${socket.id}: ${validationError}`);
+            return socket.emit('pick_error', { message: validationError });
         }
-        // --- End Validation ---
 
-        const roomCode = generateRoomCode();
-        console.log(`[${socket.id}] Generated room code: ${roomCode}`);
+        // Process Nomination: bidding opens and the bid clock starts
+        const lot = recordRoomEvent(roomState, 'nomination', getParticipantId(roomCode), {
+            nomination: { playerId: nomination.playerId, teamId: nomination.teamId, openingBid: nomination.openingBid }
+        });
+        schedulePickTimer(roomCode);
+        console.log(`[${roomCode}] Team ${lot.nominatedBy} nominated ${lot.playerName} at ${lot.highBid}.`);
 
-        const newRoomState = {
-            settings: settings,
-            picks: [],
-            selectedPlayerIds: new Set(),
-            nextTableToPick: 0, // First team starts
-            currentPickDirection: 1, // Initial direction is forward
-            isSerpentineOrder: !!settings.isSerpentineOrder, // Ensure boolean
-            roomCode: roomCode,
-            participants: new Set([socket.id]) // Add creator as first participant
-        };
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
 
-        draftRooms.set(roomCode, newRoomState);
-        socket.join(roomCode);
-        console.log(`[${socket.id}] Created and joined room ${roomCode}`);
+    socket.on('place_bid', ({ roomCode, bid }) => {
+        console.log(`[${socket.id}] Event: place_bid for room ${roomCode}: Team ${bid?.teamId} bids ${bid?.amount}`);
+        const roomState = draftRooms.get(roomCode);
 
-        // Emit 'draft_started' only to the creator with the initial state
-        const stateToSend = prepareStateForEmit(newRoomState);
-        socket.emit('draft_started', { roomCode: roomCode, draftState: stateToSend });
+        // Validation
+        let validationError = null;
+        if (!roomState) {
+            validationError = "Draft room not found.";
+        } else if (!roomState.auction) {
+            validationError = "This is not an auction draft.";
+        } else {
+            validationError = validateBid(roomState, bid);
+            if (!validationError && roomState.seats[bid.teamId] !== getParticipantId(roomCode)) {
+                validationError = `You don't hold the seat for Team ${bid.teamId + 1}.`;
+            }
+        }
+        if (validationError) {
+            console.warn(`[Bid Error] Room ${roomCode}, User ${socket.id}: ${validationError}`);
+            return socket.emit('bid_error', { message: validationError });
+        }
+
+        // Process Bid: every new high bid resets the bid clock
+        const lot = recordRoomEvent(roomState, 'bid', getParticipantId(roomCode), { teamId: bid.teamId, amount: bid.amount });
+        schedulePickTimer(roomCode);
+        console.log(`[${roomCode}] High bid on ${lot.playerName}: ${lot.highBid} by Team ${lot.highBidderTeamId}.`);
+
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
     });
 
-    socket.on('join_draft', ({ roomCode }) => {
-        const upperRoomCode = roomCode?.trim().toUpperCase();
-        console.log(`[${socket.id}] Event: join_draft attempt for room ${upperRoomCode}`);
+    // --- Keepers ---
+    socket.on('add_keeper', ({ roomCode, keeperData }) => {
+        console.log(`[${socket.id}] Event: add_keeper for room ${roomCode}:`, keeperData?.playerId);
+        const roomState = draftRooms.get(roomCode);
 
-        if (!upperRoomCode) {
-             console.warn(`[${socket.id}] Join failed: Invalid room code provided.`);
-             socket.emit('join_error', { message: `Invalid room code provided.` });
-             return;
+        // Validation
+        if (!roomState) {
+            console.warn(`[Keeper Error] Room ${roomCode} not found.`);
+            return socket.emit('pick_error', { message: "Draft room not found." });
+        }
+        const validationError = validateKeeper(roomState, keeperData);
+        if (validationError) {
+            console.warn(`[Keeper Error] Room ${roomCode}: ${validationError}`);
+            return socket.emit('pick_error', { message: validationError });
+        }
+        if (roomState.seats[keeperData.teamId] !== getParticipantId(roomCode) && roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Keeper Error] ${socket.id} does not hold Team ${keeperData.teamId}.`);
+            return socket.emit('pick_error', { message: "Only the team's seat holder or the commissioner can set its keepers." });
         }
 
-        const roomState = draftRooms.get(upperRoomCode);
-
-        if (roomState) {
-            socket.join(upperRoomCode);
-            roomState.participants.add(socket.id); // Add new participant
-            console.log(`[${socket.id}] Successfully joined room ${upperRoomCode}. Participants: ${roomState.participants.size}`);
+        // Process Keeper: it uses up one of the team's picks
+        const slot = findKeeperSlot(roomState, keeperData.teamId, keeperData.round ?? null);
+        const keeper = recordRoomEvent(roomState, 'keeper_added', getParticipantId(roomCode), { playerId: keeperData.playerId, teamId: keeperData.teamId, overall: slot.overall });
+        console.log(`[${roomCode}] Team ${keeper.teamId} kept ${keeper.playerName} (gives up pick #${keeper.overall}).`);
 
-            // Send the full current state ONLY to the newly joined user
-            const fullStateToSend = prepareStateForEmit(roomState);
-            socket.emit('draft_state_update', { roomCode: upperRoomCode, draftState: fullStateToSend });
-            console.log(`[${socket.id}] Emitted full state (draft_state_update) to joiner.`);
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
 
-            // Send an update with just the new participant list to OTHERS already in the room
-            const participantUpdatePayload = {
-                roomCode: upperRoomCode,
-                participants: Array.from(roomState.participants) // Send only the updated list
-            };
-            socket.to(upperRoomCode).emit('participant_update', participantUpdatePayload);
-            console.log(`[${socket.id}] Emitted participant_update to others in room ${upperRoomCode}.`);
+    socket.on('remove_keeper', ({ roomCode, playerId }) => {
+        console.log(`[${socket.id}] Event: remove_keeper for room ${roomCode}:`, playerId);
+        const roomState = draftRooms.get(roomCode);
 
-        } else {
-            console.warn(`[${socket.id}] Join failed: Room ${upperRoomCode} not found.`);
-            socket.emit('join_error', { message: `Draft room "${upperRoomCode}" not found.` });
+        // Validation
+        if (!roomState) {
+            console.warn(`[Keeper Error] Room ${roomCode} not found.`);
+            return socket.emit('pick_error', { message: "Draft room not found." });
+        }
+        if (!roomState.isKeeperPhase) {
+            console.warn(`[Keeper Error] Room ${roomCode}: Keeper phase is over.`);
+            return socket.emit('pick_error', { message: "Keepers can only be changed before the draft starts." });
+        }
+        const keeper = roomState.picks.find(pick => pick.isKeeper && pick.playerId === playerId);
+        if (!keeper) {
+            console.warn(`[Keeper Error] Room ${roomCode}: Player ${playerId} is not a keeper.`);
+            return socket.emit('pick_error', { message: "That player is not a keeper." });
+        }
+        if (roomState.seats[keeper.teamId] !== getParticipantId(roomCode) && roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Keeper Error] ${socket.id} does not hold Team ${keeper.teamId}.`);
+            return socket.emit('pick_error', { message: "Only the team's seat holder or the commissioner can change its keepers." });
         }
-    });
 
-    // --- In-Draft Actions ---
+        // Process Removal: the pick it used becomes available again
+        recordRoomEvent(roomState, 'keeper_removed', getParticipantId(roomCode), { playerId: keeper.playerId });
+        console.log(`[${roomCode}] Team ${keeper.teamId} released keeper ${keeper.playerName}.`);
 
-    socket.on('make_pick', ({ roomCode, pickData }) => {
-        console.log(`[${socket.id}] Event: make_pick for room ${roomCode}:`, pickData?.playerId);
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    socket.on('lock_keepers', ({ roomCode }) => {
+        console.log(`[${socket.id}] Event: lock_keepers for room ${roomCode}`);
         const roomState = draftRooms.get(roomCode);
 
-        // --- Pick Validation ---
-        let validationError = null;
+        // Validation
         if (!roomState) {
-            validationError = "Draft room not found.";
-        } else if (!pickData || typeof pickData !== 'object') {
-            validationError = "Invalid pick data format.";
-        } else if (typeof pickData.playerId !== 'number' || typeof pickData.teamId !== 'number' ||
-                   typeof pickData.playerName !== 'string' || typeof pickData.salary !== 'number' ||
-                   typeof pickData.position !== 'string' || typeof pickData.team_url !== 'string') {
-            validationError = "Incomplete pick data received.";
-        } else if (pickData.teamId !== roomState.nextTableToPick) {
-            validationError = `It's not Team ${pickData.teamId + 1}'s turn.`;
-        } else if (roomState.selectedPlayerIds.has(pickData.playerId)) {
-            validationError = "Player already selected.";
-        } else {
-            const { position, teamId } = pickData;
-            const { playersPerPos, tableNames } = roomState.settings;
+            console.warn(`[Keeper Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Keeper Error] Room ${roomCode}: ${socket.id} is not the commissioner.`);
+            return socket.emit('error', { message: "Only the commissioner can lock keepers and start the draft." });
+        }
+        if (!roomState.isKeeperPhase) {
+            console.warn(`[Keeper Error] Room ${roomCode}: Keepers are already locked.`);
+            return socket.emit('error', { message: "Keepers are already locked." });
+        }
 
-            if (!['F', 'D', 'G'].includes(position) || !playersPerPos || playersPerPos[position] === undefined) {
-                validationError = `Invalid player position specified ('${position}').`;
-            } else {
-                const requiredCountForPos = playersPerPos[position];
-                const currentCountForPos = roomState.picks.filter(p => p.teamId === teamId && p.position === position).length;
+        // Process Lock: the first pick goes on the clock
+        recordRoomEvent(roomState, 'keepers_locked', getParticipantId(roomCode));
+        schedulePickTimer(roomCode);
+        console.log(`[${roomCode}] Keepers locked. Next turn: Team ${roomState.nextTableToPick}`);
 
-                if (currentCountForPos >= requiredCountForPos) {
-                    const teamName = tableNames[teamId] || `Team ${teamId + 1}`;
-                    validationError = `All ${position} slots are already filled for ${teamName}.`;
-                }
-            }
-        }
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    // --- Expansion Draft Protection Lists ---
+    socket.on('submit_protection_list', ({ roomCode, nhlTeamId, playerIds }) => {
+        console.log(`[${socket.id}] Event: submit_protection_list for room ${roomCode}: NHL team ${nhlTeamId}`);
+        const roomState = draftRooms.get(roomCode);
 
+        // Validation
+        if (!roomState) {
+            console.warn(`[Protection Error] Room ${roomCode} not found.`);
+            return socket.emit('pick_error', { message: "Draft room not found." });
+        }
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Protection Error] Room ${roomCode}: ${socket.id} is not the commissioner.`);
+            return socket.emit('pick_error', { message: "Only the commissioner can set protection lists." });
+        }
+        const validationError = validateProtectionRequest(roomState, { nhlTeamId, playerIds });
         if (validationError) {
-            console.warn(`[Pick Error] Room ${roomCode}, User ${socket.id}: ${validationError}`);
-            socket.emit('pick_error', { message: validationError });
-            return;
+            console.warn(`[Protection Error] Room ${roomCode}: ${validationError}`);
+            return socket.emit('pick_error', { message: validationError });
         }
-        // --- End Validation ---
 
-        // Process Pick
-        const pickToStore = { // Ensure we only store expected fields
-            playerId: pickData.playerId,
-            playerName: pickData.playerName,
-            salary: pickData.salary,
-            position: pickData.position,
-            teamId: pickData.teamId,
-            team_url: pickData.team_url,
-            city: pickData.city || '' // Include city, default to empty string
-        };
-        roomState.picks.push(pickToStore); // Add to picks array
-        roomState.selectedPlayerIds.add(pickData.playerId); // Add to set for quick lookup
-
-        // Calculate next turn
-        const { nextTableToPick, currentPickDirection } = calculateNextTurn(roomState);
-        roomState.nextTableToPick = nextTableToPick;
-        roomState.currentPickDirection = currentPickDirection;
-
-        console.log(`[${roomCode}] Pick successful. Next turn: Team ${nextTableToPick}, Dir: ${currentPickDirection}`);
+        // Process List
+        recordRoomEvent(roomState, 'protection_list', getParticipantId(roomCode), { nhlTeamId, playerIds: [...playerIds] });
+        console.log(`[${roomCode}] NHL team ${nhlTeamId} protected ${playerIds.length} players.`);
 
-        // Broadcast updated state to the entire room
+        saveRoom(roomCode);
         const stateToSend = prepareStateForEmit(roomState);
         io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
     });
 
-    socket.on('undo_pick', ({ roomCode }) => {
-        console.log(`[${socket.id}] Event: undo_pick for room ${roomCode}`);
+    socket.on('lock_protection_lists', ({ roomCode }) => {
+        console.log(`[${socket.id}] Event: lock_protection_lists for room ${roomCode}`);
         const roomState = draftRooms.get(roomCode);
 
+        // Validation
         if (!roomState) {
-            console.warn(`[Undo Error] Room ${roomCode} not found.`);
+            console.warn(`[Protection Error] Room ${roomCode} not found.`);
             return socket.emit('error', { message: "Draft room not found." });
         }
-        if (roomState.picks.length === 0) {
-            console.warn(`[Undo Error] Room ${roomCode}: No picks to undo.`);
-            return socket.emit('error', { message: "No picks to undo." });
+        if (roomState.commissionerId !== getParticipantId(roomCode)) {
+            console.warn(`[Protection Error] Room ${roomCode}: ${socket.id} is not the commissioner.`);
+            return socket.emit('error', { message: "Only the commissioner can lock protection lists and start the draft." });
         }
+        if (!roomState.isProtectionPhase) {
+            console.warn(`[Protection Error] Room ${roomCode}: Protection lists are already locked.`);
+            return socket.emit('error', { message: "Protection lists are already locked." });
+        }
+
+        // Process Lock: teams that never submitted protect their NMC players and highest cap hits
+        const { protectionScheme } = roomState.settings;
+        const defaultLists = {};
+        Object.entries(roomState.expansion.protectionLists).forEach(([nhlTeamId, protectionList]) => {
+            if (protectionList.isSubmitted) return;
+            defaultLists[nhlTeamId] = expansionDraftModule.buildDefaultProtectionList(protectionScheme, getNhlTeamPlayers(roomState.settings.season, nhlTeamId));
+        });
+        recordRoomEvent(roomState, 'protection_locked', getParticipantId(roomCode), { defaultLists });
+        schedulePickTimer(roomCode);
+        console.log(`[${roomCode}] Protection lists locked. Next turn: Team ${roomState.nextTableToPick}`);
+
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    // --- Trades (draft picks and drafted players) ---
+
+    /**
+     * Validates and records a trade proposal from the socket's team.
+     * @param {string} type - 'pick' or 'player'.
+     * @param {object} request - { roomCode, fromTeamId, toTeamId, ...the type's offered/requested lists }.
+     */
+    function handleTradeProposal(type, request) {
+        const { roomCode, fromTeamId, toTeamId } = request;
+        console.log(`[${socket.id}] Event: propose_${type}_trade for room ${roomCode}: Team ${fromTeamId} -> Team ${toTeamId}`);
+        const roomState = draftRooms.get(roomCode);
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[Trade Error] Room ${roomCode} not found.`);
+            return socket.emit('trade_error', { message: "Draft room not found." });
+        }
+        if (roomState.seats[fromTeamId] !== getParticipantId(roomCode)) {
+            console.warn(`[Trade Error] ${socket.id} does not hold Team ${fromTeamId}.`);
+            return socket.emit('trade_error', { message: `You can only offer ${type}s from a team whose seat you hold.` });
+        }
+        const [offeredKey, requestedKey] = TRADE_ASSET_KEYS[type];
+        const trade = { type, fromTeamId, toTeamId, [offeredKey]: request[offeredKey], [requestedKey]: request[requestedKey] };
+        const validationError = validateTrade(roomState, trade);
+        if (validationError) {
+            console.warn(`[Trade Error] Room ${roomCode}: ${validationError}`);
+            return socket.emit('trade_error', { message: validationError });
+        }
+
+        // Process Proposal
+        const proposal = recordRoomEvent(roomState, 'trade_proposed', getParticipantId(roomCode), {
+            trade: { ...trade, [offeredKey]: [...trade[offeredKey]], [requestedKey]: [...trade[requestedKey]] }
+        });
+        console.log(`[${roomCode}] ${type} trade #${proposal.tradeId} proposed.`);
 
-        // Process Undo
-        const lastPick = roomState.picks.pop(); // Remove last pick from array
-        if (lastPick) {
-            roomState.selectedPlayerIds.delete(lastPick.playerId); // Remove from selected set
-            console.log(`[${roomCode}] Undid pick for Player ID ${lastPick.playerId}`);
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    }
 
-            // Recalculate whose turn it is now
-            const { nextTableToPick, currentPickDirection } = calculateNextTurn(roomState);
-            roomState.nextTableToPick = nextTableToPick;
-            roomState.currentPickDirection = currentPickDirection;
-            console.log(`[${roomCode}] State after undo: Next turn Team ${nextTableToPick}`);
+    /**
+     * Accepts or declines a pending trade. Only the receiving team can accept; either side can decline/withdraw.
+     * @param {string} type - 'pick' or 'player'.
+     * @param {string} roomCode - The code of the room.
+     * @param {number} tradeId - The pending trade's id.
+     * @param {boolean} accept - True to accept, false to decline.
+     */
+    function handleTradeResponse(type, roomCode, tradeId, accept) {
+        console.log(`[${socket.id}] Event: ${accept ? 'accept' : 'decline'}_${type}_trade for room ${roomCode}: #${tradeId}`);
+        const roomState = draftRooms.get(roomCode);
 
-            // Broadcast updated state
-            const stateToSend = prepareStateForEmit(roomState);
-            io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+        // Validation
+        if (!roomState) {
+            console.warn(`[Trade Error] Room ${roomCode} not found.`);
+            return socket.emit('trade_error', { message: "Draft room not found." });
+        }
+        const trade = roomState.pendingTrades.find(t => t.tradeId === tradeId && t.type === type);
+        if (!trade) {
+            console.warn(`[Trade Error] ${type} trade #${tradeId} not found in room ${roomCode}.`);
+            return socket.emit('trade_error', { message: "Trade proposal not found." });
+        }
+        if (accept && roomState.seats[trade.toTeamId] !== getParticipantId(roomCode)) {
+            console.warn(`[Trade Error] ${socket.id} does not hold Team ${trade.toTeamId}.`);
+            return socket.emit('trade_error', { message: "Only the receiving team's seat holder can accept this trade." });
+        }
+        if (!accept && roomState.seats[trade.toTeamId] !== getParticipantId(roomCode) && roomState.seats[trade.fromTeamId] !== getParticipantId(roomCode)) {
+            console.warn(`[Trade Error] ${socket.id} is not part of ${type} trade #${tradeId}.`);
+            return socket.emit('trade_error', { message: "You are not part of this trade." });
+        }
 
+        // Rosters, picks or cap space may have changed since the proposal
+        const validationError = accept ? validateTrade(roomState, trade) : null;
+        if (!accept) {
+            recordRoomEvent(roomState, 'trade_declined', getParticipantId(roomCode), { tradeId });
+            console.log(`[${roomCode}] ${type} trade #${tradeId} declined.`);
+        } else if (validationError) {
+            recordRoomEvent(roomState, 'trade_declined', getParticipantId(roomCode), { tradeId });
+            console.warn(`[Trade Error] Room ${roomCode}: ${validationError}`);
+            socket.emit('trade_error', { message: `${validationError} The proposal was withdrawn.` });
         } else {
-             // Should not happen if picks.length > 0 check passed, but good to log
-             console.error(`[${roomCode}] Undo failed unexpectedly: Popped pick was undefined.`);
-             socket.emit('error', { message: "Undo failed unexpectedly." });
+            recordRoomEvent(roomState, 'trade_accepted', getParticipantId(roomCode), { tradeId });
+            console.log(`[${roomCode}] ${type} trade #${tradeId} completed. Next turn: Team ${roomState.nextTableToPick}`);
         }
-   });
 
-    socket.on('update_table_name', ({ roomCode, teamId, newName }) => {
-        console.log(`[${socket.id}] Event: update_table_name for room ${roomCode}: Team ${teamId} -> "${newName}"`);
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    }
+
+    socket.on('propose_pick_trade', (request) => handleTradeProposal('pick', request || {}));
+    socket.on('accept_pick_trade', ({ roomCode, tradeId }) => handleTradeResponse('pick', roomCode, tradeId, true));
+    socket.on('decline_pick_trade', ({ roomCode, tradeId }) => handleTradeResponse('pick', roomCode, tradeId, false));
+
+    socket.on('propose_player_trade', (request) => handleTradeProposal('player', request || {}));
+    socket.on('accept_player_trade', ({ roomCode, tradeId }) => handleTradeResponse('player', roomCode, tradeId, true));
+    socket.on('decline_player_trade', ({ roomCode, tradeId }) => handleTradeResponse('player', roomCode, tradeId, false));
+
+    // --- Team Seats ---
+
+    socket.on('claim_seat', ({ roomCode, teamId }) => {
+        console.log(`[${socket.id}] Event: claim_seat for room ${roomCode}: Team ${teamId}`);
         const roomState = draftRooms.get(roomCode);
 
         // Validation
-        if (!roomState?.settings?.tableNames) {
-            console.warn(`[Name Update Error] Room ${roomCode} or settings not found.`);
-            return socket.emit('error', { message: "Draft room or settings not found." });
+        if (!roomState || !roomState.participants.has(getParticipantId(roomCode))) {
+            console.warn(`[Seat Error] Room ${roomCode} not found or ${socket.id} is not a participant.`);
+            return socket.emit('error', { message: "Draft room not found." });
         }
-        if (typeof teamId !== 'number' || teamId < 0 || teamId >= roomState.settings.numTables || typeof newName !== 'string') {
-            console.warn(`[Name Update Error] Invalid data: teamId=${teamId}, newName type=${typeof newName}`);
-            return socket.emit('error', { message: "Invalid table name update request data." });
+        if (typeof teamId !== 'number' || teamId < 0 || teamId >= roomState.settings.numTables) {
+            console.warn(`[Seat Error] Invalid teamId=${teamId}`);
+            return socket.emit('error', { message: "Invalid team selected." });
+        }
+        // A seat whose holder isn't in the room can be taken over
+        const currentHolder = roomState.seats[teamId];
+        if (currentHolder && currentHolder !== getParticipantId(roomCode) && roomState.participants.has(currentHolder)) {
+            const teamName = roomState.settings.tableNames[teamId] || `Team ${teamId + 1}`;
+            console.warn(`[Seat Error] Room ${roomCode}: Team ${teamId} already claimed by ${currentHolder}.`);
+            return socket.emit('error', { message: `${teamName} has already been claimed by another participant.` });
         }
 
-        // Process Update
-        const finalName = newName.trim() || `Team ${teamId + 1}`; // Use default if empty/whitespace
-        roomState.settings.tableNames[teamId] = finalName;
-        console.log(`[${roomCode}] Team ${teamId} name updated to "${finalName}"`);
+        // Process Claim
+        roomState.seats[teamId] = getParticipantId(roomCode);
+        console.log(`[${roomCode}] Team ${teamId} seat claimed by ${roomState.seats[teamId]}`);
 
-        // Broadcast the full state update (simplest approach)
+        saveRoom(roomCode);
         const stateToSend = prepareStateForEmit(roomState);
         io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
     });
 
-    // --- Disconnection & Leaving ---
-
-    /** Handles cleanup when a socket disconnects or explicitly leaves a room. */
-    function handleLeaveOrDisconnect(leavingSocketId, roomCode) {
+    socket.on('release_seat', ({ roomCode, teamId }) => {
+        console.log(`[${socket.id}] Event: release_seat for room ${roomCode}: Team ${teamId}`);
         const roomState = draftRooms.get(roomCode);
-        if (!roomState || !roomState.participants.has(leavingSocketId)) {
-            // Socket wasn't in this room's participant list, nothing to do for this room
-            return;
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[Seat Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
+        }
+        if (roomState.seats[teamId] !== getParticipantId(roomCode)) {
+            console.warn(`[Seat Error] Room ${roomCode}: ${socket.id} does not hold Team ${teamId}.`);
+            return socket.emit('error', { message: "You don't hold that team's seat." });
         }
 
-        // Remove participant
-        roomState.participants.delete(leavingSocketId);
-        console.log(`[${leavingSocketId}] Removed from participants list for room ${roomCode}. Remaining: ${roomState.participants.size}`);
+        // Process Release
+        delete roomState.seats[teamId];
+        console.log(`[${roomCode}] Team ${teamId} seat released by ${socket.id}`);
 
-        // Check if room is now empty
-        if (roomState.participants.size === 0) {
-            console.log(`[Cleanup] Room ${roomCode} is now empty.`);
-            // Schedule removal after a delay (longer delay for explicit leave vs disconnect)
-            const delay = (leavingSocketId === socket.id) ? ROOM_CLEANUP_DELAY_LONG : ROOM_CLEANUP_DELAY_SHORT;
-            scheduleEmptyRoomRemoval(roomCode, delay);
-        } else {
-            // Notify remaining participants about the change
-            const participantUpdatePayload = {
-                roomCode: roomCode,
-                participants: Array.from(roomState.participants)
-            };
-            // Use io.to() because the leaving socket might already be disconnected
-            io.to(roomCode).emit('participant_update', participantUpdatePayload);
-            console.log(`[${leavingSocketId}] Emitted participant_update to remaining users in room ${roomCode}.`);
+        saveRoom(roomCode);
+        const stateToSend = prepareStateForEmit(roomState);
+        io.to(roomCode).emit('draft_state_update', { roomCode: roomCode, draftState: stateToSend });
+    });
+
+    // --- Chat ---
+
+    socket.on('send_chat_message', ({ roomCode, text }) => {
+        const roomState = draftRooms.get(roomCode);
+        const participantId = getParticipantId(roomCode);
+        const trimmedText = typeof text === 'string' ? text.trim() : '';
+
+        // Validation
+        if (!roomState) {
+            console.warn(`[Chat Error] Room ${roomCode} not found.`);
+            return socket.emit('error', { message: "Draft room not found." });
         }
-    }
+        if (!roomState.participants.has(participantId)) {
+            console.warn(`[Chat Error] ${socket.id} is not in room ${roomCode}.`);
+            return socket.emit('error', { message: "Join the draft to chat." });
+        }
+        if (!trimmedText || trimmedText.length > MAX_CHAT_MESSAGE_LENGTH) {
+            console.warn(`[Chat Error] Room ${roomCode}: Invalid message from ${socket.id}.`);
+            return socket.emit('error', { message: `Messages must be 1 to ${MAX_CHAT_MESSAGE_LENGTH} characters.` });
+        }
+
+        // Process Message
+        postChatMessage(roomState, { type: 'user', authorId: participantId, text: trimmedText });
+        saveRoom(roomCode);
+    });
+
+    // --- Disconnection & Leaving ---
 
     socket.on('disconnect', (reason) => {
         console.log(`[Disconnect] User disconnected: ${socket.id}, Reason: ${reason}`);
-        // Iterate through all rooms the user might have been in
-        draftRooms.forEach((roomState, roomCode) => {
-            handleLeaveOrDisconnect(socket.id, roomCode);
-        });
+        const { roomCode, participantId } = socket.data;
+        // The participant stays in the room (away) for a grace period, unless another of their tabs is still open
+        const roomState = draftRooms.get(roomCode);
+        if (roomState?.participants.has(participantId)) {
+            if (getParticipantSockets(roomCode, participantId).length === 0) {
+                scheduleDeparture(roomCode, participantId);
+            }
+            io.to(roomCode).emit('participant_update', prepareParticipantUpdate(roomCode, roomState));
+        }
+    });
+
+    socket.on('set_presence', ({ roomCode, status }) => {
+        const roomState = draftRooms.get(roomCode);
+        // Only the tab's own status changes here; getPresence combines all of a participant's tabs
+        if (!roomState || socket.data.roomCode !== roomCode || !['online', 'away'].includes(status)) {
+            return; // Nothing to report back: presence is best-effort
+        }
+        const previousPresence = getPresence(roomState)[socket.data.participantId];
+        socket.data.isAway = status === 'away';
+        if (getPresence(roomState)[socket.data.participantId] !== previousPresence) {
+            io.to(roomCode).emit('participant_update', prepareParticipantUpdate(roomCode, roomState));
+        }
     });
 
     socket.on('leave_draft', ({ roomCode }) => {
@@ -420,17 +3126,21 @@ io.on('connection', (socket) => {
         }
 
         const roomState = draftRooms.get(upperRoomCode);
-
-        if (roomState && roomState.participants.has(socket.id)) {
-            // Leave the Socket.IO room first
-            socket.leave(upperRoomCode);
-            console.log(`[${socket.id}] Left Socket.IO room ${upperRoomCode}.`);
-            // Then handle participant list update and potential cleanup
-            handleLeaveOrDisconnect(socket.id, upperRoomCode);
+        const participantId = getParticipantId(upperRoomCode);
+
+        // Leave the Socket.IO room first
+        socket.leave(upperRoomCode);
+        socket.data.roomCode = null;
+        console.log(`[${socket.id}] Left Socket.IO room ${upperRoomCode}.`);
+
+        if (roomState && roomState.participants.has(participantId)) {
+            // Then handle participant list update and potential cleanup, once none of their tabs remain
+            if (getParticipantSockets(upperRoomCode, participantId).length === 0) {
+                cancelDeparture(upperRoomCode, participantId);
+                removeParticipant(upperRoomCode, participantId, true);
+            }
         } else {
             console.warn(`[${socket.id}] Tried to leave room ${upperRoomCode}, but was not found or not a participant.`);
-            // Attempt to leave the Socket.IO room anyway, in case of inconsistent state
-            socket.leave(upperRoomCode);
         }
     });
 });
@@ -438,6 +3148,27 @@ io.on('connection', (socket) => {
 // ==========================================================================
 // Start Server
 // ==========================================================================
-server.listen(PORT, () => {
-  console.log(`[Server] Listening on port ${PORT}`);
-});
+/**
+ * Loads everything the server needs before it can handle rooms: the player datasets and the modules shared with the client.
+ * @returns {Promise<void>}
+ */
+async function loadSharedModules() {
+    await Promise.all([loadPlayerDatasets(), loadDraftOrderModule(), loadRosterSlotsModule(), loadExpansionDraftModule(), loadPlayerPoolModule(), loadPlayerFiltersModule()]);
+}
+
+// Only start listening when run directly; tests require this file for its room logic
+if (require.main === module) {
+    loadSharedModules()
+        .then(loadRooms)
+        .then(() => {
+            server.listen(PORT, () => {
+              console.log(`[Server] Listening on port ${PORT}`);
+            });
+        })
+        .catch((err) => {
+            console.error(`[Server] Failed to load shared modules or stored rooms: ${err.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { loadSharedModules, createRoomState, rebuildRoomFromLog, validatePickTrade };
@@ -0,0 +1,63 @@
+// draftOrder.test.mjs
+// Unit tests for the draft order model (src/public/draftOrder.mjs).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDraftOrder, buildPickOrder, getOpenSlots } from '../src/public/draftOrder.mjs';
+
+/**
+ * Lists the team picking at each overall pick, one string per round.
+ * @param {object[]} pickOrder - From buildPickOrder.
+ * @returns {string[]} e.g. ['012', '210'].
+ */
+function describeRounds(pickOrder) {
+  const rounds = [];
+  pickOrder.forEach(slot => {
+    rounds[slot.round - 1] = (rounds[slot.round - 1] || '') + slot.teamId;
+  });
+  return rounds;
+}
+
+test('validateDraftOrder accepts every built-in type', () => {
+  for (const type of ['linear', 'snake', 'third_round_reversal', 'linear_then_snake']) {
+    assert.equal(validateDraftOrder(3, 4, { type }), null);
+  }
+});
+
+test('validateDraftOrder rejects unknown and inherited types', () => {
+  for (const draftOrder of [null, 'snake', { type: 'random' }, { type: 'constructor' }, { type: '__proto__' }, { type: 'toString' }]) {
+    assert.equal(validateDraftOrder(3, 4, draftOrder), "Invalid draft order type.");
+  }
+});
+
+test('validateDraftOrder checks that a custom order lists every team once per round', () => {
+  assert.equal(validateDraftOrder(3, 2, { type: 'custom', customOrder: [[2, 0, 1], [1, 2, 0]] }), null);
+  assert.match(validateDraftOrder(3, 2, { type: 'custom', customOrder: [[2, 0, 1]] }), /exactly 2 rounds/);
+  assert.match(validateDraftOrder(3, 2, { type: 'custom', customOrder: [[2, 0, 1], [1, 1, 0]] }), /Round 2 .* each of the 3 teams exactly once/);
+  assert.match(validateDraftOrder(3, 1, { type: 'custom', customOrder: [[0, 1, 3]] }), /Round 1/);
+  assert.match(validateDraftOrder(3, 1, { type: 'custom', customOrder: [[0, 1]] }), /Round 1/);
+});
+
+test('buildPickOrder follows each order type', () => {
+  assert.deepEqual(describeRounds(buildPickOrder(3, 4, { type: 'linear' })), ['012', '012', '012', '012']);
+  assert.deepEqual(describeRounds(buildPickOrder(3, 4, { type: 'snake' })), ['012', '210', '012', '210']);
+  assert.deepEqual(describeRounds(buildPickOrder(3, 5, { type: 'third_round_reversal' })), ['012', '210', '210', '012', '210']);
+  assert.deepEqual(describeRounds(buildPickOrder(3, 4, { type: 'linear_then_snake' })), ['012', '012', '210', '012']);
+  assert.deepEqual(describeRounds(buildPickOrder(3, 2, { type: 'custom', customOrder: [[2, 0, 1], [1, 2, 0]] })), ['201', '120']);
+});
+
+test('buildPickOrder numbers every slot', () => {
+  const pickOrder = buildPickOrder(2, 2, { type: 'snake' });
+  assert.deepEqual(pickOrder, [
+    { overall: 1, round: 1, pickInRound: 1, teamId: 0 },
+    { overall: 2, round: 1, pickInRound: 2, teamId: 1 },
+    { overall: 3, round: 2, pickInRound: 1, teamId: 1 },
+    { overall: 4, round: 2, pickInRound: 2, teamId: 0 }
+  ]);
+});
+
+test('getOpenSlots leaves out the slots already used', () => {
+  const pickOrder = buildPickOrder(2, 2, { type: 'linear' });
+  assert.deepEqual(getOpenSlots(pickOrder, [{ overall: 1 }, { overall: 3 }]).map(slot => slot.overall), [2, 4]);
+  assert.equal(getOpenSlots(pickOrder, null).length, 4);
+});
@@ -0,0 +1,81 @@
+// expansionDraft.test.mjs
+// Unit tests for the expansion draft protection rules (src/public/expansionDraft.mjs).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateProtectionList, buildDefaultProtectionList } from '../src/public/expansionDraft.mjs';
+
+/**
+ * Builds an NHL team's players: `count` players per position, numbered from `firstId`.
+ * @param {object} counts - Position -> number of players, e.g. { F: 9, D: 4, G: 2 }.
+ * @param {number} [firstId=1] - The first player's id.
+ * @returns {object[]} The players ({ id, name, position, cap_hit, clauses }).
+ */
+function makeTeamPlayers(counts, firstId = 1) {
+  const players = [];
+  Object.entries(counts).forEach(([position, count]) => {
+    for (let i = 0; i < count; i++) {
+      const id = firstId + players.length;
+      players.push({ id, name: `Player ${id}`, position, cap_hit: String(1000000 * id), clauses: '' });
+    }
+  });
+  return players;
+}
+
+const idsAt = (players, position, count) => players.filter(player => player.position === position).slice(0, count).map(player => player.id);
+
+test('accepts a full 7-3-1 list and an 8-1 list', () => {
+  const players = makeTeamPlayers({ F: 9, D: 4, G: 2 });
+  assert.equal(validateProtectionList('7-3-1', [...idsAt(players, 'F', 7), ...idsAt(players, 'D', 3), ...idsAt(players, 'G', 1)], players), null);
+  assert.equal(validateProtectionList('8-1', [...idsAt(players, 'F', 5), ...idsAt(players, 'D', 3), ...idsAt(players, 'G', 1)], players), null);
+});
+
+test('rejects unknown and inherited scheme keys', () => {
+  const players = makeTeamPlayers({ F: 9, D: 4, G: 2 });
+  for (const schemeKey of ['9-9', 'constructor', '__proto__', 'toString']) {
+    assert.match(validateProtectionList(schemeKey, [], players), /Unknown protection scheme/);
+  }
+});
+
+test('rejects duplicate ids and players from other teams', () => {
+  const players = makeTeamPlayers({ F: 9, D: 4, G: 2 });
+  assert.match(validateProtectionList('7-3-1', [1, 1], players), /each player once/);
+  assert.match(validateProtectionList('7-3-1', 'not a list', players), /each player once/);
+  assert.match(validateProtectionList('7-3-1', [999], players), /Player ID 999 isn't on this team/);
+});
+
+test('enforces the scheme limits', () => {
+  const players = makeTeamPlayers({ F: 10, D: 5, G: 3 });
+  assert.match(validateProtectionList('7-3-1', idsAt(players, 'F', 8), players), /Only 7 forwards/);
+  assert.match(validateProtectionList('7-3-1', idsAt(players, 'D', 4), players), /Only 3 defensemen/);
+  assert.match(validateProtectionList('7-3-1', idsAt(players, 'G', 2), players), /Only 1 goalies/);
+  assert.match(validateProtectionList('8-1', [...idsAt(players, 'F', 6), ...idsAt(players, 'D', 3)], players), /Only 8 skaters/);
+});
+
+test('requires players with a no-movement clause to be protected', () => {
+  const players = makeTeamPlayers({ F: 9, D: 4, G: 2 });
+  players[0].clauses = 'NTC, NMC';
+  assert.match(validateProtectionList('7-3-1', [], players), /Player 1 has a no-movement clause/);
+  assert.equal(validateProtectionList('7-3-1', [1], players), null);
+});
+
+test('raises a limit to fit no-movement clauses that exceed it', () => {
+  const players = makeTeamPlayers({ F: 10, D: 4, G: 2 });
+  const nmcForwards = idsAt(players, 'F', 8);
+  players.filter(player => nmcForwards.includes(player.id)).forEach(player => { player.clauses = 'NMC'; });
+  assert.equal(validateProtectionList('7-3-1', nmcForwards, players), null);
+  assert.match(validateProtectionList('7-3-1', idsAt(players, 'F', 9), players), /Only 7 forwards/);
+});
+
+test('requires the exposure minimums to be left unprotected', () => {
+  const players = makeTeamPlayers({ F: 8, D: 3, G: 2 });
+  assert.match(validateProtectionList('7-3-1', idsAt(players, 'D', 3), players), /At least 1 defenseman must be left exposed/);
+  assert.match(validateProtectionList('7-3-1', idsAt(players, 'F', 7), players), /At least 2 forwards must be left exposed/);
+});
+
+test('builds a valid default list, protecting the highest cap hits first', () => {
+  const players = makeTeamPlayers({ F: 9, D: 4, G: 2 });
+  const protectedIds = buildDefaultProtectionList('7-3-1', players);
+  assert.equal(validateProtectionList('7-3-1', protectedIds, players), null);
+  assert.deepEqual([...protectedIds].sort((a, b) => a - b), [3, 4, 5, 6, 7, 8, 9, 11, 12, 13, 15]);
+});
@@ -0,0 +1,27 @@
+// importPlayers.test.js
+// Unit tests for the player import's id assignment (src/importPlayers.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { assignPlayerIds } = require('../src/importPlayers');
+
+test('assignPlayerIds keeps existing ids and numbers new players after the highest one', () => {
+    const existingPlayers = [{ p_id: '10', id: 1, name: 'A' }, { p_id: '20', id: 5, name: 'B' }];
+    const players = [{ p_id: '20' }, { p_id: '30' }, { p_id: '10' }, { p_id: '40' }];
+    assignPlayerIds(players, existingPlayers);
+    assert.deepEqual(players.map(player => player.id), [5, 6, 1, 7]);
+});
+
+test('assignPlayerIds numbers a new season from 1', () => {
+    const players = [{ p_id: '10' }, { p_id: '20' }];
+    assert.deepEqual(assignPlayerIds(players, []), []);
+    assert.deepEqual(players.map(player => player.id), [1, 2]);
+});
+
+test('assignPlayerIds returns the existing players missing from the new exports', () => {
+    const existingPlayers = [{ p_id: '10', id: 1, name: 'A' }, { p_id: '20', id: 2, name: 'B' }, { p_id: '30', id: 3, name: 'C' }];
+    const players = [{ p_id: '20' }, { p_id: '40' }];
+    const droppedPlayers = assignPlayerIds(players, existingPlayers);
+    assert.deepEqual(droppedPlayers.map(player => player.id), [1, 3]);
+    assert.deepEqual(players.map(player => player.id), [2, 4]); // Dropped ids aren't reused
+});
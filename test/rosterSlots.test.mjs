@@ -0,0 +1,24 @@
+// rosterSlots.test.mjs
+// Unit tests for roster template validation (src/public/rosterSlots.mjs).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ROSTER_SIZE, ROSTER_TEMPLATES, validateRosterTemplate } from '../src/public/rosterSlots.mjs';
+
+test('validateRosterTemplate accepts the preset templates', () => {
+  Object.values(ROSTER_TEMPLATES).forEach(({ slots }) => assert.equal(validateRosterTemplate(slots), null));
+});
+
+test('validateRosterTemplate rejects unknown slot types and bad counts', () => {
+  assert.match(validateRosterTemplate({ F: 2, X: 1 }), /Unknown roster slot type 'X'/);
+  assert.match(validateRosterTemplate(JSON.parse('{"constructor": 1}')), /Unknown roster slot type 'constructor'/);
+  assert.match(validateRosterTemplate({ F: -1 }), /Invalid player count for position F/);
+  assert.match(validateRosterTemplate({ F: 1.5 }), /Invalid player count for position F/);
+  assert.match(validateRosterTemplate({ F: 0, D: 0 }), /cannot be zero/);
+});
+
+test('validateRosterTemplate caps the roster size', () => {
+  assert.equal(validateRosterTemplate({ F: MAX_ROSTER_SIZE - 2, G: 2 }), null);
+  assert.match(validateRosterTemplate({ F: MAX_ROSTER_SIZE - 1, G: 2 }), new RegExp(`more than ${MAX_ROSTER_SIZE}`));
+  assert.match(validateRosterTemplate({ BN: 1e9 }), /more than/);
+});
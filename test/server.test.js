@@ -0,0 +1,111 @@
+// server.test.js
+// Unit tests for the server's room logic (src/server.js), required without starting the server.
+
+process.env.ROOM_STORAGE = 'memory'; // Never touch stored rooms
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSharedModules, createRoomState, rebuildRoomFromLog, validatePickTrade } = require('../src/server');
+
+const TEST_SETTINGS = {
+    numTables: 2,
+    playersPerPos: { F: 2, D: 1, G: 1 },
+    draftOrder: { type: 'snake' },
+    draftMode: 'standard',
+    season: '2024-25',
+    tableNames: { 0: 'A', 1: 'B' }
+};
+
+/**
+ * Creates a standard two-team snake draft room (4 rounds).
+ * @returns {object} The room state.
+ */
+function createTestRoom() {
+    return createRoomState('TEST', structuredClone(TEST_SETTINGS));
+}
+
+/**
+ * Builds a stored event log for a room created with TEST_SETTINGS.
+ * @param {Array<[string, object]>} events - [type, data] for each event after 'draft_created'.
+ * @returns {object[]} The events, numbered from 1.
+ */
+function buildEventLog(events) {
+    return [['draft_created', { roomCode: 'TEST', settings: TEST_SETTINGS }], ...events]
+        .map(([type, data = {}], index) => ({ seq: index + 1, type, at: 1000 + index, actor: 'test', data }));
+}
+
+before(loadSharedModules);
+
+// ==========================================================================
+// Pick Trades
+// ==========================================================================
+test('validatePickTrade accepts an even swap of owned future picks', () => {
+    // Snake order: team 0 holds overall 1, 4, 5, 8; team 1 holds 2, 3, 6, 7
+    const roomState = createTestRoom();
+    assert.equal(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1], requestedPicks: [2] }), null);
+    assert.equal(validatePickTrade(roomState, { fromTeamId: 1, toTeamId: 0, offeredPicks: [3, 6], requestedPicks: [4, 8] }), null);
+});
+
+test('validatePickTrade rejects invalid teams and uneven trades', () => {
+    const roomState = createTestRoom();
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 0, offeredPicks: [1], requestedPicks: [4] }), /Invalid teams/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 2, offeredPicks: [1], requestedPicks: [2] }), /Invalid teams/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [], requestedPicks: [] }), /at least one pick/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1, 4], requestedPicks: [2] }), /same number of picks/);
+});
+
+test('validatePickTrade rejects repeated and non-integer picks', () => {
+    const roomState = createTestRoom();
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1, 1], requestedPicks: [2, 3] }), /only be traded once/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1], requestedPicks: [1] }), /only be traded once/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: ['1'], requestedPicks: [2] }), /Invalid picks/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1.5], requestedPicks: [2] }), /Invalid picks/);
+});
+
+test('validatePickTrade rejects picks a team does not own or that were used', () => {
+    const roomState = createTestRoom();
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [2], requestedPicks: [3] }), /offered picks is no longer available/);
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1], requestedPicks: [4] }), /requested picks is no longer available/);
+    roomState.picks.push({ overall: 1, teamId: 0, playerId: 1 });
+    assert.match(validatePickTrade(roomState, { fromTeamId: 0, toTeamId: 1, offeredPicks: [1], requestedPicks: [2] }), /offered picks is no longer available/);
+});
+
+// ==========================================================================
+// Event Log Replay
+// ==========================================================================
+test('rebuildRoomFromLog replays picks, undos, renames and trades', () => {
+    const roomState = rebuildRoomFromLog(buildEventLog([
+        ['pick', { playerId: 686, teamId: 0 }],
+        ['pick', { playerId: 580, teamId: 1 }],
+        ['undo'],
+        ['rename', { teamId: 1, name: 'Bees' }],
+        ['trade_proposed', { trade: { type: 'pick', fromTeamId: 1, toTeamId: 0, offeredPicks: [2], requestedPicks: [4] } }],
+        ['trade_accepted', { tradeId: 1 }]
+    ]));
+    assert.deepEqual(roomState.picks.map(pick => [pick.overall, pick.playerId, pick.teamId]), [[1, 686, 0]]);
+    assert.deepEqual([...roomState.selectedPlayerIds], [686]);
+    assert.equal(roomState.settings.tableNames[1], 'Bees');
+    assert.equal(roomState.pickOrder.find(slot => slot.overall === 2).ownerTeamId, 0);
+    assert.equal(roomState.pickOrder.find(slot => slot.overall === 4).ownerTeamId, 1);
+    assert.equal(roomState.nextTableToPick, 0); // Overall 2 now belongs to team 0
+    assert.equal(roomState.tradeHistory.length, 1);
+    assert.equal(roomState.eventLog.length, 7);
+});
+
+test('rebuildRoomFromLog leaves the stored settings untouched', () => {
+    const eventLog = buildEventLog([['rename', { teamId: 0, name: 'Aces' }]]);
+    rebuildRoomFromLog(eventLog);
+    assert.equal(eventLog[0].data.settings.tableNames[0], 'A');
+});
+
+test('rebuildRoomFromLog rejects events for unknown players', () => {
+    assert.throws(() => rebuildRoomFromLog(buildEventLog([['pick', { playerId: 999999, teamId: 0 }]])),
+        /Event 2 \(pick\) refers to unknown player ID 999999/);
+    assert.throws(() => rebuildRoomFromLog(buildEventLog([['keeper_added', { playerId: -1, teamId: 0, overall: 1 }]])),
+        /unknown player ID -1/);
+});
+
+test('rebuildRoomFromLog rejects unknown and inherited event types', () => {
+    assert.throws(() => rebuildRoomFromLog(buildEventLog([['teleport']])), /Event 2 has an unknown type 'teleport'/);
+    assert.throws(() => rebuildRoomFromLog(buildEventLog([['constructor']])), /unknown type 'constructor'/);
+});